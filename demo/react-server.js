@@ -321,6 +321,26 @@ app.get('/api/status', (req, res) => {
   });
 });
 
+// Publish the signer's public key(s) so other apps can verify our contexts with standard JOSE tooling.
+// JWKS_KEY_IDS optionally lists further comma-separated key IDs/ARNs to publish.
+app.get('/.well-known/fdc3-jwks.json', async (req, res) => {
+  try {
+    if (!isKmsReady || !kmsSigner) {
+      return res.status(503).json({ error: 'KMS signing not available' });
+    }
+
+    const extraKeyIds = (process.env.JWKS_KEY_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    const keys = [{ keyId: kmsSigner.config.keyId, algorithm: kmsSigner.config.algorithm }, ...extraKeyIds];
+    const jwks = await kmsSigner.exportJwks(keys);
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  } catch (error) {
+    console.error('JWKS export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/sign', async (req, res) => {
   try {
     const { context } = req.body;
@@ -333,7 +353,8 @@ app.post('/api/sign', async (req, res) => {
     }
 
     console.log(`🔐 Signing context: ${context.type}`);
-    const signedContext = await kmsSigner.sign(context);
+    // Inline form: the demo page broadcasts it as an ordinary context with a __signature__ property
+    const signedContext = await kmsSigner.signInline(context);
     
     console.log('✅ Signed context structure:', JSON.stringify(signedContext, null, 2));
     
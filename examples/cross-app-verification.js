@@ -4,7 +4,10 @@
  * This demonstrates how App2 can verify signatures from App1
  */
 
-const { FDC3KMSSigner } = require('../packages/fdc3-kms-signer/dist/index.js');
+const { FDC3KMSSigner, FDC3ContextVerifier } = require('../packages/fdc3-kms-signer/dist/index.js');
+
+// Verification failures caused by key access or KMS availability rather than by the signature itself
+const SYSTEM_ERROR_CODES = ['ACCESS_DENIED', 'KEY_NOT_FOUND', 'KEY_DISABLED', 'THROTTLED', 'SERVICE_UNAVAILABLE'];
 
 /**
  * App1 - Trading Application (Signs orders)
@@ -112,9 +115,8 @@ class RiskManagementApp {
     });
 
     // Initialize verifier - can verify signatures from ANY key (as long as we have GetPublicKey permission)
-    // We can use any key ID here, or even create a separate verifier instance
-    this.verifier = new FDC3KMSSigner({
-      keyId: 'dummy-key-for-verification', // Not used for verification, only for signing
+    // No signing key is needed; a receive-only app would create just this verifier
+    this.verifier = new FDC3ContextVerifier({
       region: 'us-east-1'
     });
 
@@ -143,9 +145,12 @@ class RiskManagementApp {
           
           // Process the verified context with high trust
           await this.processVerifiedContext(verification.context, context);
+        } else if (SYSTEM_ERROR_CODES.includes(verification.code)) {
+          // The key could not be used - a configuration or availability issue, not a bad signature
+          await this.handleVerificationError(context, verification);
         } else {
           console.log('❌ App2: Signature verification FAILED');
-          console.log(`   Error: ${verification.error}`);
+          console.log(`   Error: ${verification.error} (${verification.code})`);
           
           // Handle invalid signature - this is a security incident
           await this.handleInvalidSignature(context, verification.error);
@@ -193,7 +198,7 @@ class RiskManagementApp {
       
       if (riskAssessment.approved) {
         console.log('   ✅ Order approved by risk management');
-        await this.approveOrder(context);
+        await this.approveOrder(context, originalSigned);
       } else {
         console.log('   ❌ Order rejected by risk management');
         console.log(`   Reason: ${riskAssessment.reason}`);
@@ -244,10 +249,12 @@ class RiskManagementApp {
     
     // This might be a system issue, not necessarily malicious
     // Handle based on your security policy
-    if (error.message.includes('AccessDenied')) {
+    if (error.code === 'ACCESS_DENIED') {
       console.log('   💡 May need GetPublicKey permission for the signing key');
-    } else if (error.message.includes('KeyUnavailable')) {
+    } else if (error.code === 'KEY_NOT_FOUND' || error.code === 'KEY_DISABLED') {
       console.log('   💡 Signing key may not exist or be disabled');
+    } else if (error.code === 'THROTTLED' || error.code === 'SERVICE_UNAVAILABLE') {
+      console.log('   💡 KMS is temporarily unavailable - retry later');
     }
   }
 
@@ -285,9 +292,13 @@ class RiskManagementApp {
   /**
    * Approve order
    */
-  async approveOrder(order) {
+  async approveOrder(order, signedOrder) {
     console.log('✅ App2: Order approved - forwarding to execution');
     
+    // Countersign the trader's signed order, so execution can require "signed by trading AND risk"
+    const approvedOrder = await this.signer.countersign(signedOrder);
+    console.log(`🔏 App2: Order countersigned (${approvedOrder.countersignatures.length} countersignature)`);
+    
     // Create approval context and sign it with App2's key
     const approvalContext = {
       type: 'fdc3.trade',
@@ -309,7 +320,7 @@ class RiskManagementApp {
     const signedApproval = await this.signer.sign(approvalContext);
     console.log('🔐 App2: Approval signed and ready for broadcast');
     
-    return signedApproval;
+    return { approvedOrder, signedApproval };
   }
 
   /**
@@ -401,7 +412,7 @@ async function demonstrateCrossAppVerification() {
   } catch (error) {
     console.error('❌ Demo failed:', error.message);
     
-    if (error.message.includes('AccessDenied')) {
+    if (error.code === 'ACCESS_DENIED') {
       console.log('\n💡 Troubleshooting:');
       console.log('   • Ensure both apps have kms:GetPublicKey permission');
       console.log('   • Check AWS credentials are configured');
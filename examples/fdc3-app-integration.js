@@ -5,7 +5,7 @@
  */
 
 // Import the FDC3 KMS Signer (adjust path based on your setup)
-const { FDC3KMSSigner } = require('../packages/fdc3-kms-signer/dist/index.js');
+const { FDC3KMSSigner, fromTransportContext, toTransportContext } = require('../packages/fdc3-kms-signer/dist/index.js');
 
 /**
  * Example: Trading Application with KMS Signing
@@ -98,10 +98,11 @@ class TradingApp {
       console.log(`📨 Received context from ${metadata?.source || 'unknown'}`);
       
       // Check if this is a signed context
-      if (this.isSignedContext(context)) {
+      const signedContext = fromTransportContext(context);
+      if (signedContext) {
         console.log('🔐 Context is signed, verifying...');
         
-        const verification = await this.verifySignedContext(context);
+        const verification = await this.verifySignedContext(signedContext);
         if (verification.isValid) {
           console.log('✅ Signature verified - processing trusted context');
           await this.handleVerifiedContext(verification.context, metadata);
@@ -119,10 +120,19 @@ class TradingApp {
     await this.fdc3.addIntentListener('PlaceOrder', async (context, metadata) => {
       console.log('📋 Received PlaceOrder intent');
       
-      if (this.isSignedContext(context)) {
-        const verification = await this.verifySignedContext(context);
+      const signedContext = fromTransportContext(context);
+      if (signedContext) {
+        const verification = await this.verifySignedContext(signedContext);
         if (verification.isValid) {
           await this.processOrder(verification.context, metadata);
+
+          // Confirm with a result signed as the answer to this exact order
+          const trade = {
+            type: 'fdc3.trade',
+            id: { tradeId: `TRD-${Date.now()}` },
+            product: verification.context
+          };
+          return toTransportContext(await this.kmsSigner.signIntentResult(trade, signedContext, 'PlaceOrder'));
         } else {
           throw new Error('Invalid signature on order - security violation');
         }
@@ -138,12 +148,7 @@ class TradingApp {
    * Check if a context is signed
    */
   isSignedContext(context) {
-    return context && 
-           typeof context.signature === 'string' &&
-           typeof context.keyId === 'string' &&
-           typeof context.timestamp === 'number' &&
-           context.context &&
-           typeof context.context.type === 'string';
+    return fromTransportContext(context) !== undefined;
   }
 
   /**
@@ -195,11 +200,18 @@ class TradingApp {
         console.log(`   Key: ${signedOrder.keyId}`);
         console.log(`   Signature: ${signedOrder.signature.substring(0, 20)}...`);
         
-        // Broadcast the signed context (not the wrapper)
-        await this.fdc3.broadcast(signedOrder.context);
+        // Broadcast the envelope with the order's type at the top level, so listeners
+        // can filter on it and receivers can still verify the signature
+        const transportContext = toTransportContext(signedOrder);
+        await this.fdc3.broadcast(transportContext);
         
-        // Also raise intent if needed
-        await this.fdc3.raiseIntent('PlaceOrder', signedOrder);
+        // Also raise intent if needed, and check that the confirmation answers this order
+        const resolution = await this.fdc3.raiseIntent('PlaceOrder', transportContext);
+        const confirmation = fromTransportContext(await resolution.getResult());
+        if (confirmation) {
+          const check = await this.kmsSigner.verifyIntentResult(confirmation, signedOrder, 'PlaceOrder');
+          console.log(check.isValid ? '✅ Order confirmation verified' : `❌ Order confirmation rejected: ${check.error}`);
+        }
         
         return signedOrder;
       } else {
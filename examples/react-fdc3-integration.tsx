@@ -5,6 +5,7 @@
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
+import { fromTransportContext, toTransportContext } from '../packages/fdc3-kms-signer/dist/index.js';
 
 // Types (adjust imports based on your setup)
 interface Context {
@@ -103,7 +104,8 @@ export function useFDC3WithKMS(appKeyId: string) {
     if (isSigningEnabled && kmsSigner) {
       console.log('🔐 Signing context with KMS...');
       const signedContext = await kmsSigner.sign(context);
-      await fdc3.broadcast(signedContext.context);
+      // Send the envelope, with the context's type at the top level for routing
+      await fdc3.broadcast(toTransportContext(signedContext));
       return signedContext;
     } else {
       console.log('📝 Broadcasting unsigned context');
@@ -129,13 +131,8 @@ export function useFDC3WithKMS(appKeyId: string) {
   }, [kmsSigner, isSigningEnabled]);
 
   // Check if context is signed
-  const isSignedContext = useCallback((context: any): context is SignedContext => {
-    return context && 
-           typeof context.signature === 'string' &&
-           typeof context.keyId === 'string' &&
-           typeof context.timestamp === 'number' &&
-           context.context &&
-           typeof context.context.type === 'string';
+  const isSignedContext = useCallback((context: any): boolean => {
+    return fromTransportContext(context) !== undefined;
   }, []);
 
   return {
@@ -178,12 +175,13 @@ export function TradingDashboard() {
         
         let verificationStatus = 'unsigned';
         // Always derive a display context: if it's a signed wrapper, use the inner payload
-        const displayContext = isSignedContext(context) ? context.context : context;
+        const signedContext = fromTransportContext(context);
+        const displayContext = signedContext ? signedContext.context : context;
         let trustedContext = displayContext;
 
-        if (isSignedContext(context)) {
+        if (signedContext) {
           console.log('🔐 Verifying signed context...');
-          const verification = await verifyContext(context);
+          const verification = await verifyContext(signedContext);
           
           if (verification.isValid) {
             verificationStatus = 'verified';
@@ -0,0 +1,111 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { KMSEmulator } from './kms-emulator';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { SignerAuthorizer } from './authorization';
+import { AuthorizationPolicy } from './types';
+import { instrument, order } from './testing';
+
+const policy: AuthorizationPolicy = {
+  signers: [
+    { appId: 'oms', allowedKeys: ['key-oms'], allowedContextTypes: ['fdc3.order'], allowedIntents: ['PlaceOrder'] },
+    { appId: 'market-data', allowedKeys: ['key-md'] }
+  ]
+};
+
+describe('SignerAuthorizer', () => {
+  it('authorizes a key for the context types and intents of its signer', () => {
+    const authorizer = new SignerAuthorizer(policy);
+
+    assert.deepEqual(authorizer.authorize(['key-oms'], 'fdc3.order', 'PlaceOrder'), { authorized: true, signer: 'oms' });
+    assert.deepEqual(authorizer.authorize(['key-md'], 'fdc3.anything', 'AnyIntent'), { authorized: true, signer: 'market-data' });
+  });
+
+  it('refuses other context types and intents, naming the signer', () => {
+    const authorizer = new SignerAuthorizer(policy);
+
+    assert.deepEqual(authorizer.authorize(['key-oms'], 'fdc3.instrument'), {
+      authorized: false,
+      signer: 'oms',
+      error: 'oms is not authorized to sign fdc3.instrument contexts'
+    });
+    assert.match(authorizer.authorize(['key-oms'], 'fdc3.order', 'CancelOrder').error!, /not authorized to sign contexts for intent CancelOrder/);
+  });
+
+  it('refuses keys no signer lists, unless unknown keys are allowed', () => {
+    assert.deepEqual(new SignerAuthorizer(policy).authorize(['key-other'], 'fdc3.order'), {
+      authorized: false,
+      error: 'Key key-other is not a trusted signing key'
+    });
+    assert.deepEqual(new SignerAuthorizer({ ...policy, allowUnknownKeys: true }).authorize(['key-other'], 'fdc3.order'), { authorized: true });
+  });
+
+  it('matches any of the verified IDs of the key', () => {
+    assert.equal(new SignerAuthorizer(policy).authorize(['arn:aws:kms:us-east-1:111122223333:key/1', 'key-md'], 'fdc3.order').signer, 'market-data');
+  });
+});
+
+describe('verify() authorization', () => {
+  function setup() {
+    const kms = new KMSEmulator();
+    const omsKey = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const mdKey = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const verifier = new FDC3ContextVerifier({
+      kmsClient: kms,
+      authorization: {
+        signers: [
+          { appId: 'oms', allowedKeys: [omsKey.arn], allowedContextTypes: ['fdc3.order'], allowedIntents: ['PlaceOrder'] },
+          { appId: 'market-data', allowedKeys: [mdKey.arn], allowedContextTypes: ['fdc3.instrument'] }
+        ]
+      }
+    });
+    return {
+      kms,
+      verifier,
+      oms: new FDC3AWSKMSSigner({ keyId: omsKey.arn, kmsClient: kms, algorithm: 'ECDSA_SHA_256' }),
+      marketData: new FDC3AWSKMSSigner({ keyId: mdKey.arn, kmsClient: kms, algorithm: 'ECDSA_SHA_256' })
+    };
+  }
+
+  it('reports the authorized signer', async () => {
+    const { verifier, oms, marketData } = setup();
+
+    const placed = await verifier.verify(await oms.sign(order), { intent: 'PlaceOrder' });
+    assert.equal(placed.isValid, true, placed.error);
+    assert.equal(placed.signer, 'oms');
+    assert.equal((await verifier.verify(await marketData.sign(instrument))).signer, 'market-data');
+  });
+
+  it('rejects a valid signature from a key not allowed to sign the context type', async () => {
+    const { verifier, marketData } = setup();
+
+    const result = await verifier.verify(await marketData.sign(order));
+    assert.equal(result.signatureValid, true);
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'UNAUTHORIZED');
+    assert.equal(result.signer, 'market-data');
+  });
+
+  it('rejects contexts received for an intent the signer may not raise', async () => {
+    const { verifier, oms } = setup();
+
+    const result = await verifier.verify(await oms.sign(order), { intent: 'CancelOrder' });
+    assert.equal(result.code, 'UNAUTHORIZED');
+  });
+
+  it('rejects keys that no signer lists', async () => {
+    const { kms, verifier } = setup();
+    const stranger = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const signer = new FDC3AWSKMSSigner({ keyId: stranger.arn, kmsClient: kms, algorithm: 'ECDSA_SHA_256' });
+
+    const result = await verifier.verify(await signer.sign(instrument));
+    assert.equal(result.code, 'UNAUTHORIZED');
+    assert.equal(result.signer, undefined);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { AuthorizationPolicy, TrustedSigner } from './types';
+
+/**
+ * Outcome of an authorization check
+ */
+export interface AuthorizationDecision {
+  /** Whether the key may sign the context */
+  authorized: boolean;
+  /** appId of the signer the key belongs to */
+  signer?: string;
+  /** Why the context was refused */
+  error?: string;
+}
+
+/**
+ * Decides whether a signing key is allowed to sign a context type (and intent),
+ * so that a valid signature from one app's key cannot vouch for another app's contexts
+ */
+export class SignerAuthorizer {
+  private signersByKey = new Map<string, TrustedSigner>();
+
+  constructor(private policy: AuthorizationPolicy) {
+    for (const signer of policy.signers) {
+      signer.allowedKeys.forEach(keyId => this.signersByKey.set(keyId, signer));
+    }
+  }
+
+  /**
+   * Checks a verified signature against the policy
+   * @param keyIds IDs of the signing key: the envelope's keyId and the key's canonical ID (e.g. its ARN)
+   * @param contextType Type of the signed context
+   * @param intent Intent the context was received for, if any
+   * @returns The decision
+   */
+  authorize(keyIds: string[], contextType: string, intent?: string): AuthorizationDecision {
+    const signer = keyIds.map(keyId => this.signersByKey.get(keyId)).find(Boolean);
+
+    if (!signer) {
+      return this.policy.allowUnknownKeys
+        ? { authorized: true }
+        : { authorized: false, error: `Key ${keyIds[0]} is not a trusted signing key` };
+    }
+
+    if (!isAllowed(signer.allowedContextTypes, contextType)) {
+      return { authorized: false, signer: signer.appId, error: `${signer.appId} is not authorized to sign ${contextType} contexts` };
+    }
+
+    if (intent !== undefined && !isAllowed(signer.allowedIntents, intent)) {
+      return { authorized: false, signer: signer.appId, error: `${signer.appId} is not authorized to sign contexts for intent ${intent}` };
+    }
+
+    return { authorized: true, signer: signer.appId };
+  }
+}
+
+function isAllowed(allowed: string[] | undefined, value: string): boolean {
+  return !allowed || allowed.length === 0 || allowed.includes(value);
+}
\ No newline at end of file
@@ -3,166 +3,420 @@
  * Copyright FINOS FDC3 contributors - see NOTICE file
  */
 
-import { KMSClient, SignCommand, GetPublicKeyCommand, MessageType, SigningAlgorithmSpec } from '@aws-sdk/client-kms';
-import { AWSKMSSignerConfig, SignedContext, VerificationResult, Context } from './types';
-import * as crypto from 'crypto';
+import {
+  AWSKMSSignerConfig,
+  SignedContext,
+  VerificationResult,
+  VerifyCallOptions,
+  Context,
+  SigningAlgorithm,
+  SigningBackend,
+  SigningMessageType,
+  PublicKeyCacheStats,
+  JsonWebKeySet,
+  KeyRotationReport,
+  Countersignature,
+  CountersignOptions,
+  MultiSignatureVerificationResult,
+  SealedContext,
+  SealOptions,
+  MacAlgorithm,
+  InlineSignedContext,
+  ContextBinding
+} from './types';
+import { KMSSigningBackend } from './kms-signing-backend';
+import { FDC3ContextVerifier } from './context-verifier';
+import { assertValidEnvelope, CURRENT_ENVELOPE_VERSION, getCountersignaturePayload, getSigningPayload } from './envelope';
+import { generateNonce } from './replay-protection';
+import { digestMessage } from './crypto-utils';
+import { InvalidContextError, toSignerError, UnsupportedAlgorithmError } from './errors';
+import { exportJwks, JwksKeySpec } from './jwks';
+import { isKeyAlias } from './key-rotation';
+import { createSelectiveDisclosure } from './selective-disclosure';
+import { isDataKeyProvider, sealSignedContext } from './sealing';
+import { digestMacMessage, isMacAlgorithm, isMacBackend } from './hmac';
+import { stripInlineSignature, toInlineContext } from './inline-signature';
+import { createIntentResultCommitment } from './intent-results';
+
+/** How long an alias resolved via the backend is reused before it is resolved again */
+const KEY_RESOLUTION_TTL_MS = 5 * 60 * 1000;
 
 /**
  * FDC3 AWS KMS Signer - provides cryptographic signing of FDC3 context data using AWS KMS
+ * or any other configured signing backend
  */
 export class FDC3AWSKMSSigner {
-  private kmsClient: KMSClient;
+  private backend: SigningBackend;
+  private verifier: FDC3ContextVerifier;
+  private resolvedKeys = new Map<string, { keyId: string; expiresAt: number }>();
   public config: AWSKMSSignerConfig;
 
   constructor(config: AWSKMSSignerConfig) {
     this.config = config;
-    this.kmsClient = new KMSClient({
-      region: config.region || 'us-east-1',
-      credentials: config.credentials
+    this.backend = config.backend || new KMSSigningBackend({
+      region: config.region,
+      credentials: config.credentials,
+      endpoint: config.endpoint,
+      kmsClient: config.kmsClient,
+      resilience: config.resilience
+    });
+    this.verifier = new FDC3ContextVerifier({
+      ...config,
+      keySource: this.backend
     });
   }
 
   /**
-   * Signs an FDC3 context object using AWS KMS
+   * Signs an FDC3 context object using the signing backend
    * @param context The FDC3 context to sign
-   * @param algorithm The signing algorithm to use (defaults to RSASSA_PKCS1_V1_5_SHA_256)
+   * @param algorithm The signing algorithm to use (defaults to config.algorithm, then RSASSA_PKCS1_V1_5_SHA_256)
+   * @param binding Sending app and channel or intent to bind the signature to, so that it fails verification elsewhere
    * @returns Promise resolving to a signed context
+   * @throws FDC3SignerError (or a subclass) whose code identifies the failure
    */
   async sign(
     context: Context, 
-    algorithm: SigningAlgorithmSpec = SigningAlgorithmSpec.RSASSA_PKCS1_V1_5_SHA_256
+    algorithm: SigningAlgorithm = this.config.algorithm || 'RSASSA_PKCS1_V1_5_SHA_256',
+    binding?: ContextBinding
+  ): Promise<SignedContext> {
+    try {
+      return await this.signEnvelope(await this.createEnvelope(context, algorithm, this.config.keyId, binding));
+    } catch (error) {
+      throw toSignerError(error, 'Failed to sign FDC3 context');
+    }
+  }
+
+  /**
+   * Signs an FDC3 context so that fields can later be redacted without invalidating the signature.
+   * The signature covers a salted digest of every field instead of the context itself; see redactFields().
+   * @param context The FDC3 context to sign
+   * @param algorithm The signing algorithm to use (defaults to config.algorithm, then RSASSA_PKCS1_V1_5_SHA_256)
+   * @param binding Sending app and channel or intent to bind the signature to
+   * @returns Promise resolving to a signed context carrying the field salts in `disclosures`
+   * @throws FDC3SignerError (or a subclass) whose code identifies the failure
+   */
+  async signSelective(
+    context: Context,
+    algorithm: SigningAlgorithm = this.config.algorithm || 'RSASSA_PKCS1_V1_5_SHA_256',
+    binding?: ContextBinding
   ): Promise<SignedContext> {
     try {
-      // Serialize the context to a canonical JSON string
-      const contextString = this.canonicalizeContext(context);
-      const message = Buffer.from(contextString, 'utf8');
-
-      // Sign using AWS KMS
-      const signCommand = new SignCommand({
-        KeyId: this.config.keyId,
-        Message: message,
-        MessageType: MessageType.RAW,
-        SigningAlgorithm: algorithm
-      });
-
-      const signResult = await this.kmsClient.send(signCommand);
-      
-      if (!signResult.Signature) {
-        throw new Error('KMS signing failed: No signature returned');
+      const envelope = await this.createEnvelope(context, algorithm, this.config.keyId, binding);
+      return await this.signEnvelope({ ...envelope, ...createSelectiveDisclosure(envelope.context) });
+    } catch (error) {
+      throw toSignerError(error, 'Failed to sign FDC3 context');
+    }
+  }
+
+  /**
+   * Authenticates an FDC3 context with an HMAC from a KMS HMAC key instead of a signature. Faster than
+   * asymmetric signing, but only holders of the HMAC key can verify it and any of them could have
+   * produced it, so use it only between apps in the same trust domain. Verifiers must enable allowHmac.
+   * @param context The FDC3 context to authenticate
+   * @param algorithm The MAC algorithm to use (default HMAC_SHA_256)
+   * @param binding Sending app and channel or intent to bind the HMAC to
+   * @returns Promise resolving to a signed context with signatureType 'HMAC'
+   * @throws FDC3SignerError (or a subclass) whose code identifies the failure
+   */
+  async signHmac(context: Context, algorithm: MacAlgorithm = 'HMAC_SHA_256', binding?: ContextBinding): Promise<SignedContext> {
+    try {
+      if (!isMacAlgorithm(algorithm)) {
+        throw new UnsupportedAlgorithmError(`${algorithm} is not an HMAC algorithm`);
       }
+      const envelope = await this.createEnvelope(context, algorithm, this.config.hmacKeyId || this.config.keyId, binding);
+      return await this.signEnvelope({ ...envelope, signatureType: 'HMAC' });
+    } catch (error) {
+      throw toSignerError(error, 'Failed to sign FDC3 context');
+    }
+  }
 
-      // Convert signature to base64
-      const signature = Buffer.from(signResult.Signature).toString('base64');
+  /**
+   * Signs an FDC3 context and returns it with the signature inline under __signature__, so that
+   * apps unaware of signing still receive an ordinary context of its type
+   * @param context The FDC3 context to sign (an existing inline signature is replaced)
+   * @param algorithm The signing algorithm to use (defaults to config.algorithm, then RSASSA_PKCS1_V1_5_SHA_256)
+   * @param binding Sending app and channel or intent to bind the signature to
+   * @returns Promise resolving to the context carrying its signature
+   * @throws FDC3SignerError (or a subclass) whose code identifies the failure
+   */
+  async signInline(
+    context: Context,
+    algorithm: SigningAlgorithm = this.config.algorithm || 'RSASSA_PKCS1_V1_5_SHA_256',
+    binding?: ContextBinding
+  ): Promise<InlineSignedContext> {
+    return toInlineContext(await this.sign(context, algorithm, binding));
+  }
 
-      return {
-        context,
-        signature,
-        keyId: this.config.keyId,
-        timestamp: Date.now(),
-        algorithm: algorithm as 'RSASSA_PKCS1_V1_5_SHA_256' | 'ECDSA_SHA_256'
-      };
+  /**
+   * Signs the result of an intent so that the signature commits to the request it answers. The raising
+   * app can then check with verifyIntentResult() that the result answers exactly the request it sent.
+   * @param result The context returned by the intent handler, e.g. an fdc3.trade confirming an order
+   * @param request The request as received: the signed envelope, inline signed context or plain context
+   * @param intent The intent the request was raised for
+   * @param algorithm The signing algorithm to use (defaults to config.algorithm, then RSASSA_PKCS1_V1_5_SHA_256)
+   * @returns Promise resolving to a signed context carrying inResponseTo
+   * @throws FDC3SignerError (or a subclass) whose code identifies the failure
+   */
+  async signIntentResult(
+    result: Context,
+    request: SignedContext | InlineSignedContext | Context,
+    intent: string,
+    algorithm: SigningAlgorithm = this.config.algorithm || 'RSASSA_PKCS1_V1_5_SHA_256'
+  ): Promise<SignedContext> {
+    try {
+      const envelope = await this.createEnvelope(result, algorithm);
+      return await this.signEnvelope({ ...envelope, inResponseTo: createIntentResultCommitment(request, intent) });
     } catch (error) {
-      throw new Error(`Failed to sign FDC3 context: ${error instanceof Error ? error.message : String(error)}`);
+      throw toSignerError(error, 'Failed to sign intent result');
     }
   }
 
   /**
-   * Verifies a signed FDC3 context using the public key from AWS KMS
-   * @param signedContext The signed context to verify
+   * Verifies a signed FDC3 context using the public key from the signing backend
+   * @param signedContext The signed envelope, or a context carrying its signature inline
+   * @param options How the context was received, e.g. the intent it was raised for
    * @returns Promise resolving to verification result
    */
-  async verify(signedContext: SignedContext): Promise<VerificationResult> {
+  async verify(signedContext: SignedContext | InlineSignedContext, options?: VerifyCallOptions): Promise<VerificationResult> {
+    return this.verifier.verify(signedContext, options);
+  }
+
+  /**
+   * Signs an FDC3 context and then encrypts the signed context with a fresh data key, so that only
+   * apps allowed to decrypt the data key can read it. The context type stays visible for routing.
+   * @param context The FDC3 context to seal
+   * @param options Signing algorithm and key encryption key (defaults to config.algorithm and config.encryptionKeyId)
+   * @returns Promise resolving to a sealed context; open it with open()
+   * @throws FDC3SignerError (or a subclass) whose code identifies the failure
+   */
+  async seal(context: Context, options: SealOptions = {}): Promise<SealedContext> {
+    const signedContext = await this.sign(context, options.algorithm, options.binding);
     try {
-      // Get the public key from KMS
-      const getPublicKeyCommand = new GetPublicKeyCommand({
-        KeyId: signedContext.keyId
-      });
-
-      const publicKeyResult = await this.kmsClient.send(getPublicKeyCommand);
-      
-      if (!publicKeyResult.PublicKey) {
-        return {
-          isValid: false,
-          error: 'Could not retrieve public key from KMS'
-        };
+      const encryptionKeyId = options.encryptionKeyId || this.config.encryptionKeyId;
+      if (!encryptionKeyId) {
+        throw new Error('No encryptionKeyId configured');
       }
+      const provider = this.config.dataKeyProvider || (isDataKeyProvider(this.backend) ? this.backend : undefined);
+      if (!provider) {
+        throw new Error('No data key provider configured and the signing backend cannot generate data keys');
+      }
+      return await sealSignedContext(signedContext, provider, encryptionKeyId);
+    } catch (error) {
+      throw toSignerError(error, 'Failed to seal FDC3 context');
+    }
+  }
+
+  /**
+   * Decrypts a sealed context and verifies the signed context inside it
+   * @param sealedContext The sealed context
+   * @param options How the context was received, e.g. the intent it was raised for
+   * @returns Promise resolving to verification result
+   */
+  async open(sealedContext: SealedContext, options?: VerifyCallOptions): Promise<VerificationResult> {
+    return this.verifier.open(sealedContext, options);
+  }
+
+  /**
+   * Resolves a configured alias to the concrete key it currently points to, so that signatures stay
+   * verifiable after the alias is re-pointed. Resolutions are cached briefly. Key IDs and ARNs are used
+   * as configured, so signers with only kms:Sign permission never need kms:DescribeKey.
+   * @param configuredKeyId Key ID, ARN or alias from the config (defaults to keyId)
+   * @returns The key ARN for an alias, otherwise the configured key ID
+   */
+  private async resolveKeyId(configuredKeyId: string = this.config.keyId): Promise<string> {
+    if (!this.backend.resolveKeyId || !isKeyAlias(configuredKeyId)) {
+      return configuredKeyId;
+    }
+    let resolved = this.resolvedKeys.get(configuredKeyId);
+    if (!resolved || resolved.expiresAt <= Date.now()) {
+      resolved = {
+        keyId: await this.backend.resolveKeyId(configuredKeyId),
+        expiresAt: Date.now() + KEY_RESOLUTION_TTL_MS
+      };
+      this.resolvedKeys.set(configuredKeyId, resolved);
+    }
+    return resolved.keyId;
+  }
 
-      // Canonicalize the context for verification
-      const contextString = this.canonicalizeContext(signedContext.context);
-      const message = Buffer.from(contextString, 'utf8');
-      const signature = Buffer.from(signedContext.signature, 'base64');
+  /**
+   * Adds this signer's countersignature to a signed context, e.g. to record a risk or compliance approval.
+   * The original signature and any earlier countersignatures stay valid.
+   * @param signedContext The version 2 signed context to countersign
+   * @param options Algorithm, and whether to also sign the existing signatures
+   * @returns A copy of the signed context with the countersignature appended
+   * @throws FDC3SignerError (or a subclass) whose code identifies the failure
+   */
+  async countersign(signedContext: SignedContext, options: CountersignOptions = {}): Promise<SignedContext> {
+    try {
+      assertValidEnvelope(signedContext);
+      const keyId = await this.resolveKeyId();
+      const algorithm = options.algorithm || this.config.algorithm || 'RSASSA_PKCS1_V1_5_SHA_256';
+      const existing = signedContext.countersignatures || [];
+      const unsigned: Omit<Countersignature, 'signature'> = {
+        keyId,
+        ...(keyId !== this.config.keyId && isKeyAlias(this.config.keyId) ? { keyAlias: this.config.keyId } : {}),
+        timestamp: Date.now(),
+        algorithm,
+        ...(options.coverSignatures ? { coversSignatures: true } : {})
+      };
 
-      // Verify signature using Node.js crypto
-      const publicKeyPem = this.derToPem(Buffer.from(publicKeyResult.PublicKey));
-      const verifier = crypto.createVerify(this.getNodeAlgorithm(signedContext.algorithm));
-      verifier.update(message);
-      
-      const isValid = verifier.verify(publicKeyPem, signature);
+      const { messageType, signature } = await this.signPayload(keyId, algorithm, messageType =>
+        getCountersignaturePayload(signedContext, { ...unsigned, messageType }, existing.length));
 
       return {
-        isValid,
-        context: isValid ? signedContext.context : undefined,
-        error: isValid ? undefined : 'Signature verification failed'
+        ...signedContext,
+        countersignatures: [...existing, { ...unsigned, messageType, signature }]
       };
     } catch (error) {
-      return {
-        isValid: false,
-        error: `Verification error: ${error instanceof Error ? error.message : String(error)}`
-      };
+      throw toSignerError(error, 'Failed to countersign FDC3 context');
     }
   }
 
   /**
-   * Creates a canonical JSON representation of the context for consistent signing
-   * @param context The FDC3 context to canonicalize
-   * @returns Canonical JSON string
+   * Verifies a signed intent result and checks that it answers exactly the request that was raised
+   * @param signedResult The signed result returned by the intent handler
+   * @param request The request as raised
+   * @param intent The intent the request was raised for
+   * @param options How the result was received
+   * @returns Promise resolving to verification result
+   */
+  async verifyIntentResult(
+    signedResult: SignedContext | InlineSignedContext,
+    request: SignedContext | InlineSignedContext | Context,
+    intent: string,
+    options?: VerifyCallOptions
+  ): Promise<VerificationResult> {
+    return this.verifier.verifyIntentResult(signedResult, request, intent, options);
+  }
+
+  /**
+   * Verifies the original signature and every countersignature, and checks that all required signers have signed
+   * @param signedContext The signed context to verify
+   * @param options How the context was received, and which signers are required
+   * @returns Promise resolving to per-signer results
    */
-  private canonicalizeContext(context: Context): string {
-    // Sort keys recursively to ensure consistent serialization
-    const sortKeys = (obj: any): any => {
-      if (obj === null || typeof obj !== 'object') {
-        return obj;
-      }
-      
-      if (Array.isArray(obj)) {
-        return obj.map(sortKeys);
-      }
-      
-      const sorted: any = {};
-      Object.keys(obj).sort().forEach(key => {
-        sorted[key] = sortKeys(obj[key]);
-      });
-      
-      return sorted;
-    };
+  async verifyAll(signedContext: SignedContext, options?: VerifyCallOptions): Promise<MultiSignatureVerificationResult> {
+    return this.verifier.verifyAll(signedContext, options);
+  }
+
+  /**
+   * Builds an unsigned version 2 envelope
+   * @param context The FDC3 context
+   * @param algorithm Signing or MAC algorithm
+   * @param configuredKeyId Key ID, ARN or alias to sign with (defaults to keyId)
+   * @param binding Sending app and channel or intent the signature is bound to
+   * @returns The envelope without its signature
+   */
+  private async createEnvelope(
+    context: Context,
+    algorithm: SigningAlgorithm | MacAlgorithm,
+    configuredKeyId: string = this.config.keyId,
+    binding?: ContextBinding
+  ): Promise<Omit<SignedContext, 'signature'>> {
+    // An inline signature is never part of the signed content
+    const unsigned = stripInlineSignature(context);
+    const validation = this.config.schemaValidator?.validate(unsigned);
+    if (validation && !validation.valid) {
+      throw new InvalidContextError(`Context ${unsigned?.type} does not match its schema: ${validation.errors.join('; ')}`);
+    }
 
-    return JSON.stringify(sortKeys(context));
+    const keyId = await this.resolveKeyId(configuredKeyId);
+    return {
+      version: CURRENT_ENVELOPE_VERSION,
+      canonicalization: this.config.canonicalization || 'jcs',
+      context: unsigned,
+      keyId,
+      // Recording the alias lets verifiers apply rotation policies; the signature covers both fields
+      ...(keyId !== configuredKeyId && isKeyAlias(configuredKeyId) ? { keyAlias: configuredKeyId } : {}),
+      timestamp: Date.now(),
+      algorithm,
+      nonce: generateNonce(),
+      ...(binding ? { binding } : {})
+    };
   }
 
   /**
-   * Converts DER-encoded public key to PEM format
-   * @param derBuffer DER-encoded public key
-   * @returns PEM-formatted public key
+   * Signs an unsigned envelope
+   * @param envelope The envelope without its signature
+   * @returns The signed envelope
    */
-  private derToPem(derBuffer: Buffer): string {
-    const base64 = derBuffer.toString('base64');
-    const pem = base64.match(/.{1,64}/g)?.join('\n') || base64;
-    return `-----BEGIN PUBLIC KEY-----\n${pem}\n-----END PUBLIC KEY-----`;
+  private async signEnvelope(envelope: Omit<SignedContext, 'signature'>): Promise<SignedContext> {
+    // The signature covers the canonical envelope (including messageType), so metadata cannot be altered after signing
+    const { messageType, signature } = await this.signPayload(envelope.keyId, envelope.algorithm, messageType =>
+      getSigningPayload({ ...envelope, messageType }));
+
+    return { ...envelope, messageType, signature };
   }
 
   /**
-   * Maps KMS signing algorithm to Node.js crypto algorithm
-   * @param kmsAlgorithm KMS signing algorithm
-   * @returns Node.js crypto algorithm name
+   * Signs a payload, sending its digest instead of the payload when configured or when
+   * the payload is too large for the backend
+   * @param keyId Key to sign with
+   * @param algorithm Signing algorithm, or MAC algorithm for an HMAC
+   * @param buildPayload Builds the payload for a message type, which the payload itself records
+   * @returns The message type used and the base64 signature
    */
-  private getNodeAlgorithm(kmsAlgorithm: string): string {
-    switch (kmsAlgorithm) {
-      case 'RSASSA_PKCS1_V1_5_SHA_256':
-        return 'RSA-SHA256';
-      case 'ECDSA_SHA_256':
-        return 'sha256';
-      default:
-        throw new Error(`Unsupported algorithm: ${kmsAlgorithm}`);
+  private async signPayload(
+    keyId: string,
+    algorithm: SigningAlgorithm | MacAlgorithm,
+    buildPayload: (messageType: SigningMessageType) => Buffer
+  ): Promise<{ messageType: SigningMessageType; signature: string }> {
+    const mode = this.config.messageType || 'AUTO';
+    let messageType: SigningMessageType = mode === 'AUTO' ? 'RAW' : mode;
+    let message = buildPayload(messageType);
+
+    const limit = this.backend.maxRawMessageBytes;
+    if (mode === 'AUTO' && limit !== undefined && message.length > limit) {
+      messageType = 'DIGEST';
+      message = buildPayload(messageType);
+    }
+
+    let signatureBytes: Uint8Array;
+    if (isMacAlgorithm(algorithm)) {
+      if (!isMacBackend(this.backend)) {
+        throw new UnsupportedAlgorithmError('The signing backend does not support HMAC keys');
+      }
+      signatureBytes = await this.backend.generateMac(keyId, messageType === 'DIGEST' ? digestMacMessage(message, algorithm) : message, algorithm);
+    } else {
+      signatureBytes = messageType === 'DIGEST'
+        ? await this.backend.sign(keyId, digestMessage(message, algorithm), algorithm, 'DIGEST')
+        : await this.backend.sign(keyId, message, algorithm);
     }
+
+    // Convert signature to base64
+    return { messageType, signature: Buffer.from(signatureBytes).toString('base64') };
+  }
+
+  /**
+   * Renders the signer's public key, and optionally other keys from the same backend, as a JWKS document
+   * @param keys Keys to include (defaults to the signer's key, advertised with its default algorithm)
+   * @returns JWKS document with kid set to each key's ARN
+   */
+  async exportJwks(keys: JwksKeySpec[] = [{ keyId: this.config.keyId, algorithm: this.config.algorithm }]): Promise<JsonWebKeySet> {
+    return exportJwks(this.backend, keys);
+  }
+
+  /**
+   * Reports which keys of each rotated alias are still being used by signers
+   * @returns One report per alias in the keyRotation config
+   */
+  getRotationReports(): KeyRotationReport[] {
+    return this.verifier.getRotationReports();
+  }
+
+  /**
+   * Drops a public key from the verification cache, forcing the next verify() to refetch it
+   * @param keyId Key ID, ARN or alias
+   */
+  invalidateKey(keyId: string): void {
+    this.verifier.invalidateKey(keyId);
+  }
+
+  /**
+   * Returns public key cache statistics
+   * @returns Cache statistics, or undefined if caching is disabled
+   */
+  getCacheStats(): PublicKeyCacheStats | undefined {
+    return this.verifier.getCacheStats();
   }
 }
\ No newline at end of file
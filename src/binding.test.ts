@@ -0,0 +1,108 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { checkBinding } from './binding';
+import { createSigningDesktopAgent } from './signing-desktop-agent';
+import { Context, ContextVerification } from './types';
+import { createAgent, createBus, createKmsSigner, order } from './testing';
+
+describe('checkBinding', () => {
+  it('accepts a context received where it was bound', () => {
+    assert.equal(checkBinding({ source: { appId: 'oms' }, channel: 'red' }, { source: { appId: 'oms', instanceId: 'i-1' }, channel: 'red' }), undefined);
+    assert.equal(checkBinding({ intent: 'PlaceOrder' }, { intent: 'PlaceOrder' }), undefined);
+  });
+
+  it('rejects another sender, channel or intent', () => {
+    assert.match(checkBinding({ source: { appId: 'oms' } }, { source: { appId: 'other' } })!, /received from other/);
+    assert.match(checkBinding({ channel: 'red' }, { channel: 'blue' })!, /received on channel blue/);
+    assert.match(checkBinding({ intent: 'PlaceOrder' }, { intent: 'CancelOrder' })!, /received for intent CancelOrder/);
+  });
+
+  it('rejects an intent-bound context received on a channel, and the reverse', () => {
+    assert.match(checkBinding({ intent: 'PlaceOrder' }, { channel: 'red' })!, /signed for intent PlaceOrder but received on channel red/);
+    assert.match(checkBinding({ channel: 'red' }, { intent: 'PlaceOrder' })!, /signed for channel red but received for intent PlaceOrder/);
+  });
+
+  it('rejects a channel or intent binding when the receiver does not say how the context arrived', () => {
+    assert.match(checkBinding({ channel: 'red' }, {})!, /without a channel or intent/);
+    assert.match(checkBinding({ intent: 'PlaceOrder' }, { source: { appId: 'oms' } })!, /without a channel or intent/);
+  });
+
+  it('rejects a source binding when the Desktop Agent does not report the sender', () => {
+    assert.match(checkBinding({ source: { appId: 'oms' } }, {})!, /signed by oms but received without a source/);
+    assert.match(checkBinding({ source: { appId: 'oms' }, channel: 'red' }, { channel: 'red' })!, /received without a source/);
+  });
+
+  it('compares instances only when both sides name one', () => {
+    assert.ok(checkBinding({ source: { appId: 'oms', instanceId: 'i-1' } }, { source: { appId: 'oms', instanceId: 'i-2' } }));
+    assert.equal(checkBinding({ source: { appId: 'oms', instanceId: 'i-1' } }, { source: { appId: 'oms' } }), undefined);
+  });
+});
+
+describe('bound signatures', () => {
+  it('fail verification with BINDING_MISMATCH where they were not bound', async () => {
+    const { signer, verifier } = createKmsSigner('alias/orders');
+    const signed = await signer.sign(order, undefined, { source: { appId: 'oms' }, channel: 'red' });
+
+    assert.equal((await verifier.verify(signed, { source: { appId: 'oms' }, channel: 'red' })).isValid, true);
+    const elsewhere = await verifier.verify(signed, { source: { appId: 'oms' }, channel: 'blue' });
+    assert.equal(elsewhere.code, 'BINDING_MISMATCH');
+    assert.equal(elsewhere.signatureValid, true);
+  });
+
+  it('fail verification when bound to a sender and received without metadata.source', async () => {
+    const { signer, verifier } = createKmsSigner('alias/orders');
+    const signed = await signer.sign(order, undefined, { source: { appId: 'oms' }, channel: 'red' });
+
+    const result = await verifier.verify(signed, { channel: 'red' });
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'BINDING_MISMATCH');
+  });
+
+  it('cannot have their binding changed after signing', async () => {
+    const { signer, verifier } = createKmsSigner('alias/orders');
+    const signed = await signer.sign(order, undefined, { channel: 'red' });
+
+    const result = await verifier.verify({ ...signed, binding: { channel: 'blue' } }, { channel: 'blue' });
+    assert.equal(result.code, 'SIGNATURE_MISMATCH');
+  });
+
+  it('are rejected by the signing DesktopAgent when an intent request is rebroadcast on a channel', async () => {
+    const { signer } = createKmsSigner('alias/orders');
+    const bus = createBus();
+    const omsAgent = createAgent('oms', bus);
+    const oms = createSigningDesktopAgent(omsAgent, signer, { bindContexts: true });
+    const rejected: ContextVerification[] = [];
+    const blotter = createSigningDesktopAgent(createAgent('blotter', bus), signer, {
+      bindContexts: true,
+      onRejected: (_context, verification) => rejected.push(verification)
+    });
+
+    const requests: Context[] = [];
+    const broadcasts: Context[] = [];
+    let sent: Context | undefined;
+    await blotter.addIntentListener('PlaceOrder', (context, metadata) => {
+      assert.equal((metadata as { verification: ContextVerification }).verification.isValid, true);
+      requests.push(context);
+    });
+    await blotter.addContextListener('fdc3.order', context => { broadcasts.push(context); });
+    // Capture the signed request as it travels, then send it again as a broadcast on the channel
+    const raiseIntent = omsAgent.raiseIntent;
+    omsAgent.raiseIntent = async (intent, context) => {
+      sent = context;
+      return raiseIntent(intent, context);
+    };
+
+    await oms.raiseIntent('PlaceOrder', order);
+    assert.deepEqual(requests, [order]);
+
+    await omsAgent.broadcast(sent!);
+    assert.deepEqual(broadcasts, []);
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].result?.code, 'BINDING_MISMATCH');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { AppIdentifier, ContextBinding, VerifyCallOptions } from './types';
+
+/**
+ * Checks a signature's binding against how the context was actually received. A context bound to a
+ * sender, channel or intent must be reported as received from that sender and on that channel or for
+ * that intent; one that does not say where it came from or how it arrived fails.
+ * @param binding The binding recorded in the envelope
+ * @param received The sender and channel or intent reported by the Desktop Agent
+ * @returns A description of the mismatch, or undefined if the binding holds
+ */
+export function checkBinding(binding: ContextBinding, received: VerifyCallOptions): string | undefined {
+  if (binding.source) {
+    // ContextMetadata.source is optional in FDC3, so a missing sender must not let any app rebroadcast
+    if (!received.source) {
+      return `Context was signed by ${describeApp(binding.source)} but received without a source`;
+    }
+    if (!isSameApp(binding.source, received.source)) {
+      return `Context was signed by ${describeApp(binding.source)} but received from ${describeApp(received.source)}`;
+    }
+  }
+
+  // A context raised for an intent and rebroadcast on a channel (or the reverse) must not pass
+  if (binding.channel !== undefined && received.channel !== binding.channel) {
+    return `Context was signed for channel ${binding.channel} but received ${describeTarget(received)}`;
+  }
+  if (binding.intent !== undefined && received.intent !== binding.intent) {
+    return `Context was signed for intent ${binding.intent} but received ${describeTarget(received)}`;
+  }
+  return undefined;
+}
+
+/**
+ * Compares a bound app with a reported one. The instance is compared only when both name one,
+ * so binding to an appId accepts every instance of the app.
+ */
+function isSameApp(bound: AppIdentifier, reported: AppIdentifier): boolean {
+  return bound.appId === reported.appId
+    && (bound.instanceId === undefined || reported.instanceId === undefined || bound.instanceId === reported.instanceId)
+    && (bound.desktopAgent === undefined || reported.desktopAgent === undefined || bound.desktopAgent === reported.desktopAgent);
+}
+
+function describeApp(app: AppIdentifier): string {
+  return app.instanceId ? `${app.appId} (instance ${app.instanceId})` : app.appId;
+}
+
+function describeTarget(received: VerifyCallOptions): string {
+  if (received.channel !== undefined) {
+    return `on channel ${received.channel}`;
+  }
+  return received.intent !== undefined ? `for intent ${received.intent}` : 'without a channel or intent';
+}
\ No newline at end of file
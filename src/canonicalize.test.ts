@@ -0,0 +1,73 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { canonicalize, canonicalizeJcs } from './canonicalize';
+import { getSigningPayload } from './envelope';
+import { createLocalSigner } from './testing';
+
+interface TestVector {
+  description: string;
+  input?: string;
+  envelope?: string;
+  expected: string;
+}
+
+const vectors: { canonicalization: TestVector[]; signingPayload: TestVector[] } = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'docs', 'test-vectors', 'jcs-canonicalization.json'), 'utf8')
+);
+
+describe('canonicalizeJcs', () => {
+  for (const vector of vectors.canonicalization) {
+    it(`matches the test vector: ${vector.description}`, () => {
+      assert.equal(canonicalizeJcs(JSON.parse(vector.input!)), vector.expected);
+    });
+  }
+
+  it('omits undefined properties and serializes toJSON() values', () => {
+    assert.equal(canonicalizeJcs({ b: undefined, a: new Date(0) }), '{"a":"1970-01-01T00:00:00.000Z"}');
+  });
+
+  it('rejects values JSON cannot represent', () => {
+    for (const value of [{ price: NaN }, { price: Infinity }, { note: '\ud800' }, { id: 1n }, { run: () => undefined }]) {
+      assert.throws(() => canonicalizeJcs(value), { code: 'MALFORMED_ENVELOPE' });
+    }
+  });
+
+  it('is selected by scheme, where only the legacy form lets unrepresentable numbers through', () => {
+    const value = { '😀': 2, '€': 1, b: 1e30 };
+    assert.equal(canonicalize(value, 'jcs'), '{"b":1e+30,"€":1,"😀":2}');
+    assert.equal(canonicalize(value, 'legacy'), '{"b":1e+30,"€":1,"😀":2}');
+    assert.equal(canonicalize({ price: NaN }, 'legacy'), '{"price":null}');
+    assert.throws(() => canonicalize({ price: NaN }, 'jcs'), { code: 'MALFORMED_ENVELOPE' });
+    assert.throws(() => canonicalize(value, 'xml' as 'jcs'), /Unsupported canonicalization scheme: xml/);
+  });
+});
+
+describe('signing payload', () => {
+  it('matches the version 2 envelope test vector', () => {
+    for (const vector of vectors.signingPayload) {
+      assert.equal(getSigningPayload(JSON.parse(vector.envelope!)).toString('utf8'), vector.expected);
+    }
+  });
+
+  it('verifies a context whose key order changed in transit under either scheme', async () => {
+    const { backend, verifier } = createLocalSigner('local/orders');
+
+    for (const canonicalization of ['jcs', 'legacy'] as const) {
+      const signer = new FDC3AWSKMSSigner({ keyId: 'local/orders', backend, algorithm: 'ECDSA_SHA_256', canonicalization });
+      const signed = await signer.sign({ type: 'fdc3.instrument', name: 'Apple', id: { ticker: 'AAPL', ISIN: 'US0378331005' } });
+      const reordered = { ...signed, context: { id: { ISIN: 'US0378331005', ticker: 'AAPL' }, name: 'Apple', type: 'fdc3.instrument' } };
+
+      assert.equal(signed.canonicalization, canonicalization);
+      assert.equal((await verifier.verify(reordered)).isValid, true);
+      assert.equal((await verifier.verify({ ...signed, canonicalization: canonicalization === 'jcs' ? 'legacy' : 'jcs' })).code, 'SIGNATURE_MISMATCH');
+    }
+  });
+});
\ No newline at end of file
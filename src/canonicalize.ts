@@ -0,0 +1,119 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { CanonicalizationScheme, Context } from './types';
+import { MalformedEnvelopeError } from './errors';
+
+/**
+ * Creates a canonical JSON representation of the context for consistent signing
+ * @param context The FDC3 context to canonicalize
+ * @returns Canonical JSON string
+ */
+export function canonicalizeContext(context: Context): string {
+  return canonicalizeJson(context);
+}
+
+/**
+ * Creates a canonical JSON representation of any JSON value by sorting object keys
+ * @param value The value to canonicalize
+ * @returns Canonical JSON string
+ */
+export function canonicalizeJson(value: unknown): string {
+  // Sort keys recursively to ensure consistent serialization
+  const sortKeys = (obj: any): any => {
+    if (obj === null || typeof obj !== 'object') {
+      return obj;
+    }
+    
+    if (Array.isArray(obj)) {
+      return obj.map(sortKeys);
+    }
+    
+    const sorted: any = {};
+    Object.keys(obj).sort().forEach(key => {
+      sorted[key] = sortKeys(obj[key]);
+    });
+    
+    return sorted;
+  };
+
+  return JSON.stringify(sortKeys(value));
+}
+
+/**
+ * Canonicalizes a JSON value with the given scheme
+ * @param value The value to canonicalize
+ * @param scheme Canonicalization scheme
+ * @returns Canonical JSON string
+ */
+export function canonicalize(value: unknown, scheme: CanonicalizationScheme): string {
+  switch (scheme) {
+    case 'jcs':
+      return canonicalizeJcs(value);
+    case 'legacy':
+      return canonicalizeJson(value);
+    default:
+      throw new MalformedEnvelopeError(`Unsupported canonicalization scheme: ${scheme}`);
+  }
+}
+
+/**
+ * Serializes a JSON value per RFC 8785 (JSON Canonicalization Scheme).
+ *
+ * Object keys are sorted by UTF-16 code units, numbers use the ECMAScript shortest
+ * round-trip form and strings use the minimal JSON escapes, so any conforming
+ * implementation in another language produces identical bytes. As the RFC requires,
+ * strings are not Unicode-normalized; senders must normalize before signing if needed.
+ * Properties whose value is undefined are omitted (as they would be in transit), while
+ * non-finite numbers, lone surrogates and non-JSON types are rejected with a MalformedEnvelopeError.
+ * @param value The value to canonicalize
+ * @returns Canonical JSON string
+ */
+export function canonicalizeJcs(value: unknown): string {
+  const serialize = (item: any, path: string): string => {
+    if (item === null) {
+      return 'null';
+    }
+
+    if (item !== undefined && typeof item.toJSON === 'function') {
+      return serialize(item.toJSON(), path);
+    }
+
+    switch (typeof item) {
+      case 'boolean':
+        return item ? 'true' : 'false';
+      case 'number':
+        if (!Number.isFinite(item)) {
+          throw new MalformedEnvelopeError(`JCS cannot represent non-finite number at ${path || '/'}`);
+        }
+        // ECMAScript Number serialization is the RFC 8785 number format (and renders -0 as 0)
+        return JSON.stringify(item);
+      case 'string':
+        if (/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(item)) {
+          throw new MalformedEnvelopeError(`JCS cannot represent lone surrogate in string at ${path || '/'}`);
+        }
+        return JSON.stringify(item);
+      case 'object':
+        if (Array.isArray(item)) {
+          return `[${item.map((element, index) => {
+            if (element === undefined) {
+              throw new MalformedEnvelopeError(`JCS cannot represent undefined array element at ${path}/${index}`);
+            }
+            return serialize(element, `${path}/${index}`);
+          }).join(',')}]`;
+        }
+        // Default sort compares UTF-16 code units, as RFC 8785 requires
+        return `{${Object.keys(item)
+          .filter(key => item[key] !== undefined)
+          .sort()
+          .map(key => `${serialize(key, path)}:${serialize(item[key], `${path}/${key}`)}`)
+          .join(',')}}`;
+      default:
+        throw new MalformedEnvelopeError(`JCS cannot represent value of type ${typeof item} at ${path || '/'}`);
+    }
+  };
+
+  return serialize(value, '');
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { JsonSchema } from './types';
+
+// Schemas for standard FDC3 context types, following the FDC3 2.1 context schemas. Like those, they
+// allow properties they do not list. Orders and trades also accept the flat form with instrument and
+// quantity at the top level that predates the details/product structure.
+
+const string: JsonSchema = { type: 'string' };
+
+/** Identifiers keyed by name, e.g. { orderId: 'ORD-1' } */
+const identifiers: JsonSchema = { type: 'object', additionalProperties: string };
+
+const instrument: JsonSchema = {
+  title: 'Instrument',
+  type: 'object',
+  properties: {
+    type: { const: 'fdc3.instrument' },
+    id: {
+      type: 'object',
+      properties: {
+        ticker: string,
+        BBG: string,
+        CUSIP: string,
+        FDS_ID: string,
+        FIGI: string,
+        ISIN: string,
+        PERMID: string,
+        RIC: string,
+        SEDOL: string
+      }
+    },
+    name: string,
+    market: { type: 'object' }
+  },
+  required: ['type', 'id']
+};
+
+const contact: JsonSchema = {
+  title: 'Contact',
+  type: 'object',
+  properties: {
+    type: { const: 'fdc3.contact' },
+    id: { type: 'object', properties: { email: string, FDS_ID: string } },
+    name: string
+  },
+  required: ['type', 'id']
+};
+
+const position: JsonSchema = {
+  title: 'Position',
+  type: 'object',
+  properties: {
+    type: { const: 'fdc3.position' },
+    instrument,
+    holding: { type: 'number' },
+    name: string
+  },
+  required: ['type', 'instrument', 'holding']
+};
+
+const portfolio: JsonSchema = {
+  title: 'Portfolio',
+  type: 'object',
+  properties: {
+    type: { const: 'fdc3.portfolio' },
+    positions: { type: 'array', items: position },
+    name: string
+  },
+  required: ['type', 'positions']
+};
+
+/** Fields of the flat order and trade form */
+const flatDealFields: { [name: string]: JsonSchema } = {
+  instrument,
+  quantity: { type: 'number', exclusiveMinimum: 0 },
+  price: { type: 'number', minimum: 0 }
+};
+
+const order: JsonSchema = {
+  title: 'Order',
+  type: 'object',
+  properties: {
+    type: { const: 'fdc3.order' },
+    id: identifiers,
+    name: string,
+    details: { type: 'object', properties: { product: { type: 'object' } } },
+    ...flatDealFields
+  },
+  required: ['type', 'id'],
+  anyOf: [{ required: ['details'] }, { required: ['instrument', 'quantity'] }]
+};
+
+const trade: JsonSchema = {
+  title: 'Trade',
+  type: 'object',
+  properties: {
+    type: { const: 'fdc3.trade' },
+    id: identifiers,
+    name: string,
+    product: { type: 'object' },
+    ...flatDealFields
+  },
+  required: ['type', 'id'],
+  anyOf: [{ required: ['product'] }, { required: ['instrument', 'quantity'] }]
+};
+
+/** Schemas for the standard FDC3 context types, keyed by context type */
+export const STANDARD_CONTEXT_SCHEMAS: { [contextType: string]: JsonSchema } = {
+  'fdc3.contact': contact,
+  'fdc3.instrument': instrument,
+  'fdc3.order': order,
+  'fdc3.portfolio': portfolio,
+  'fdc3.position': position,
+  'fdc3.trade': trade
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { SignedContext } from './types';
+import { createKmsSigner, instrument } from './testing';
+
+describe('FDC3ContextVerifier', () => {
+  it('verifies contexts from any signer with public key access only', async () => {
+    const { kms, signer, verifier } = createKmsSigner();
+    const signed = await signer.sign(instrument);
+
+    const result = await verifier.verify(signed);
+    assert.equal(result.isValid, true, result.error);
+    assert.equal(result.signatureValid, true);
+    assert.deepEqual(result.context, instrument);
+    assert.equal(kms.getCalls('Sign').length, 1);
+    assert.equal(kms.getCalls('GetPublicKey').length, 1);
+  });
+
+  it('gives the same result as the signer’s own verify()', async () => {
+    const { signer, verifier } = createKmsSigner();
+    const signed = await signer.sign(instrument);
+    const tampered = { ...signed, context: { ...instrument, id: { ticker: 'MSFT' } } };
+
+    assert.deepEqual(await verifier.verify(signed), await signer.verify(signed));
+    assert.equal((await verifier.verify(tampered)).code, (await signer.verify(tampered)).code);
+  });
+
+  it('returns MALFORMED_ENVELOPE instead of throwing for input that is not an envelope', async () => {
+    const { verifier } = createKmsSigner();
+
+    for (const received of [null, 'signed', { context: instrument }, { context: instrument, signature: 'AAAA', keyId: 1 }]) {
+      const result = await verifier.verify(received as unknown as SignedContext);
+      assert.equal(result.isValid, false);
+      assert.equal(result.signatureValid, false);
+      assert.equal(result.code, 'MALFORMED_ENVELOPE');
+    }
+  });
+
+  it('rejects unknown envelope versions and, by default, legacy version 1 envelopes', async () => {
+    const { signer, verifier } = createKmsSigner();
+    const signed = await signer.sign(instrument);
+
+    assert.equal((await verifier.verify({ ...signed, version: 3 as 2 })).code, 'UNSUPPORTED_VERSION');
+    const { version, ...legacy } = signed;
+    assert.equal(version, 2);
+    assert.equal((await verifier.verify(legacy)).code, 'LEGACY_ENVELOPE');
+  });
+
+  it('reports KEY_NOT_FOUND for a key KMS does not know', async () => {
+    const { signer, verifier } = createKmsSigner();
+    const signed = await signer.sign(instrument);
+
+    const result = await verifier.verify({ ...signed, keyId: 'arn:aws:kms:us-east-1:111122223333:key/unknown' });
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'KEY_NOT_FOUND');
+  });
+});
\ No newline at end of file
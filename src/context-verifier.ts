@@ -0,0 +1,513 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import {
+  Context,
+  DataKeyProvider,
+  FDC3ContextVerifierConfig,
+  FDC3SignerErrorCode,
+  SignedContext,
+  SignedContextVersion,
+  VerificationResult,
+  VerifyCallOptions,
+  InlineSignedContext,
+  PublicKeyInfo,
+  PublicKeySource,
+  PublicKeyCacheStats,
+  KeyRotationReport,
+  MacAlgorithm,
+  MacBackend,
+  MultiSignatureVerificationResult,
+  SealedContext,
+  SignatureType,
+  SignerVerificationResult,
+  SigningAlgorithm
+} from './types';
+import { KMSSigningBackend } from './kms-signing-backend';
+import { FallbackKeySource } from './fallback-key-source';
+import { PublicKeyCache } from './public-key-cache';
+import { assertValidEnvelope, getCountersignaturePayload, getEnvelopeVersion, getSigningPayload } from './envelope';
+import { verifyMessage } from './crypto-utils';
+import { ReplayGuard } from './replay-protection';
+import { checkFreshness } from './freshness';
+import { AuthorizationDecision, SignerAuthorizer } from './authorization';
+import { KeyRotationTracker } from './key-rotation';
+import { DisclosureCheck, verifyDisclosures } from './selective-disclosure';
+import { isDataKeyProvider, unsealSignedContext } from './sealing';
+import { digestMacMessage, isMacAlgorithm, isMacBackend } from './hmac';
+import { toSignerError } from './errors';
+import { fromInlineContext, isInlineSignedContext } from './inline-signature';
+import { checkBinding } from './binding';
+import { checkIntentResult } from './intent-results';
+
+/** Outcome of checking a signature against one candidate key */
+interface KeyCheck {
+  /** The key the signature was verified with */
+  keyId?: string;
+  publicKeyInfo?: PublicKeyInfo;
+  /** Alias the key rotation policy confirms the verified key belongs to */
+  alias?: string;
+  code?: FDC3SignerErrorCode;
+  error?: string;
+}
+
+/**
+ * Outcome of verifying an envelope, with the key IDs confirmed for a valid signature
+ */
+interface EnvelopeVerification {
+  result: VerificationResult;
+  verifiedKeyIds?: string[];
+}
+
+/**
+ * FDC3 Context Verifier - verifies signed FDC3 contexts from any trusted signer
+ * without needing a signing key of its own
+ */
+export class FDC3ContextVerifier {
+  private publicKeyCache?: PublicKeyCache;
+  private keySource: PublicKeySource;
+  private replayGuard?: ReplayGuard;
+  private authorizer?: SignerAuthorizer;
+  private rotation?: KeyRotationTracker;
+  private dataKeyProvider?: DataKeyProvider;
+  private macBackend?: MacBackend;
+  public config: FDC3ContextVerifierConfig;
+
+  constructor(config: FDC3ContextVerifierConfig = {}) {
+    this.config = config;
+    const source = Array.isArray(config.keySource)
+      ? new FallbackKeySource(config.keySource)
+      : config.keySource || new KMSSigningBackend({
+        region: config.region,
+        credentials: config.credentials,
+        endpoint: config.endpoint,
+        kmsClient: config.kmsClient,
+        resilience: config.resilience
+      });
+
+    if (config.publicKeyCache !== false) {
+      this.publicKeyCache = new PublicKeyCache(source, config.publicKeyCache);
+    }
+    this.keySource = this.publicKeyCache || source;
+    this.dataKeyProvider = config.dataKeyProvider || (isDataKeyProvider(source) ? source : undefined);
+    this.macBackend = config.macBackend || (isMacBackend(source) ? source : undefined);
+
+    if (config.replayProtection) {
+      this.replayGuard = new ReplayGuard(config.replayProtection);
+    }
+    if (config.authorization) {
+      this.authorizer = new SignerAuthorizer(config.authorization);
+    }
+    if (config.keyRotation) {
+      this.rotation = new KeyRotationTracker(config.keyRotation);
+    }
+  }
+
+  /**
+   * Verifies a signed FDC3 context using the signer's public key
+   * @param received The signed envelope, or a context carrying its signature inline under __signature__
+   * @param options How the context was received, e.g. the intent it was raised for
+   * @returns Promise resolving to verification result; on failure `code` identifies the reason
+   */
+  async verify(received: SignedContext | InlineSignedContext, options: VerifyCallOptions = {}): Promise<VerificationResult> {
+    return (await this.verifyEnvelope(received, options)).result;
+  }
+
+  /**
+   * Runs the verify() checks and also reports which key IDs the signature was confirmed for
+   * @param received The signed envelope, or a context carrying its signature inline
+   * @param options How the context was received
+   * @returns Promise resolving to the verification result and, if valid, the confirmed key IDs
+   */
+  private async verifyEnvelope(received: SignedContext | InlineSignedContext, options: VerifyCallOptions): Promise<EnvelopeVerification> {
+    const signedContext = isInlineSignedContext(received) ? fromInlineContext(received) : received;
+    let version: SignedContextVersion | undefined;
+    let signatureType: SignatureType | undefined;
+    let age: number | undefined;
+    let signatureValid = false;
+    let signer: string | undefined;
+    let disclosure: DisclosureCheck | undefined;
+    const fail = (code: FDC3SignerErrorCode, error: string, cause?: unknown): EnvelopeVerification => ({
+      result: { isValid: false, signatureValid, signer, version, signatureType, code, error, cause, age }
+    });
+
+    try {
+      assertValidEnvelope(signedContext);
+
+      const envelopeVersion = getEnvelopeVersion(signedContext);
+      if (envelopeVersion !== 1 && envelopeVersion !== 2) {
+        return fail('UNSUPPORTED_VERSION', `Unsupported envelope version: ${envelopeVersion}`);
+      }
+      version = envelopeVersion;
+      if (version === 1 && !this.config.allowLegacyV1) {
+        return fail('LEGACY_ENVELOPE', 'Legacy version 1 envelopes are not accepted (enable allowLegacyV1 to verify them)');
+      }
+
+      // An HMAC proves only that some holder of the shared key produced the context, so it must be opted into
+      signatureType = signedContext.signatureType ?? 'ASYMMETRIC';
+      if (signatureType === 'HMAC' && !this.config.allowHmac) {
+        return fail('HMAC_NOT_ALLOWED', 'HMAC envelopes are not accepted (enable allowHmac to verify them)');
+      }
+
+      const { algorithm } = signedContext;
+      const payload = getSigningPayload(signedContext);
+      // Signatures over a digest verify against the payload itself; an HMAC over a digest must be checked against the digest
+      const message = isMacAlgorithm(algorithm) && signedContext.messageType === 'DIGEST' ? digestMacMessage(payload, algorithm) : payload;
+      const keyCheck = await this.checkSignature(signedContext, algorithm, message, signedContext.signature);
+      if (keyCheck.code) {
+        return fail(keyCheck.code, keyCheck.error || 'Signature verification failed');
+      }
+      signatureValid = true;
+
+      // A selective disclosure signature covers field digests; check the fields actually received against them
+      if (version === 2 && signedContext.selectiveDisclosure) {
+        disclosure = verifyDisclosures(signedContext);
+        if (disclosure.error) {
+          return fail('DISCLOSURE_MISMATCH', disclosure.error);
+        }
+      }
+
+      // A valid signature shows who sent the context, not that it is well formed
+      const schemaCheck = this.config.schemaValidator?.validate(signedContext.context);
+      if (schemaCheck && !schemaCheck.valid && this.config.rejectInvalidContexts) {
+        return fail('INVALID_CONTEXT', `Context does not match its schema: ${schemaCheck.errors.join('; ')}`);
+      }
+
+      // A bound signature is only valid from the app, and on the channel or for the intent, it was signed for
+      const bindingError = signedContext.binding && checkBinding(signedContext.binding, options);
+      if (bindingError) {
+        return fail('BINDING_MISMATCH', bindingError);
+      }
+
+      const verifiedKeyIds = getVerifiedKeyIds(keyCheck, version);
+      const decision = this.authorize(verifiedKeyIds, signedContext.context.type, options.intent);
+      signer = decision.signer;
+      if (!decision.authorized) {
+        return fail('UNAUTHORIZED', decision.error || 'Signer is not authorized');
+      }
+
+      // Only trust the timestamp once the signature has been checked
+      if (this.config.freshness) {
+        const freshness = checkFreshness(signedContext, this.config.freshness);
+        age = freshness.age;
+        if (freshness.code) {
+          return fail(freshness.code, freshness.error || 'Signature is not fresh');
+        }
+      }
+
+      if (this.replayGuard) {
+        const replay = await this.replayGuard.check(signedContext);
+        if (replay) {
+          return fail(replay.code, replay.error);
+        }
+      }
+
+      if (keyCheck.keyId) {
+        this.rotation?.recordUse(keyCheck.keyId);
+      }
+
+      return {
+        result: {
+          isValid: true,
+          signatureValid,
+          signer,
+          version,
+          signatureType,
+          context: signedContext.context,
+          age,
+          ...(disclosure ? { disclosedFields: disclosure.disclosedFields, redactedFields: disclosure.redactedFields } : {}),
+          ...(schemaCheck ? { schemaValid: schemaCheck.valid, ...(schemaCheck.valid ? {} : { schemaErrors: schemaCheck.errors }) } : {})
+        },
+        verifiedKeyIds
+      };
+    } catch (error) {
+      const signerError = toSignerError(error, 'Verification error');
+      return fail(signerError.code, signerError.message, signerError.cause);
+    }
+  }
+
+  /**
+   * Verifies the original signature and every countersignature, and checks that all required signers
+   * have signed. The original signature gets the full verify() checks; countersignatures are checked
+   * for validity and authorization.
+   * @param signedContext The signed context to verify
+   * @param options How the context was received, and which signers are required
+   * @returns Promise resolving to per-signer results
+   */
+  async verifyAll(signedContext: SignedContext, options: VerifyCallOptions = {}): Promise<MultiSignatureVerificationResult> {
+    const { result: primary, verifiedKeyIds } = await this.verifyEnvelope(signedContext, options);
+    const signatures: SignerVerificationResult[] = [{
+      keyId: signedContext?.keyId,
+      keyAlias: signedContext?.keyAlias,
+      signer: primary.signer,
+      isValid: primary.isValid,
+      code: primary.code,
+      error: primary.error,
+      timestamp: signedContext?.timestamp,
+      countersignature: false,
+      ...(verifiedKeyIds ? { verifiedKeyIds } : {})
+    }];
+
+    // Countersignatures only exist on well-formed version 2 envelopes
+    if (primary.version === 2) {
+      const countersignatures = signedContext.countersignatures || [];
+      for (let index = 0; index < countersignatures.length; index++) {
+        signatures.push(await this.verifyCountersignature(signedContext, index, options.intent));
+      }
+    }
+
+    const contextType = signedContext?.context?.type;
+    const required = options.requiredSigners ?? (contextType ? this.config.requiredSigners?.[contextType] : undefined) ?? [];
+    // Match only what the policy or key source confirmed, never the keyAlias a signature declares
+    const missingSigners = required.filter(id => !signatures.some(result =>
+      result.isValid && (result.signer === id || !!result.verifiedKeyIds?.includes(id))));
+
+    const failed = signatures.find(result => !result.isValid);
+    if (failed) {
+      return {
+        isValid: false,
+        code: failed.code,
+        error: failed.countersignature ? `Countersignature by ${failed.keyId} is invalid: ${failed.error}` : failed.error,
+        signatures,
+        missingSigners
+      };
+    }
+    if (missingSigners.length > 0) {
+      return {
+        isValid: false,
+        code: 'MISSING_SIGNER',
+        error: `Missing required signers: ${missingSigners.join(', ')}`,
+        signatures,
+        missingSigners
+      };
+    }
+    return { isValid: true, signatures, missingSigners, context: primary.context };
+  }
+
+  /**
+   * Decrypts a sealed context and verifies the signed context inside it. Decrypting the data key
+   * needs permission to use the key it was sealed under (kms:Decrypt with the KMS data key provider).
+   * @param sealedContext The sealed context
+   * @param options How the context was received, e.g. the intent it was raised for
+   * @returns Promise resolving to verification result; code ACCESS_DENIED or DECRYPTION_FAILED if it could not be opened
+   */
+  async open(sealedContext: SealedContext, options: VerifyCallOptions = {}): Promise<VerificationResult> {
+    let signedContext: SignedContext;
+    try {
+      if (!this.dataKeyProvider) {
+        return { isValid: false, code: 'DECRYPTION_FAILED', error: 'No data key provider is configured to open sealed contexts' };
+      }
+      signedContext = await unsealSignedContext(sealedContext, this.dataKeyProvider);
+    } catch (error) {
+      const signerError = toSignerError(error, 'Failed to open sealed context');
+      return { isValid: false, code: signerError.code, error: signerError.message, cause: signerError.cause };
+    }
+    return this.verify(signedContext, options);
+  }
+
+  /**
+   * Verifies a signed intent result, and checks that it answers exactly the request that was raised.
+   * Authorization is checked for the intent, so the result must come from a key allowed to handle it.
+   * @param signedResult The signed result returned by the intent handler
+   * @param request The request as raised: the signed envelope, inline signed context or plain context sent
+   * @param intent The intent the request was raised for
+   * @param options How the result was received
+   * @returns Promise resolving to verification result; code REQUEST_MISMATCH if it answers another request or intent
+   */
+  async verifyIntentResult(
+    signedResult: SignedContext | InlineSignedContext,
+    request: SignedContext | InlineSignedContext | Context,
+    intent: string,
+    options: VerifyCallOptions = {}
+  ): Promise<VerificationResult> {
+    const result = await this.verify(signedResult, { ...options, intent });
+    if (!result.isValid) {
+      return result;
+    }
+    const mismatch = checkIntentResult(isInlineSignedContext(signedResult) ? fromInlineContext(signedResult) : signedResult, request, intent);
+    return mismatch ? { ...result, isValid: false, code: 'REQUEST_MISMATCH', error: mismatch } : result;
+  }
+
+  /**
+   * Verifies one countersignature and checks that its key may sign the context
+   * @param signedContext The signed context
+   * @param index Position of the countersignature
+   * @param intent Intent the context was received for, if any
+   * @returns The countersignature's result
+   */
+  private async verifyCountersignature(signedContext: SignedContext, index: number, intent?: string): Promise<SignerVerificationResult> {
+    const countersignature = (signedContext.countersignatures || [])[index];
+    const result = (fields: Pick<SignerVerificationResult, 'isValid' | 'signer' | 'code' | 'error' | 'verifiedKeyIds'>): SignerVerificationResult => ({
+      keyId: countersignature.keyId,
+      keyAlias: countersignature.keyAlias,
+      timestamp: countersignature.timestamp,
+      countersignature: true,
+      ...fields
+    });
+
+    try {
+      const message = getCountersignaturePayload(signedContext, countersignature, index);
+      const keyCheck = await this.checkSignature(countersignature, countersignature.algorithm, message, countersignature.signature);
+      if (keyCheck.code) {
+        return result({ isValid: false, code: keyCheck.code, error: keyCheck.error });
+      }
+
+      const verifiedKeyIds = getVerifiedKeyIds(keyCheck, 2);
+      const decision = this.authorize(verifiedKeyIds, signedContext.context.type, intent);
+      if (!decision.authorized) {
+        return result({ isValid: false, signer: decision.signer, code: 'UNAUTHORIZED', error: decision.error });
+      }
+
+      if (keyCheck.keyId) {
+        this.rotation?.recordUse(keyCheck.keyId);
+      }
+      return result({ isValid: true, signer: decision.signer, verifiedKeyIds });
+    } catch (error) {
+      const signerError = toSignerError(error, 'Verification error');
+      return result({ isValid: false, code: signerError.code, error: signerError.message });
+    }
+  }
+
+  /**
+   * Checks a signature against the key it names or, during a rotation, the keys its alias may map to
+   * @param signedBy keyId and keyAlias of the envelope or countersignature
+   * @param algorithm Signing algorithm, or MAC algorithm for an HMAC envelope
+   * @param message Signed payload
+   * @param signature Base64 signature or MAC
+   * @returns The verified key, and its alias if a rotation policy confirms it, on success; otherwise the failure code and message
+   */
+  private async checkSignature(
+    signedBy: Pick<SignedContext, 'keyId' | 'keyAlias'>,
+    algorithm: SigningAlgorithm | MacAlgorithm,
+    message: Buffer,
+    signature: string
+  ): Promise<KeyCheck> {
+    // During a rotation the alias may legitimately map to more than one key
+    const candidates = this.rotation
+      ? this.rotation.getCandidateKeys(signedBy)
+      : { keyIds: [signedBy.keyId], error: undefined };
+    if (candidates.error) {
+      return { code: 'KEY_RETIRED', error: candidates.error };
+    }
+
+    const signatureBytes = Buffer.from(signature, 'base64');
+    let firstFailure: KeyCheck | undefined;
+    for (const keyId of candidates.keyIds) {
+      const check = isMacAlgorithm(algorithm)
+        ? await this.checkMac(keyId, algorithm, message, signatureBytes)
+        : await this.checkKey(keyId, algorithm, message, signatureBytes);
+      if (!check.code) {
+        return candidates.alias ? { ...check, alias: candidates.alias } : check;
+      }
+      // Report why the first (current) key failed
+      firstFailure = firstFailure || check;
+    }
+    return firstFailure || { code: 'KEY_NOT_FOUND', error: `Could not retrieve public key for ${signedBy.keyId}` };
+  }
+
+  /**
+   * Fetches a public key and checks a signature with it. A failed check refetches the key once,
+   * since the cached key may be stale (e.g. an alias re-pointed during rotation).
+   * @param keyId Key to check with
+   * @param algorithm Signing algorithm
+   * @param message Signed payload
+   * @param signature Signature bytes
+   * @returns The key on success, otherwise the failure code and message
+   */
+  private async checkKey(keyId: string, algorithm: SigningAlgorithm, message: Buffer, signature: Buffer): Promise<KeyCheck> {
+    // Get the public key (cached unless caching is disabled)
+    let publicKeyInfo = await this.keySource.getPublicKey(keyId);
+
+    if (!publicKeyInfo) {
+      return { code: 'KEY_NOT_FOUND', error: `Could not retrieve public key for ${keyId}` };
+    }
+
+    // KMS reports which algorithms a key may be used with; refuse anything else
+    if (publicKeyInfo.signingAlgorithms && !publicKeyInfo.signingAlgorithms.includes(algorithm)) {
+      return { code: 'UNSUPPORTED_ALGORITHM', error: `Key ${keyId} does not support algorithm ${algorithm}` };
+    }
+
+    let isValid = verifyMessage(publicKeyInfo.publicKey, message, signature, algorithm);
+
+    if (!isValid && this.publicKeyCache?.allowRefresh(keyId)) {
+      this.publicKeyCache.invalidateKey(keyId);
+      publicKeyInfo = await this.publicKeyCache.getPublicKey(keyId);
+      isValid = !!publicKeyInfo && verifyMessage(publicKeyInfo.publicKey, message, signature, algorithm);
+    }
+
+    return isValid
+      ? { keyId, publicKeyInfo }
+      : { code: 'SIGNATURE_MISMATCH', error: 'Signature verification failed' };
+  }
+
+  /**
+   * Checks an HMAC with the MAC backend (KMS VerifyMac), since HMAC keys have no public part
+   * @param keyId Key to check with
+   * @param algorithm MAC algorithm
+   * @param message MACed payload
+   * @param mac MAC bytes
+   * @returns The key on success, otherwise the failure code and message
+   */
+  private async checkMac(keyId: string, algorithm: MacAlgorithm, message: Buffer, mac: Buffer): Promise<KeyCheck> {
+    if (!this.macBackend) {
+      return { code: 'UNSUPPORTED_ALGORITHM', error: 'No MAC backend is configured to verify HMAC envelopes' };
+    }
+    return await this.macBackend.verifyMac(keyId, message, mac, algorithm)
+      ? { keyId }
+      : { code: 'SIGNATURE_MISMATCH', error: 'HMAC verification failed' };
+  }
+
+  /**
+   * Applies the authorization policy to a verified signature. A valid signature only proves
+   * which key signed; the policy decides whether that key may sign this context.
+   * @param verifiedKeyIds Key IDs confirmed for the signature (see getVerifiedKeyIds())
+   * @param contextType Type of the signed context
+   * @param intent Intent the context was received for, if any
+   * @returns The decision (always authorized when no policy is configured)
+   */
+  private authorize(verifiedKeyIds: string[], contextType: string, intent?: string): AuthorizationDecision {
+    if (!this.authorizer) {
+      return { authorized: true };
+    }
+    return this.authorizer.authorize(verifiedKeyIds, contextType, intent);
+  }
+
+  /**
+   * Reports which keys of each rotated alias are still being used by signers
+   * @returns One report per alias in the keyRotation config
+   */
+  getRotationReports(): KeyRotationReport[] {
+    return this.rotation?.getReports() || [];
+  }
+
+  /**
+   * Drops a public key from the verification cache, forcing the next verify() to refetch it
+   * @param keyId Key ID, ARN or alias
+   */
+  invalidateKey(keyId: string): void {
+    this.publicKeyCache?.invalidateKey(keyId);
+  }
+
+  /**
+   * Returns public key cache statistics
+   * @returns Cache statistics, or undefined if caching is disabled
+   */
+  getCacheStats(): PublicKeyCacheStats | undefined {
+    return this.publicKeyCache?.getStats();
+  }
+}
+
+/**
+ * Lists the key IDs a valid signature is confirmed for: the key it verified with, the ID the key source
+ * reports for that key and, on version 2 envelopes, the alias a rotation policy confirms it belongs to.
+ * The keyAlias an envelope declares is not evidence of anything by itself, and version 1 envelopes do not sign it.
+ * @param keyCheck The successful key check
+ * @param version Envelope version
+ * @returns Distinct key IDs
+ */
+function getVerifiedKeyIds(keyCheck: KeyCheck, version: SignedContextVersion): string[] {
+  const keyIds = [keyCheck.keyId, keyCheck.publicKeyInfo?.keyId, version === 2 ? keyCheck.alias : undefined];
+  return [...new Set(keyIds.filter((id): id is string => !!id))];
+}
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as crypto from 'crypto';
+import { KMSEmulator } from './kms-emulator';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { getCountersignaturePayload } from './envelope';
+import { Countersignature, SignedContext } from './types';
+import { order } from './testing';
+
+function setup() {
+  const kms = new KMSEmulator();
+  const tradingKey = kms.createKey({ keySpec: 'ECC_NIST_P256', aliases: ['alias/trading'] });
+  const riskKey = kms.createKey({ keySpec: 'ECC_NIST_P256', aliases: ['alias/risk'] });
+  const complianceKey = kms.createKey({ keySpec: 'ECC_NIST_P256', aliases: ['alias/compliance'] });
+  const signerFor = (keyId: string) => new FDC3AWSKMSSigner({ keyId, kmsClient: kms, algorithm: 'ECDSA_SHA_256' });
+  const authorization = {
+    signers: [
+      { appId: 'trading-app', allowedKeys: [tradingKey.arn] },
+      { appId: 'risk-app', allowedKeys: [riskKey.arn] },
+      { appId: 'compliance-app', allowedKeys: [complianceKey.arn] }
+    ]
+  };
+  return {
+    kms,
+    riskKey,
+    authorization,
+    trading: signerFor('alias/trading'),
+    risk: signerFor('alias/risk'),
+    compliance: signerFor('alias/compliance')
+  };
+}
+
+/** Adds a countersignature made with a raw private key, with whatever keyId and keyAlias the holder chooses */
+function forgeCountersignature(signedContext: SignedContext, privateKey: crypto.KeyObject, fields: Omit<Countersignature, 'signature'>): SignedContext {
+  const index = (signedContext.countersignatures || []).length;
+  const signature = crypto.sign('sha256', getCountersignaturePayload(signedContext, fields, index), privateKey).toString('base64');
+  return { ...signedContext, countersignatures: [...(signedContext.countersignatures || []), { ...fields, signature }] };
+}
+
+describe('countersignatures', () => {
+  it('verifies every signature and reports the signer of each', async () => {
+    const { kms, authorization, trading, risk, compliance } = setup();
+    const approved = await compliance.countersign(await risk.countersign(await trading.sign(order)), { coverSignatures: true });
+    const verifier = new FDC3ContextVerifier({ kmsClient: kms, authorization, requiredSigners: { 'fdc3.order': ['trading-app', 'risk-app'] } });
+
+    const result = await verifier.verifyAll(approved);
+    assert.equal(result.isValid, true, result.error);
+    assert.deepEqual(result.signatures.map(signature => signature.signer), ['trading-app', 'risk-app', 'compliance-app']);
+    assert.deepEqual(result.missingSigners, []);
+
+    // The original signature is still valid on its own
+    assert.equal((await verifier.verify(approved)).isValid, true);
+  });
+
+  it('reports required signers that have not signed', async () => {
+    const { kms, authorization, trading } = setup();
+    const verifier = new FDC3ContextVerifier({ kmsClient: kms, authorization, requiredSigners: { 'fdc3.order': ['trading-app', 'risk-app'] } });
+
+    const result = await verifier.verifyAll(await trading.sign(order));
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'MISSING_SIGNER');
+    assert.deepEqual(result.missingSigners, ['risk-app']);
+  });
+
+  it('matches required signers given as verified key ARNs', async () => {
+    const { kms, riskKey, trading, risk } = setup();
+    const verifier = new FDC3ContextVerifier({ kmsClient: kms });
+    const approved = await risk.countersign(await trading.sign(order));
+
+    const result = await verifier.verifyAll(approved, { requiredSigners: [riskKey.arn] });
+    assert.equal(result.isValid, true, result.error);
+    assert.ok(result.signatures[1].verifiedKeyIds?.includes(riskKey.arn));
+  });
+
+  it('fails a countersignature whose fields were changed', async () => {
+    const { kms, authorization, trading, risk } = setup();
+    const approved = await risk.countersign(await trading.sign(order));
+    const tampered = { ...approved, countersignatures: [{ ...approved.countersignatures![0], timestamp: approved.countersignatures![0].timestamp + 1 }] };
+
+    const result = await new FDC3ContextVerifier({ kmsClient: kms, authorization }).verifyAll(tampered);
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'SIGNATURE_MISMATCH');
+    assert.equal(result.signatures[0].isValid, true);
+    assert.equal(result.signatures[1].isValid, false);
+  });
+
+  it('binds a covering countersignature to the signatures before it', async () => {
+    const { kms, authorization, trading, risk, compliance } = setup();
+    const approved = await compliance.countersign(await risk.countersign(await trading.sign(order)), { coverSignatures: true });
+    const withoutRisk = { ...approved, countersignatures: approved.countersignatures!.slice(1) };
+
+    const result = await new FDC3ContextVerifier({ kmsClient: kms, authorization }).verifyAll(withoutRisk);
+    assert.equal(result.isValid, false);
+    assert.equal(result.signatures[1].code, 'SIGNATURE_MISMATCH');
+  });
+
+  it('does not count a countersignature that only declares a required alias', async () => {
+    const { kms, trading } = setup();
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const attackerKey = kms.createKey({ privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) as string });
+    const forged = forgeCountersignature(await trading.sign(order), privateKey, {
+      keyId: attackerKey.arn,
+      keyAlias: 'alias/risk',
+      timestamp: Date.now(),
+      algorithm: 'ECDSA_SHA_256'
+    });
+
+    const result = await new FDC3ContextVerifier({ kmsClient: kms }).verifyAll(forged, { requiredSigners: ['alias/risk'] });
+    assert.equal(result.signatures[1].isValid, true);
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'MISSING_SIGNER');
+    assert.deepEqual(result.missingSigners, ['alias/risk']);
+  });
+
+  it('counts an alias as a required signer when the rotation policy confirms the key', async () => {
+    const { kms, riskKey, trading, risk } = setup();
+    const verifier = new FDC3ContextVerifier({ kmsClient: kms, keyRotation: { 'alias/risk': { currentKeyId: riskKey.arn } } });
+
+    const result = await verifier.verifyAll(await risk.countersign(await trading.sign(order)), { requiredSigners: ['alias/risk'] });
+    assert.equal(result.isValid, true, result.error);
+  });
+});
\ No newline at end of file
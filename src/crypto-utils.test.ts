@@ -0,0 +1,91 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as crypto from 'crypto';
+import { EmulatedKeySpec, KMSEmulator } from './kms-emulator';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { getKeyAlgorithms, signMessage, verifyMessage } from './crypto-utils';
+import { SigningAlgorithm } from './types';
+import { instrument } from './testing';
+
+const KEY_SPECS: [EmulatedKeySpec, SigningAlgorithm[]][] = [
+  ['RSA_2048', [
+    'RSASSA_PKCS1_V1_5_SHA_256', 'RSASSA_PKCS1_V1_5_SHA_384', 'RSASSA_PKCS1_V1_5_SHA_512',
+    'RSASSA_PSS_SHA_256', 'RSASSA_PSS_SHA_384', 'RSASSA_PSS_SHA_512'
+  ]],
+  ['ECC_NIST_P256', ['ECDSA_SHA_256']],
+  ['ECC_SECG_P256K1', ['ECDSA_SHA_256']],
+  ['ECC_NIST_P384', ['ECDSA_SHA_384']],
+  ['ECC_NIST_P521', ['ECDSA_SHA_512']],
+  ['ECC_NIST_EDWARDS25519', ['ED25519_SHA_512']]
+];
+
+describe('signing algorithms', () => {
+  const kms = new KMSEmulator();
+  const verifier = new FDC3ContextVerifier({ kmsClient: kms });
+
+  for (const [keySpec, algorithms] of KEY_SPECS) {
+    it(`sign and verify with ${keySpec} keys: ${algorithms.join(', ')}`, async () => {
+      const key = kms.createKey({ keySpec });
+      const signer = new FDC3AWSKMSSigner({ keyId: key.arn, kmsClient: kms });
+
+      for (const algorithm of algorithms) {
+        const signed = await signer.sign(instrument, algorithm);
+        assert.equal(signed.algorithm, algorithm);
+        const result = await verifier.verify(signed);
+        assert.equal(result.isValid, true, `${algorithm}: ${result.error}`);
+      }
+    });
+  }
+
+  it('are checked against the key type when signing', async () => {
+    const key = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const signer = new FDC3AWSKMSSigner({ keyId: key.arn, kmsClient: kms });
+
+    await assert.rejects(signer.sign(instrument, 'ECDSA_SHA_384'), { code: 'UNSUPPORTED_ALGORITHM' });
+    await assert.rejects(signer.sign(instrument, 'RSASSA_PSS_SHA_256'), { code: 'UNSUPPORTED_ALGORITHM' });
+  });
+
+  it('cannot be swapped in the envelope after signing', async () => {
+    const key = kms.createKey({ keySpec: 'RSA_2048' });
+    const signed = await new FDC3AWSKMSSigner({ keyId: key.arn, kmsClient: kms }).sign(instrument, 'RSASSA_PSS_SHA_256');
+
+    const result = await verifier.verify({ ...signed, algorithm: 'RSASSA_PKCS1_V1_5_SHA_256' });
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'SIGNATURE_MISMATCH');
+  });
+
+  it('must match the key type when verifying', async () => {
+    const key = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const signed = await new FDC3AWSKMSSigner({ keyId: key.arn, kmsClient: kms }).sign(instrument, 'ECDSA_SHA_256');
+
+    const result = await verifier.verify({ ...signed, algorithm: 'ECDSA_SHA_384' });
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'UNSUPPORTED_ALGORITHM');
+  });
+});
+
+describe('local signature encoding', () => {
+  it('lists the algorithms each key type supports', () => {
+    const p384 = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' }).privateKey;
+    const ed25519 = crypto.generateKeyPairSync('ed25519').privateKey;
+
+    assert.deepEqual(getKeyAlgorithms(p384), ['ECDSA_SHA_384']);
+    assert.deepEqual(getKeyAlgorithms(ed25519), ['ED25519_SHA_512']);
+  });
+
+  it('produces DER-encoded ECDSA signatures, as KMS does', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const message = Buffer.from('message');
+    const signature = signMessage(privateKey, message, 'ECDSA_SHA_256');
+
+    assert.equal(signature[0], 0x30);
+    assert.equal(verifyMessage(publicKey.export({ type: 'spki', format: 'der' }), message, signature, 'ECDSA_SHA_256'), true);
+    assert.equal(verifyMessage(publicKey.export({ type: 'spki', format: 'der' }), Buffer.from('other'), signature, 'ECDSA_SHA_256'), false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import * as crypto from 'crypto';
+import { SigningAlgorithm } from './types';
+import { UnsupportedAlgorithmError } from './errors';
+
+/**
+ * How a signing algorithm maps onto Node.js crypto
+ */
+interface AlgorithmSpec {
+  /** Digest algorithm, or null for algorithms that hash internally (Ed25519) */
+  hash: 'sha256' | 'sha384' | 'sha512' | null;
+  /** Required key type */
+  keyType: 'rsa' | 'ec' | 'ed25519';
+  /** RSA padding scheme */
+  padding?: 'pkcs1' | 'pss';
+  /** Allowed named curves for ECDSA keys */
+  curves?: string[];
+}
+
+const ALGORITHMS: { [algorithm in SigningAlgorithm]: AlgorithmSpec } = {
+  RSASSA_PKCS1_V1_5_SHA_256: { hash: 'sha256', keyType: 'rsa', padding: 'pkcs1' },
+  RSASSA_PKCS1_V1_5_SHA_384: { hash: 'sha384', keyType: 'rsa', padding: 'pkcs1' },
+  RSASSA_PKCS1_V1_5_SHA_512: { hash: 'sha512', keyType: 'rsa', padding: 'pkcs1' },
+  RSASSA_PSS_SHA_256: { hash: 'sha256', keyType: 'rsa', padding: 'pss' },
+  RSASSA_PSS_SHA_384: { hash: 'sha384', keyType: 'rsa', padding: 'pss' },
+  RSASSA_PSS_SHA_512: { hash: 'sha512', keyType: 'rsa', padding: 'pss' },
+  // KMS signs ECC_NIST_P256 and ECC_SECG_P256K1 keys with ECDSA_SHA_256
+  ECDSA_SHA_256: { hash: 'sha256', keyType: 'ec', curves: ['prime256v1', 'secp256k1'] },
+  ECDSA_SHA_384: { hash: 'sha384', keyType: 'ec', curves: ['secp384r1'] },
+  ECDSA_SHA_512: { hash: 'sha512', keyType: 'ec', curves: ['secp521r1'] },
+  ED25519_SHA_512: { hash: null, keyType: 'ed25519' }
+};
+
+/** DER DigestInfo prefixes used to build RSASSA-PKCS1-v1_5 signatures over a precomputed digest */
+const DIGEST_INFO_PREFIXES: { [hash: string]: string } = {
+  sha256: '3031300d060960864801650304020105000420',
+  sha384: '3041300d060960864801650304020205000430',
+  sha512: '3051300d060960864801650304020305000440'
+};
+
+/** Every signing algorithm this package can sign and verify with */
+export const SUPPORTED_SIGNING_ALGORITHMS = Object.keys(ALGORITHMS) as SigningAlgorithm[];
+
+/**
+ * Converts DER-encoded public key to PEM format
+ * @param derBuffer DER-encoded public key
+ * @returns PEM-formatted public key
+ */
+export function derToPem(derBuffer: Buffer): string {
+  const base64 = derBuffer.toString('base64');
+  const pem = base64.match(/.{1,64}/g)?.join('\n') || base64;
+  return `-----BEGIN PUBLIC KEY-----\n${pem}\n-----END PUBLIC KEY-----`;
+}
+
+/**
+ * Looks up how a KMS signing algorithm maps onto Node.js crypto
+ * @param kmsAlgorithm KMS signing algorithm
+ * @returns Algorithm details
+ */
+function getAlgorithmSpec(kmsAlgorithm: string): AlgorithmSpec {
+  const spec = ALGORITHMS[kmsAlgorithm as SigningAlgorithm];
+  if (!spec) {
+    throw new UnsupportedAlgorithmError(`Unsupported algorithm: ${kmsAlgorithm}`);
+  }
+  return spec;
+}
+
+/**
+ * Checks that a key can be used with an algorithm, including the ECDSA curve
+ * @param key Public or private key
+ * @param algorithm Signing algorithm
+ */
+function assertKeyMatchesAlgorithm(key: crypto.KeyObject, algorithm: SigningAlgorithm): void {
+  const spec = getAlgorithmSpec(algorithm);
+  if (key.asymmetricKeyType !== spec.keyType) {
+    throw new UnsupportedAlgorithmError(`${algorithm} requires a ${spec.keyType.toUpperCase()} key, got ${key.asymmetricKeyType}`);
+  }
+
+  const curve = key.asymmetricKeyDetails?.namedCurve;
+  if (spec.curves && (!curve || !spec.curves.includes(curve))) {
+    throw new UnsupportedAlgorithmError(`${algorithm} cannot be used with curve ${curve}`);
+  }
+}
+
+/**
+ * Builds the Node.js key options for an algorithm (PSS padding uses a salt as long as the digest, as KMS does)
+ * @param key Public or private key
+ * @param spec Algorithm details
+ * @returns Key input for crypto.sign / crypto.verify
+ */
+function getKeyOptions(key: crypto.KeyObject, spec: AlgorithmSpec): crypto.KeyObject | crypto.SignKeyObjectInput {
+  if (spec.padding !== 'pss') {
+    return key;
+  }
+  return {
+    key,
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+  };
+}
+
+/**
+ * Lists the signing algorithms usable with a Node.js key
+ * @param key Public or private key
+ * @returns Supported signing algorithms
+ */
+export function getKeyAlgorithms(key: crypto.KeyObject): SigningAlgorithm[] {
+  return SUPPORTED_SIGNING_ALGORITHMS.filter(algorithm => {
+    try {
+      assertKeyMatchesAlgorithm(key, algorithm);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Hashes a message with the digest an algorithm signs over, for DIGEST message type signing
+ * @param message Message bytes
+ * @param algorithm Signing algorithm
+ * @returns Message digest
+ */
+export function digestMessage(message: Uint8Array, algorithm: SigningAlgorithm): Buffer {
+  const spec = getAlgorithmSpec(algorithm);
+  if (!spec.hash) {
+    throw new UnsupportedAlgorithmError(`${algorithm} does not support the DIGEST message type`);
+  }
+  return crypto.createHash(spec.hash).update(message).digest();
+}
+
+/**
+ * Signs a precomputed digest locally. Node.js can only do this for RSASSA-PKCS1-v1_5,
+ * where the signature is the private-key operation over the DER DigestInfo.
+ * @param privateKey Private key to sign with
+ * @param digest Digest produced by digestMessage()
+ * @param algorithm Signing algorithm
+ * @returns Raw signature bytes
+ */
+export function signDigest(privateKey: crypto.KeyObject, digest: Uint8Array, algorithm: SigningAlgorithm): Buffer {
+  const spec = getAlgorithmSpec(algorithm);
+  assertKeyMatchesAlgorithm(privateKey, algorithm);
+  if (spec.padding !== 'pkcs1' || !spec.hash) {
+    throw new UnsupportedAlgorithmError(`Local signing of a precomputed digest is not supported for ${algorithm}`);
+  }
+
+  const digestInfo = Buffer.concat([Buffer.from(DIGEST_INFO_PREFIXES[spec.hash], 'hex'), digest]);
+  return crypto.privateEncrypt({ key: privateKey, padding: crypto.constants.RSA_PKCS1_PADDING }, digestInfo);
+}
+
+/**
+ * Signs a message locally, producing the same signature encoding as AWS KMS
+ * @param privateKey Private key to sign with
+ * @param message Message bytes
+ * @param algorithm Signing algorithm
+ * @returns Raw signature bytes
+ */
+export function signMessage(privateKey: crypto.KeyObject, message: Uint8Array, algorithm: SigningAlgorithm): Buffer {
+  const spec = getAlgorithmSpec(algorithm);
+  assertKeyMatchesAlgorithm(privateKey, algorithm);
+  return crypto.sign(spec.hash, message, getKeyOptions(privateKey, spec));
+}
+
+/**
+ * Verifies a signature against a DER-encoded public key
+ * @param publicKey DER-encoded SubjectPublicKeyInfo
+ * @param message Message bytes that were signed
+ * @param signature Raw signature bytes
+ * @param algorithm Signing algorithm
+ * @returns Whether the signature is valid
+ */
+export function verifyMessage(
+  publicKey: Uint8Array,
+  message: Uint8Array,
+  signature: Uint8Array,
+  algorithm: SigningAlgorithm
+): boolean {
+  const spec = getAlgorithmSpec(algorithm);
+  const key = crypto.createPublicKey({ key: derToPem(Buffer.from(publicKey)), format: 'pem' });
+  assertKeyMatchesAlgorithm(key, algorithm);
+  return crypto.verify(spec.hash, message, getKeyOptions(key, spec), signature);
+}
\ No newline at end of file
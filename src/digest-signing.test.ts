@@ -0,0 +1,72 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { KMSEmulator } from './kms-emulator';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { SigningMessageType } from './types';
+import { instrument } from './testing';
+
+const portfolio = {
+  type: 'fdc3.portfolio',
+  positions: Array.from({ length: 100 }, (_, index) => ({
+    type: 'fdc3.position',
+    holding: 100 + index,
+    instrument: { type: 'fdc3.instrument', id: { ticker: `TICK${index}` } }
+  }))
+};
+
+function setup(messageType?: 'AUTO' | SigningMessageType) {
+  const kms = new KMSEmulator();
+  const key = kms.createKey({ keySpec: 'RSA_2048' });
+  const signer = new FDC3AWSKMSSigner({ keyId: key.arn, kmsClient: kms, algorithm: 'RSASSA_PKCS1_V1_5_SHA_256', messageType });
+  return { kms, signer, verifier: new FDC3ContextVerifier({ kmsClient: kms }) };
+}
+
+describe('digest signing', () => {
+  it('signs contexts over the KMS raw message limit as a digest', async () => {
+    const { kms, signer, verifier } = setup();
+    assert.ok(JSON.stringify(portfolio).length > 4096);
+
+    const signed = await signer.sign(portfolio);
+    assert.equal(signed.messageType, 'DIGEST');
+    assert.equal(kms.getCalls('Sign')[0].input.MessageType, 'DIGEST');
+    const result = await verifier.verify(signed);
+    assert.equal(result.isValid, true, result.error);
+  });
+
+  it('signs small contexts raw by default, and as a digest when configured', async () => {
+    assert.equal((await setup().signer.sign(instrument)).messageType, 'RAW');
+
+    const { signer, verifier } = setup('DIGEST');
+    const signed = await signer.sign(instrument);
+    assert.equal(signed.messageType, 'DIGEST');
+    assert.equal((await verifier.verify(signed)).isValid, true);
+  });
+
+  it('fails when large contexts must be signed raw', async () => {
+    const { signer } = setup('RAW');
+    await assert.rejects(signer.sign(portfolio), /Message must be at most 4096 bytes/);
+  });
+
+  it('cannot have the message type changed after signing', async () => {
+    const { signer, verifier } = setup();
+    const signed = await signer.sign(portfolio);
+
+    const result = await verifier.verify({ ...signed, messageType: 'RAW' });
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'SIGNATURE_MISMATCH');
+  });
+
+  it('detects a changed field in a large context', async () => {
+    const { signer, verifier } = setup();
+    const signed = await signer.sign(portfolio);
+    const positions = portfolio.positions.map((position, index) => index === 42 ? { ...position, holding: 1 } : position);
+
+    assert.equal((await verifier.verify({ ...signed, context: { ...portfolio, positions } })).code, 'SIGNATURE_MISMATCH');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { createLocalSigner, instrument } from './testing';
+
+describe('signed envelopes', () => {
+  it('have the fields shown in the README envelope format', async () => {
+    const { signer } = createLocalSigner();
+    const signed = await signer.sign(instrument);
+
+    assert.deepEqual(Object.keys(signed).sort(), [
+      'algorithm', 'canonicalization', 'context', 'keyId', 'messageType', 'nonce', 'signature', 'timestamp', 'version'
+    ]);
+    assert.equal(signed.version, 2);
+    assert.equal(signed.canonicalization, 'jcs');
+    assert.equal(signed.messageType, 'RAW');
+    assert.match(signed.nonce!, /^[\w-]{22}$/);
+  });
+
+  it('fail verification when any signed field is changed', async () => {
+    const { signer, verifier } = createLocalSigner();
+    const signed = await signer.sign(instrument);
+    assert.equal((await verifier.verify(signed)).isValid, true);
+
+    const tampered = [
+      { ...signed, timestamp: signed.timestamp + 1 },
+      { ...signed, nonce: 'another-nonce' },
+      { ...signed, messageType: 'DIGEST' as const },
+      { ...signed, canonicalization: 'legacy' as const },
+      { ...signed, context: { ...instrument, id: { ticker: 'MSFT' } } }
+    ];
+    for (const envelope of tampered) {
+      const result = await verifier.verify(envelope);
+      assert.equal(result.isValid, false);
+      assert.equal(result.code, 'SIGNATURE_MISMATCH');
+    }
+  });
+});
\ No newline at end of file
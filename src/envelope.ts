@@ -0,0 +1,200 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { ContextBinding, Countersignature, SignedContext, SignedContextVersion } from './types';
+import { canonicalize, canonicalizeContext } from './canonicalize';
+import { FDC3SignerError, MalformedEnvelopeError } from './errors';
+import { isMacAlgorithm } from './hmac';
+
+/** Envelope version produced by sign() */
+export const CURRENT_ENVELOPE_VERSION: SignedContextVersion = 2;
+
+/**
+ * Returns the envelope version, treating a missing version as legacy version 1
+ * @param signedContext The signed context
+ * @returns Envelope version
+ */
+export function getEnvelopeVersion(signedContext: Pick<SignedContext, 'version'>): number {
+  return signedContext.version ?? 1;
+}
+
+/**
+ * Checks that a value has the shape of a signed context
+ * @param value The value received as a signed context
+ * @throws MalformedEnvelopeError if a required field is missing or has the wrong type
+ */
+export function assertValidEnvelope(value: unknown): asserts value is SignedContext {
+  const envelope = value as Partial<SignedContext> | null;
+  if (!envelope || typeof envelope !== 'object') {
+    throw new MalformedEnvelopeError('Signed context must be an object');
+  }
+  if (!envelope.context || typeof envelope.context !== 'object' || typeof envelope.context.type !== 'string') {
+    throw new MalformedEnvelopeError('Signed context must contain a context with a string type');
+  }
+  for (const field of ['signature', 'keyId', 'algorithm'] as const) {
+    if (typeof envelope[field] !== 'string' || !envelope[field]) {
+      throw new MalformedEnvelopeError(`Signed context field ${field} must be a non-empty string`);
+    }
+  }
+  if (typeof envelope.timestamp !== 'number' || !Number.isFinite(envelope.timestamp)) {
+    throw new MalformedEnvelopeError('Signed context field timestamp must be a number');
+  }
+  for (const field of ['nonce', 'keyAlias'] as const) {
+    if (envelope[field] !== undefined && typeof envelope[field] !== 'string') {
+      throw new MalformedEnvelopeError(`Signed context field ${field} must be a string`);
+    }
+  }
+  // The algorithm and the signature type must agree, so an HMAC can never pass for a signature or vice versa
+  const isHmac = envelope.signatureType === 'HMAC';
+  if (envelope.signatureType !== undefined && envelope.signatureType !== 'ASYMMETRIC' && !isHmac) {
+    throw new MalformedEnvelopeError(`Unknown signature type: ${envelope.signatureType}`);
+  }
+  if (isHmac !== isMacAlgorithm(envelope.algorithm as string)) {
+    throw new MalformedEnvelopeError(`Algorithm ${envelope.algorithm} does not match signature type ${envelope.signatureType ?? 'ASYMMETRIC'}`);
+  }
+  if (isHmac && getEnvelopeVersion(envelope) === 1) {
+    throw new MalformedEnvelopeError('HMAC envelopes cannot be version 1');
+  }
+  if (envelope.binding !== undefined) {
+    assertValidBinding(envelope.binding);
+    if (getEnvelopeVersion(envelope) === 1) {
+      throw new MalformedEnvelopeError('Version 1 envelopes cannot carry a binding, which they would not sign');
+    }
+  }
+  if (envelope.inResponseTo !== undefined) {
+    const { inResponseTo } = envelope;
+    if (!inResponseTo || typeof inResponseTo.intent !== 'string' || typeof inResponseTo.requestDigest !== 'string') {
+      throw new MalformedEnvelopeError('Signed context field inResponseTo must have a string intent and requestDigest');
+    }
+    if (getEnvelopeVersion(envelope) === 1) {
+      throw new MalformedEnvelopeError('Version 1 envelopes cannot be intent results');
+    }
+  }
+  if (envelope.countersignatures !== undefined) {
+    if (!Array.isArray(envelope.countersignatures)) {
+      throw new MalformedEnvelopeError('Signed context field countersignatures must be an array');
+    }
+    envelope.countersignatures.forEach(assertValidCountersignature);
+  }
+  if (envelope.selectiveDisclosure !== undefined) {
+    const { selectiveDisclosure, disclosures } = envelope;
+    if (!selectiveDisclosure || typeof selectiveDisclosure.contextType !== 'string' || !isStringMap(selectiveDisclosure.fields)) {
+      throw new MalformedEnvelopeError('Signed context field selectiveDisclosure must have a contextType and a map of field digests');
+    }
+    if (disclosures !== undefined && !isStringMap(disclosures)) {
+      throw new MalformedEnvelopeError('Signed context field disclosures must map JSON Pointers to salts');
+    }
+  }
+}
+
+function isStringMap(value: unknown): boolean {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+    && Object.values(value as object).every(item => typeof item === 'string');
+}
+
+/**
+ * Checks that a value has the shape of a binding
+ * @param value The envelope's binding
+ */
+function assertValidBinding(value: unknown): void {
+  const binding = value as Partial<ContextBinding> | null;
+  if (!binding || typeof binding !== 'object') {
+    throw new MalformedEnvelopeError('Signed context field binding must be an object');
+  }
+  if (binding.source !== undefined && (!binding.source || typeof binding.source.appId !== 'string')) {
+    throw new MalformedEnvelopeError('Signed context field binding.source must be an AppIdentifier with an appId');
+  }
+  for (const field of ['channel', 'intent'] as const) {
+    if (binding[field] !== undefined && typeof binding[field] !== 'string') {
+      throw new MalformedEnvelopeError(`Signed context field binding.${field} must be a string`);
+    }
+  }
+}
+
+/**
+ * Checks that a value has the shape of a countersignature
+ * @param value The countersignature
+ * @param index Its position in the envelope, for error messages
+ */
+function assertValidCountersignature(value: unknown, index: number): void {
+  const countersignature = value as Partial<Countersignature> | null;
+  if (!countersignature || typeof countersignature !== 'object') {
+    throw new MalformedEnvelopeError(`Countersignature ${index} must be an object`);
+  }
+  for (const field of ['signature', 'keyId', 'algorithm'] as const) {
+    if (typeof countersignature[field] !== 'string' || !countersignature[field]) {
+      throw new MalformedEnvelopeError(`Countersignature ${index} field ${field} must be a non-empty string`);
+    }
+  }
+  if (typeof countersignature.timestamp !== 'number' || !Number.isFinite(countersignature.timestamp)) {
+    throw new MalformedEnvelopeError(`Countersignature ${index} field timestamp must be a number`);
+  }
+  if (isMacAlgorithm(countersignature.algorithm as string)) {
+    throw new MalformedEnvelopeError(`Countersignature ${index} must be an asymmetric signature, not an HMAC`);
+  }
+}
+
+/**
+ * Selects the version 2 envelope fields covered by the signature
+ * @param envelope The envelope
+ * @returns The envelope without its signatures (and, for selective disclosure, without the context and salts)
+ */
+function getSignedFields(envelope: Omit<SignedContext, 'signature'> & { signature?: string }): object {
+  const { signature, countersignatures, ...unsigned } = envelope;
+  if (!unsigned.selectiveDisclosure) {
+    return unsigned;
+  }
+  const { context, disclosures, ...committed } = unsigned;
+  return committed;
+}
+
+/**
+ * Builds the exact bytes covered by the signature of an envelope.
+ * Version 1 covers only the context; version 2 covers every envelope field except the signature
+ * and countersignatures, serialized with the scheme named in the envelope's canonicalization field.
+ * Selective disclosure envelopes sign the field digests instead of the context and its salts.
+ * @param envelope The envelope (with or without its signature)
+ * @returns Message bytes to sign or verify
+ */
+export function getSigningPayload(envelope: Omit<SignedContext, 'signature'> & { signature?: string }): Buffer {
+  const version = getEnvelopeVersion(envelope);
+
+  switch (version) {
+    case 1:
+      return Buffer.from(canonicalizeContext(envelope.context), 'utf8');
+    case 2:
+      return Buffer.from(canonicalize(getSignedFields(envelope), envelope.canonicalization ?? 'legacy'), 'utf8');
+    default:
+      throw new FDC3SignerError('UNSUPPORTED_VERSION', `Unsupported envelope version: ${version}`);
+  }
+}
+
+/**
+ * Builds the bytes covered by a countersignature: the envelope's own signed fields, the
+ * countersignature's fields and, when it covers them, every signature made before it
+ * @param envelope The signed envelope
+ * @param countersignature The countersignature (with or without its signature)
+ * @param index Position of the countersignature in the envelope's countersignatures
+ * @returns Message bytes to sign or verify
+ */
+export function getCountersignaturePayload(
+  envelope: SignedContext,
+  countersignature: Omit<Countersignature, 'signature'> & { signature?: string },
+  index: number
+): Buffer {
+  if (getEnvelopeVersion(envelope) !== 2) {
+    throw new FDC3SignerError('UNSUPPORTED_VERSION', 'Only version 2 envelopes can carry countersignatures');
+  }
+
+  const { signature: ownSignature, ...countersigned } = countersignature;
+  const payload = {
+    ...getSignedFields(envelope),
+    countersignature: countersigned,
+    ...(countersigned.coversSignatures
+      ? { previousSignatures: [envelope.signature, ...(envelope.countersignatures || []).slice(0, index).map(previous => previous.signature)] }
+      : {})
+  };
+  return Buffer.from(canonicalize(payload, envelope.canonicalization ?? 'legacy'), 'utf8');
+}
\ No newline at end of file
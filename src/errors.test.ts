@@ -0,0 +1,87 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { createKmsSigner, instrument } from './testing';
+import {
+  AccessDeniedError,
+  createSignerError,
+  FDC3SignerError,
+  KeyDisabledError,
+  KeyNotFoundError,
+  ThrottledError,
+  toSignerError
+} from './errors';
+
+/** Builds an error shaped like an AWS SDK exception */
+function awsError(name: string, message = `${name} raised`): Error {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+describe('toSignerError', () => {
+  it('maps AWS SDK exceptions to typed errors by name and keeps them as the cause', () => {
+    const cause = awsError('AccessDeniedException');
+    const error = toSignerError(cause, 'Failed to sign FDC3 context');
+
+    assert.ok(error instanceof AccessDeniedError);
+    assert.ok(error instanceof FDC3SignerError);
+    assert.equal(error.code, 'ACCESS_DENIED');
+    assert.equal(error.name, 'AccessDeniedError');
+    assert.equal(error.message, 'Failed to sign FDC3 context: AccessDeniedException raised');
+    assert.equal(error.cause, cause);
+
+    assert.ok(toSignerError(awsError('NotFoundException')) instanceof KeyNotFoundError);
+    assert.ok(toSignerError(awsError('KMSInvalidStateException')) instanceof KeyDisabledError);
+    assert.ok(toSignerError(awsError('ThrottlingException')) instanceof ThrottledError);
+  });
+
+  it('reports anything else as UNKNOWN', () => {
+    assert.equal(toSignerError(new TypeError('oops')).code, 'UNKNOWN');
+    assert.equal(toSignerError('a string').message, 'a string');
+  });
+
+  it('keeps the code and root cause of typed errors when adding a prefix', () => {
+    const root = awsError('ThrottlingException');
+    const typed = toSignerError(root);
+    assert.equal(toSignerError(typed), typed);
+
+    const prefixed = toSignerError(typed, 'Verification error');
+    assert.ok(prefixed instanceof ThrottledError);
+    assert.equal(prefixed.cause, root);
+    assert.equal(prefixed.message, 'Verification error: ThrottlingException raised');
+  });
+
+  it('creates the subclass matching a code', () => {
+    assert.ok(createSignerError('KEY_DISABLED', 'disabled') instanceof KeyDisabledError);
+    const generic = createSignerError('REPLAY', 'seen before');
+    assert.equal(generic.constructor, FDC3SignerError);
+    assert.equal(generic.code, 'REPLAY');
+  });
+});
+
+describe('error codes from sign and verify', () => {
+  it('sign() throws typed errors for KMS failures', async () => {
+    const { kms, key, signer } = createKmsSigner();
+
+    kms.injectError({ errorName: 'AccessDeniedException', operation: 'Sign' });
+    await assert.rejects(signer.sign(instrument), AccessDeniedError);
+    kms.setKeyState(key.keyId, 'Disabled');
+    await assert.rejects(signer.sign(instrument), { code: 'KEY_DISABLED', name: 'KeyDisabledError' });
+  });
+
+  it('verify() reports the code instead of throwing', async () => {
+    const { kms, key, signer, verifier } = createKmsSigner();
+    const signed = await signer.sign(instrument);
+    kms.setKeyState(key.keyId, 'Disabled');
+
+    const result = await verifier.verify(signed);
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'KEY_DISABLED');
+    assert.equal((result.cause as Error).name, 'DisabledException');
+  });
+});
\ No newline at end of file
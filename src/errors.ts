@@ -0,0 +1,179 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { FDC3SignerErrorCode } from './types';
+
+/**
+ * Base class for all errors thrown by this package.
+ * Branch on `code` (or instanceof a subclass) rather than parsing the message;
+ * the underlying AWS SDK or Node.js error, if any, is available as `cause`.
+ */
+export class FDC3SignerError extends Error {
+  public readonly code: FDC3SignerErrorCode;
+  public readonly cause?: unknown;
+
+  constructor(code: FDC3SignerErrorCode, message: string, cause?: unknown) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/** The key does not exist, or is not known to the key source */
+export class KeyNotFoundError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('KEY_NOT_FOUND', message, cause);
+  }
+}
+
+/** The caller is not permitted to use the key */
+export class AccessDeniedError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('ACCESS_DENIED', message, cause);
+  }
+}
+
+/** The key exists but is disabled or pending deletion */
+export class KeyDisabledError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('KEY_DISABLED', message, cause);
+  }
+}
+
+/** KMS rejected the request because of rate limiting */
+export class ThrottledError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('THROTTLED', message, cause);
+  }
+}
+
+/** KMS or its key store is temporarily unavailable */
+export class ServiceUnavailableError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('SERVICE_UNAVAILABLE', message, cause);
+  }
+}
+
+/** The circuit breaker is open because KMS has been failing; the call was not attempted */
+export class CircuitOpenError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('CIRCUIT_OPEN', message, cause);
+  }
+}
+
+/** The signature does not match the signed payload and key */
+export class SignatureMismatchError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('SIGNATURE_MISMATCH', message, cause);
+  }
+}
+
+/** The algorithm is unknown, or cannot be used with the key */
+export class UnsupportedAlgorithmError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('UNSUPPORTED_ALGORITHM', message, cause);
+  }
+}
+
+/** The signed envelope is missing fields or has fields of the wrong type */
+export class MalformedEnvelopeError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('MALFORMED_ENVELOPE', message, cause);
+  }
+}
+
+/** The signature is older than the allowed maximum age */
+export class StaleSignatureError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('STALE', message, cause);
+  }
+}
+
+/** A sealed context could not be decrypted, e.g. its data key or ciphertext was altered */
+export class DecryptionFailedError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('DECRYPTION_FAILED', message, cause);
+  }
+}
+
+/** A context does not match the schema of its type */
+export class InvalidContextError extends FDC3SignerError {
+  constructor(message: string, cause?: unknown) {
+    super('INVALID_CONTEXT', message, cause);
+  }
+}
+
+const ERROR_CLASSES: { [code: string]: new (message: string, cause?: unknown) => FDC3SignerError } = {
+  KEY_NOT_FOUND: KeyNotFoundError,
+  ACCESS_DENIED: AccessDeniedError,
+  KEY_DISABLED: KeyDisabledError,
+  THROTTLED: ThrottledError,
+  SERVICE_UNAVAILABLE: ServiceUnavailableError,
+  CIRCUIT_OPEN: CircuitOpenError,
+  SIGNATURE_MISMATCH: SignatureMismatchError,
+  UNSUPPORTED_ALGORITHM: UnsupportedAlgorithmError,
+  MALFORMED_ENVELOPE: MalformedEnvelopeError,
+  STALE: StaleSignatureError,
+  DECRYPTION_FAILED: DecryptionFailedError,
+  INVALID_CONTEXT: InvalidContextError
+};
+
+/** AWS SDK exception names and the error codes they map to */
+const AWS_ERROR_CODES: { [errorName: string]: FDC3SignerErrorCode } = {
+  NotFoundException: 'KEY_NOT_FOUND',
+  InvalidArnException: 'KEY_NOT_FOUND',
+  AccessDeniedException: 'ACCESS_DENIED',
+  UnrecognizedClientException: 'ACCESS_DENIED',
+  ExpiredTokenException: 'ACCESS_DENIED',
+  InvalidSignatureException: 'ACCESS_DENIED',
+  DisabledException: 'KEY_DISABLED',
+  KMSInvalidStateException: 'KEY_DISABLED',
+  ThrottlingException: 'THROTTLED',
+  LimitExceededException: 'THROTTLED',
+  TooManyRequestsException: 'THROTTLED',
+  KeyUnavailableException: 'SERVICE_UNAVAILABLE',
+  DependencyTimeoutException: 'SERVICE_UNAVAILABLE',
+  KMSInternalException: 'SERVICE_UNAVAILABLE',
+  TimeoutError: 'SERVICE_UNAVAILABLE',
+  InvalidKeyUsageException: 'UNSUPPORTED_ALGORITHM',
+  UnsupportedOperationException: 'UNSUPPORTED_ALGORITHM',
+  KMSInvalidSignatureException: 'SIGNATURE_MISMATCH',
+  KMSInvalidMacException: 'SIGNATURE_MISMATCH',
+  InvalidCiphertextException: 'DECRYPTION_FAILED',
+  IncorrectKeyException: 'DECRYPTION_FAILED'
+};
+
+/**
+ * Creates the error class matching a code
+ * @param code Error code
+ * @param message Error message
+ * @param cause Underlying error
+ * @returns Typed error
+ */
+export function createSignerError(code: FDC3SignerErrorCode, message: string, cause?: unknown): FDC3SignerError {
+  const ErrorClass = ERROR_CLASSES[code];
+  return ErrorClass ? new ErrorClass(message, cause) : new FDC3SignerError(code, message, cause);
+}
+
+/**
+ * Converts any thrown value into a typed error, mapping AWS SDK exceptions by name.
+ * Typed errors keep their code and root cause; the message is optionally prefixed.
+ * @param error The thrown value
+ * @param prefix Text to prepend to the message
+ * @returns Typed error
+ */
+export function toSignerError(error: unknown, prefix?: string): FDC3SignerError {
+  const message = error instanceof Error ? error.message : String(error);
+  const fullMessage = prefix ? `${prefix}: ${message}` : message;
+
+  if (error instanceof FDC3SignerError) {
+    return prefix ? createSignerError(error.code, fullMessage, error.cause) : error;
+  }
+
+  const name = error instanceof Error ? error.name : undefined;
+  const code = (name && AWS_ERROR_CODES[name]) || 'UNKNOWN';
+  return createSignerError(code, fullMessage, error);
+}
\ No newline at end of file
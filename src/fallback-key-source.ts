@@ -0,0 +1,42 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { PublicKeyInfo, PublicKeySource } from './types';
+import { toSignerError } from './errors';
+
+/**
+ * Looks a public key up in several sources in order, e.g. a local trust store first and KMS second
+ */
+export class FallbackKeySource implements PublicKeySource {
+  constructor(private sources: PublicKeySource[]) {}
+
+  /**
+   * Returns the public key from the first source that knows it. A source that fails
+   * does not stop the lookup; its error is rethrown only if no later source has the key.
+   * @param keyId Key ID, ARN or alias
+   * @returns The public key, or undefined if no source knows the key
+   */
+  async getPublicKey(keyId: string): Promise<PublicKeyInfo | undefined> {
+    let lastError: unknown;
+
+    for (const source of this.sources) {
+      try {
+        const info = await source.getPublicKey(keyId);
+        if (info) {
+          return info;
+        }
+      } catch (error) {
+        if (toSignerError(error).code !== 'KEY_NOT_FOUND') {
+          lastError = error;
+        }
+      }
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+    return undefined;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { FDC3ContextVerifier } from './context-verifier';
+import { checkFreshness, getMaxAge } from './freshness';
+import { SignedContext } from './types';
+import { createLocalSigner, order } from './testing';
+
+const NOW = 1760000000000;
+
+function signedAt(timestamp: number, type = 'fdc3.order'): SignedContext {
+  return { context: { type }, keyId: 'key-1', timestamp, algorithm: 'ECDSA_SHA_256', signature: '' };
+}
+
+describe('checkFreshness', () => {
+  it('accepts signatures within the limit for their context type, plus the clock skew', () => {
+    assert.deepEqual(checkFreshness(signedAt(NOW - 35000), {}, NOW), { age: 35000 });
+    assert.deepEqual(checkFreshness(signedAt(NOW - 4000), {}, NOW), { age: 4000 });
+    assert.deepEqual(checkFreshness(signedAt(NOW + 4000), {}, NOW), { age: -4000 });
+  });
+
+  it('rejects signatures older than the limit as STALE', () => {
+    const result = checkFreshness(signedAt(NOW - 36000), {}, NOW);
+    assert.equal(result.code, 'STALE');
+    assert.match(result.error!, /36000ms old, exceeding the 30000ms limit for fdc3.order/);
+  });
+
+  it('rejects signatures dated beyond the clock skew as FUTURE_DATED, unless allowed', () => {
+    assert.equal(checkFreshness(signedAt(NOW + 6000), {}, NOW).code, 'FUTURE_DATED');
+    assert.equal(checkFreshness(signedAt(NOW + 6000), { allowedClockSkewMs: 10000 }, NOW).code, undefined);
+    assert.equal(checkFreshness(signedAt(NOW + 6000), { rejectFutureTimestamps: false }, NOW).code, undefined);
+  });
+
+  it('takes limits per context type over the defaults', () => {
+    assert.equal(getMaxAge('fdc3.order', {}), 30000);
+    assert.equal(getMaxAge('fdc3.instrument', {}), 3600000);
+    assert.equal(getMaxAge('fdc3.contact', {}), 300000);
+    assert.equal(getMaxAge('fdc3.contact', { maxAgeMs: 1000 }), 1000);
+    assert.equal(getMaxAge('fdc3.order', { maxAgeMs: 1000, maxAgeByContextType: { 'fdc3.order': 5000 } }), 5000);
+  });
+});
+
+describe('verify() freshness', () => {
+  it('reports the signature age and rejects stale signatures', async () => {
+    const { backend, signer } = createLocalSigner('local/orders');
+    const signed = await signer.sign(order);
+
+    const fresh = await new FDC3ContextVerifier({ keySource: backend, freshness: {} }).verify(signed);
+    assert.equal(fresh.isValid, true, fresh.error);
+    assert.ok(fresh.age! >= 0);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const stale = await new FDC3ContextVerifier({
+      keySource: backend,
+      freshness: { maxAgeByContextType: { 'fdc3.order': 5 }, allowedClockSkewMs: 0 }
+    }).verify(signed);
+    assert.equal(stale.isValid, false);
+    assert.equal(stale.signatureValid, true);
+    assert.equal(stale.code, 'STALE');
+  });
+
+  it('does not trust a timestamp changed after signing', async () => {
+    const { backend, signer } = createLocalSigner('local/orders');
+    const signed = await signer.sign(order);
+
+    const result = await new FDC3ContextVerifier({ keySource: backend, freshness: {} }).verify({ ...signed, timestamp: Date.now() + 1000 });
+    assert.equal(result.code, 'SIGNATURE_MISMATCH');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { FreshnessOptions, SignedContext, VerificationErrorCode } from './types';
+
+/**
+ * Default maximum signature age per context type, in milliseconds.
+ * Actionable contexts such as orders expire quickly; reference data may be reused for longer.
+ */
+export const DEFAULT_MAX_AGE_BY_CONTEXT_TYPE: { [contextType: string]: number } = {
+  'fdc3.order': 30 * 1000,
+  'fdc3.trade': 30 * 1000,
+  'fdc3.instrument': 60 * 60 * 1000
+};
+
+const DEFAULT_MAX_AGE_MS = 5 * 60 * 1000;
+const DEFAULT_CLOCK_SKEW_MS = 5 * 1000;
+
+/**
+ * Outcome of a freshness check
+ */
+export interface FreshnessResult {
+  /** Signature age in milliseconds (negative if dated in the future) */
+  age: number;
+  /** Error code if the signature is too old or too far in the future */
+  code?: VerificationErrorCode;
+  /** Error message if the check failed */
+  error?: string;
+}
+
+/**
+ * Returns the maximum signature age for a context type
+ * @param contextType FDC3 context type
+ * @param options Freshness options
+ * @returns Maximum age in milliseconds
+ */
+export function getMaxAge(contextType: string, options: FreshnessOptions): number {
+  const byType = { ...DEFAULT_MAX_AGE_BY_CONTEXT_TYPE, ...options.maxAgeByContextType };
+  return byType[contextType] ?? options.maxAgeMs ?? DEFAULT_MAX_AGE_MS;
+}
+
+/**
+ * Checks that a signature is neither stale nor dated in the future
+ * @param signedContext The signed context
+ * @param options Freshness options
+ * @param now Current time in epoch milliseconds
+ * @returns The signature age and any failure
+ */
+export function checkFreshness(signedContext: SignedContext, options: FreshnessOptions, now: number = Date.now()): FreshnessResult {
+  const age = now - signedContext.timestamp;
+  const skew = options.allowedClockSkewMs ?? DEFAULT_CLOCK_SKEW_MS;
+
+  if (-age > skew && (options.rejectFutureTimestamps ?? true)) {
+    return {
+      age,
+      code: 'FUTURE_DATED',
+      error: `Signature is dated ${-age}ms in the future (allowed clock skew ${skew}ms)`
+    };
+  }
+
+  const maxAge = getMaxAge(signedContext.context.type, options);
+  if (age > maxAge + skew) {
+    return {
+      age,
+      code: 'STALE',
+      error: `Signature is ${age}ms old, exceeding the ${maxAge}ms limit for ${signedContext.context.type}`
+    };
+  }
+
+  return { age };
+}
\ No newline at end of file
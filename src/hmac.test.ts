@@ -0,0 +1,70 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as crypto from 'crypto';
+import { LocalKeySigningBackend } from './local-signing-backend';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { createKmsSigner, instrument } from './testing';
+
+function setup() {
+  const { kms, signer } = createKmsSigner('alias/market-data', { hmacKeyId: 'alias/internal-mac' });
+  const macKey = kms.createKey({ keySpec: 'HMAC_256', aliases: ['alias/internal-mac'] });
+  return { kms, macKey, signer };
+}
+
+describe('HMAC envelopes', () => {
+  it('are produced with KMS GenerateMac and checked with VerifyMac', async () => {
+    const { kms, macKey, signer } = setup();
+    const signed = await signer.signHmac(instrument);
+
+    assert.equal(signed.signatureType, 'HMAC');
+    assert.equal(signed.algorithm, 'HMAC_SHA_256');
+    assert.equal(signed.keyId, macKey.arn);
+    const result = await new FDC3ContextVerifier({ kmsClient: kms, allowHmac: true }).verify(signed);
+    assert.equal(result.isValid, true, result.error);
+    assert.equal(result.signatureType, 'HMAC');
+    assert.equal(kms.getCalls('GenerateMac').length, 1);
+    assert.equal(kms.getCalls('VerifyMac').length, 1);
+  });
+
+  it('are refused unless the verifier opts in', async () => {
+    const { kms, signer } = setup();
+
+    const result = await new FDC3ContextVerifier({ kmsClient: kms }).verify(await signer.signHmac(instrument));
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'HMAC_NOT_ALLOWED');
+    assert.equal(kms.getCalls('VerifyMac').length, 0);
+  });
+
+  it('fail when the context or signature type is changed', async () => {
+    const { kms, signer } = setup();
+    const verifier = new FDC3ContextVerifier({ kmsClient: kms, allowHmac: true });
+    const signed = await signer.signHmac(instrument);
+
+    assert.equal((await verifier.verify({ ...signed, context: { ...instrument, id: { ticker: 'MSFT' } } })).code, 'SIGNATURE_MISMATCH');
+    assert.equal((await verifier.verify({ ...signed, signatureType: 'ASYMMETRIC' })).code, 'MALFORMED_ENVELOPE');
+  });
+
+  it('reject algorithms that are not HMAC algorithms', async () => {
+    const { signer } = setup();
+    await assert.rejects(signer.signHmac(instrument, 'ECDSA_SHA_256' as 'HMAC_SHA_256'), { code: 'UNSUPPORTED_ALGORITHM' });
+  });
+
+  it('work with local HMAC keys, and fail with the wrong key', async () => {
+    const key = crypto.randomBytes(32);
+    const backend = new LocalKeySigningBackend();
+    backend.addMacKey('local/mac', key);
+    const signer = new FDC3AWSKMSSigner({ keyId: 'local/mac', backend });
+    const signed = await signer.signHmac(instrument, 'HMAC_SHA_512');
+
+    assert.equal((await new FDC3ContextVerifier({ keySource: backend, allowHmac: true }).verify(signed)).isValid, true);
+    const otherBackend = new LocalKeySigningBackend();
+    otherBackend.addMacKey('local/mac', crypto.randomBytes(32));
+    assert.equal((await new FDC3ContextVerifier({ keySource: otherBackend, allowHmac: true }).verify(signed)).code, 'SIGNATURE_MISMATCH');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import * as crypto from 'crypto';
+import { MacAlgorithm, MacBackend } from './types';
+
+/** Node.js hash for each MAC algorithm */
+const MAC_HASHES: { [algorithm in MacAlgorithm]: string } = {
+  HMAC_SHA_256: 'sha256',
+  HMAC_SHA_384: 'sha384',
+  HMAC_SHA_512: 'sha512'
+};
+
+/** MAC algorithms accepted in HMAC envelopes */
+export const SUPPORTED_MAC_ALGORITHMS = Object.keys(MAC_HASHES) as MacAlgorithm[];
+
+/**
+ * Checks whether an algorithm name is a MAC algorithm
+ * @param algorithm Algorithm name from an envelope or configuration
+ * @returns Whether algorithm is one of the HMAC algorithms
+ */
+export function isMacAlgorithm(algorithm: string): algorithm is MacAlgorithm {
+  return Object.prototype.hasOwnProperty.call(MAC_HASHES, algorithm);
+}
+
+/**
+ * Checks whether an object can generate and verify MACs
+ * @param value A signing backend, key source or other object
+ * @returns Whether value implements MacBackend
+ */
+export function isMacBackend(value: unknown): value is MacBackend {
+  const backend = value as Partial<MacBackend> | null;
+  return !!backend && typeof backend.generateMac === 'function' && typeof backend.verifyMac === 'function';
+}
+
+/**
+ * Hashes a payload too large to MAC directly, with the hash of the MAC algorithm
+ * @param message Message bytes
+ * @param algorithm MAC algorithm
+ * @returns Digest to MAC in place of the message
+ */
+export function digestMacMessage(message: Uint8Array, algorithm: MacAlgorithm): Buffer {
+  return crypto.createHash(MAC_HASHES[algorithm]).update(message).digest();
+}
+
+/**
+ * Computes an HMAC locally, producing the same bytes as KMS GenerateMac
+ * @param key HMAC key
+ * @param message Message bytes
+ * @param algorithm MAC algorithm
+ * @returns MAC bytes
+ */
+export function computeHmac(key: Uint8Array, message: Uint8Array, algorithm: MacAlgorithm): Buffer {
+  return crypto.createHmac(MAC_HASHES[algorithm], key).update(message).digest();
+}
\ No newline at end of file
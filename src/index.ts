@@ -5,4 +5,30 @@
 
 export * from './types';
 export * from './aws-kms-signer';
+export * from './context-verifier';
+export * from './authorization';
+export * from './errors';
+export * from './envelope';
+export * from './canonicalize';
+export { SUPPORTED_SIGNING_ALGORITHMS, derToPem } from './crypto-utils';
+export * from './binding';
+export * from './context-schemas';
+export * from './fallback-key-source';
+export * from './freshness';
+export * from './hmac';
+export * from './inline-signature';
+export * from './intent-results';
+export * from './jwks';
+export * from './key-rotation';
+export * from './kms-emulator';
+export * from './kms-signing-backend';
+export * from './local-signing-backend';
+export * from './public-key-cache';
+export * from './replay-protection';
+export * from './resilience';
+export * from './schema-registry';
+export * from './sealing';
+export * from './selective-disclosure';
+export * from './signing-desktop-agent';
+export * from './trust-store';
 export { FDC3AWSKMSSigner as default } from './aws-kms-signer';
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { fromInlineContext, isInlineSignedContext, stripInlineSignature, toInlineContext } from './inline-signature';
+import { InlineSignedContext } from './types';
+import { createLocalSigner, instrument as unnamed } from './testing';
+
+const instrument = { ...unnamed, name: 'Apple Inc.' };
+
+describe('inline signatures', () => {
+  it('keep the context readable by apps unaware of signing', async () => {
+    const { signer } = createLocalSigner();
+    const inline = await signer.signInline(instrument);
+
+    assert.equal(inline.type, 'fdc3.instrument');
+    assert.deepEqual(inline.id, instrument.id);
+    assert.equal(inline.name, instrument.name);
+    assert.ok(isInlineSignedContext(inline));
+    assert.equal(inline.__signature__.keyId, 'local/market-data');
+    assert.equal((inline.__signature__ as { context?: unknown }).context, undefined);
+  });
+
+  it('verify, and report the context without the signature', async () => {
+    const { signer, verifier } = createLocalSigner();
+
+    const result = await verifier.verify(await signer.signInline(instrument));
+    assert.equal(result.isValid, true, result.error);
+    assert.deepEqual(result.context, instrument);
+  });
+
+  it('fail when a field beside the signature is changed or added', async () => {
+    const { signer, verifier } = createLocalSigner();
+    const inline = await signer.signInline(instrument);
+
+    assert.equal((await verifier.verify({ ...inline, name: 'Other' })).code, 'SIGNATURE_MISMATCH');
+    assert.equal((await verifier.verify({ ...inline, price: 1 } as InlineSignedContext)).code, 'SIGNATURE_MISMATCH');
+  });
+
+  it('are replaced, not signed over, when a signed context is signed again', async () => {
+    const { signer, verifier } = createLocalSigner();
+    const first = await signer.signInline(instrument);
+    const second = await signer.signInline(first);
+
+    assert.notEqual(second.__signature__.nonce, first.__signature__.nonce);
+    assert.deepEqual(stripInlineSignature(second), instrument);
+    assert.equal((await verifier.verify(second)).isValid, true);
+  });
+
+  it('convert to and from the envelope form', async () => {
+    const { signer, verifier } = createLocalSigner();
+    const signed = await signer.sign(instrument);
+
+    assert.deepEqual(fromInlineContext(toInlineContext(signed)), signed);
+    assert.equal((await verifier.verify(toInlineContext(signed))).isValid, true);
+    assert.throws(() => fromInlineContext(instrument as unknown as InlineSignedContext), { code: 'MALFORMED_ENVELOPE' });
+    assert.equal(isInlineSignedContext({ ...instrument, __signature__: 'AAAA' }), false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { Context, InlineSignature, InlineSignedContext, SignedContext } from './types';
+import { MalformedEnvelopeError } from './errors';
+
+/** Reserved context property holding an inline signature */
+export const INLINE_SIGNATURE_PROPERTY = '__signature__';
+
+/**
+ * Checks whether a received context carries an inline signature
+ * @param value The received context
+ * @returns Whether value has an object under the reserved __signature__ property
+ */
+export function isInlineSignedContext(value: unknown): value is InlineSignedContext {
+  const signature = (value as Partial<InlineSignedContext> | null)?.[INLINE_SIGNATURE_PROPERTY];
+  return !!value && typeof value === 'object' && !!signature && typeof signature === 'object';
+}
+
+/**
+ * Removes an inline signature from a context, e.g. before signing it again
+ * @param context The context
+ * @returns The context without its __signature__ property (the context itself if it has none)
+ */
+export function stripInlineSignature(context: Context): Context {
+  if (!(INLINE_SIGNATURE_PROPERTY in context)) {
+    return context;
+  }
+  const { [INLINE_SIGNATURE_PROPERTY]: signature, ...unsigned } = context;
+  return unsigned as Context;
+}
+
+/**
+ * Converts a signed envelope into a context carrying its own signature
+ * @param signedContext The signed envelope
+ * @returns The envelope's context with the other envelope fields under __signature__
+ */
+export function toInlineContext(signedContext: SignedContext): InlineSignedContext {
+  const { context, ...signature } = signedContext;
+  return { ...context, [INLINE_SIGNATURE_PROPERTY]: signature };
+}
+
+/**
+ * Converts a context carrying its own signature back into a signed envelope, e.g. to verify it
+ * @param inlineContext The context with its inline signature
+ * @returns The signed envelope
+ * @throws MalformedEnvelopeError if the context has no inline signature
+ */
+export function fromInlineContext(inlineContext: InlineSignedContext): SignedContext {
+  if (!isInlineSignedContext(inlineContext)) {
+    throw new MalformedEnvelopeError(`Context has no ${INLINE_SIGNATURE_PROPERTY} object`);
+  }
+  const { [INLINE_SIGNATURE_PROPERTY]: signature, ...context } = inlineContext;
+  return { ...(signature as InlineSignature), context: context as Context };
+}
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { createSigningDesktopAgent } from './signing-desktop-agent';
+import { checkIntentResult, getRequestDigest } from './intent-results';
+import { createAgent, createBus, createKmsSigner, order } from './testing';
+
+const trade = { type: 'fdc3.trade', id: { tradeId: 'TRD-1' }, product: { type: 'fdc3.product', id: { productId: 'AAPL' } } };
+
+function setup() {
+  const { kms, signer: oms, verifier } = createKmsSigner('alias/oms');
+  kms.createKey({ keySpec: 'ECC_NIST_P256', aliases: ['alias/broker'] });
+  return { oms, broker: new FDC3AWSKMSSigner({ keyId: 'alias/broker', kmsClient: kms, algorithm: 'ECDSA_SHA_256' }), verifier };
+}
+
+describe('signed intent results', () => {
+  it('verify as the answer to the request they were signed for', async () => {
+    const { oms, broker, verifier } = setup();
+    const request = await oms.sign(order);
+    const signedResult = await broker.signIntentResult(trade, request, 'PlaceOrder');
+
+    assert.deepEqual(signedResult.inResponseTo, { intent: 'PlaceOrder', requestDigest: getRequestDigest(request) });
+    const result = await verifier.verifyIntentResult(signedResult, request, 'PlaceOrder');
+    assert.equal(result.isValid, true, result.error);
+    assert.deepEqual(result.context, trade);
+  });
+
+  it('fail with REQUEST_MISMATCH for another request or intent', async () => {
+    const { oms, broker, verifier } = setup();
+    const request = await oms.sign(order);
+    const otherRequest = await oms.sign(order);
+    const signedResult = await broker.signIntentResult(trade, request, 'PlaceOrder');
+
+    const replayed = await verifier.verifyIntentResult(signedResult, otherRequest, 'PlaceOrder');
+    assert.equal(replayed.signatureValid, true);
+    assert.equal(replayed.code, 'REQUEST_MISMATCH');
+    assert.equal((await verifier.verifyIntentResult(signedResult, request, 'CancelOrder')).code, 'REQUEST_MISMATCH');
+    assert.equal((await verifier.verifyIntentResult(await broker.sign(trade), request, 'PlaceOrder')).code, 'REQUEST_MISMATCH');
+  });
+
+  it('cannot be pointed at another request after signing', async () => {
+    const { oms, broker, verifier } = setup();
+    const request = await oms.sign(order);
+    const otherRequest = await oms.sign(order);
+    const signedResult = await broker.signIntentResult(trade, request, 'PlaceOrder');
+
+    const moved = { ...signedResult, inResponseTo: { intent: 'PlaceOrder', requestDigest: getRequestDigest(otherRequest) } };
+    assert.equal((await verifier.verifyIntentResult(moved, otherRequest, 'PlaceOrder')).code, 'SIGNATURE_MISMATCH');
+  });
+
+  it('commit to unsigned requests by their canonical JSON', async () => {
+    const { broker } = setup();
+    const signedResult = await broker.signIntentResult(trade, order, 'PlaceOrder');
+
+    const reordered = { quantity: 100, instrument: order.instrument, id: order.id, type: 'fdc3.order' };
+    assert.equal(checkIntentResult(signedResult, reordered, 'PlaceOrder'), undefined);
+    assert.equal(checkIntentResult(signedResult, { ...order, quantity: 1 }, 'PlaceOrder'), 'Result answers a different request');
+  });
+});
+
+describe('intent results through the signing DesktopAgent', () => {
+  it('are signed by the handler and verified by getResult()', async () => {
+    const { oms, broker } = setup();
+    const bus = createBus();
+    const omsAgent = createSigningDesktopAgent(createAgent('oms', bus), oms);
+    const brokerAgent = createSigningDesktopAgent(createAgent('broker', bus), broker);
+    await brokerAgent.addIntentListener('PlaceOrder', async () => trade);
+
+    const resolution = await omsAgent.raiseIntent('PlaceOrder', order) as { getResult: () => Promise<unknown> };
+    assert.deepEqual(await resolution.getResult(), trade);
+  });
+
+  it('reject a result that answers another request', async () => {
+    const { oms, broker } = setup();
+    const bus = createBus();
+    const omsAgent = createSigningDesktopAgent(createAgent('oms', bus), oms);
+    const earlier = await broker.signIntentResult(trade, await oms.sign(order), 'PlaceOrder');
+    // A handler that answers every request with a result signed for an earlier one
+    await createAgent('broker', bus).addIntentListener('PlaceOrder', async () => ({ ...earlier, type: 'fdc3.trade' }));
+
+    const resolution = await omsAgent.raiseIntent('PlaceOrder', order) as { getResult: () => Promise<unknown> };
+    await assert.rejects(resolution.getResult(), { code: 'REQUEST_MISMATCH' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import * as crypto from 'crypto';
+import { Context, InlineSignedContext, IntentResultCommitment, SignedContext } from './types';
+import { canonicalizeJcs } from './canonicalize';
+import { getSigningPayload } from './envelope';
+import { fromInlineContext, isInlineSignedContext } from './inline-signature';
+
+/**
+ * Computes the digest an intent result commits to. For a signed request it covers the request's
+ * signed payload and signature, so it is unaffected by countersignatures or redactions added later;
+ * for an unsigned request it covers the canonical JSON of the context.
+ * @param request The request as raised: a signed envelope, an inline signed context or a plain context
+ * @returns Base64url SHA-256 digest
+ */
+export function getRequestDigest(request: SignedContext | InlineSignedContext | Context): string {
+  const envelope = isInlineSignedContext(request) ? fromInlineContext(request) : request;
+  const input = isSignedEnvelope(envelope)
+    ? canonicalizeJcs([getSigningPayload(envelope).toString('utf8'), envelope.signature])
+    : canonicalizeJcs(envelope);
+  return crypto.createHash('sha256').update(input, 'utf8').digest('base64url');
+}
+
+/**
+ * Builds the commitment a signed intent result carries
+ * @param request The request the result answers
+ * @param intent The intent the request was raised for
+ * @returns The commitment to record in the result's envelope
+ */
+export function createIntentResultCommitment(
+  request: SignedContext | InlineSignedContext | Context,
+  intent: string
+): IntentResultCommitment {
+  return { intent, requestDigest: getRequestDigest(request) };
+}
+
+/**
+ * Checks that a signed intent result answers a request
+ * @param signedResult The signed result
+ * @param request The request the caller raised
+ * @param intent The intent the caller raised it for
+ * @returns A description of the mismatch, or undefined if the result answers the request
+ */
+export function checkIntentResult(
+  signedResult: SignedContext,
+  request: SignedContext | InlineSignedContext | Context,
+  intent: string
+): string | undefined {
+  const commitment = signedResult.inResponseTo;
+  if (!commitment) {
+    return 'Result is not signed as the result of an intent';
+  }
+  if (commitment.intent !== intent) {
+    return `Result answers intent ${commitment.intent}, not ${intent}`;
+  }
+  if (commitment.requestDigest !== getRequestDigest(request)) {
+    return 'Result answers a different request';
+  }
+  return undefined;
+}
+
+function isSignedEnvelope(value: SignedContext | Context): value is SignedContext {
+  return typeof value.signature === 'string' && !!value.context && typeof value.context === 'object';
+}
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it, after } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as os from 'os';
+import * as path from 'path';
+import { AddressInfo } from 'net';
+import { FDC3ContextVerifier } from './context-verifier';
+import { exportJwks, JwksKeySource } from './jwks';
+import { FDC3SignerError, ServiceUnavailableError } from './errors';
+import { createLocalSigner, instrument } from './testing';
+
+/** Starts a local HTTP server and returns its URL */
+async function serve(server: http.Server): Promise<string> {
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${(server.address() as AddressInfo).port}/jwks.json`;
+}
+
+describe('JwksKeySource', () => {
+  const servers: http.Server[] = [];
+  const start = (handler: http.RequestListener): Promise<string> => {
+    const server = http.createServer(handler);
+    servers.push(server);
+    return serve(server);
+  };
+
+  after(() => {
+    for (const server of servers) {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  it('verifies contexts against a key set downloaded from a URL', async () => {
+    const { backend, signer } = createLocalSigner();
+    const body = JSON.stringify(await exportJwks(backend, [{ keyId: 'local/market-data', algorithm: 'ECDSA_SHA_256' }]));
+    const url = await start((_request, response) => response.end(body));
+
+    const result = await new FDC3ContextVerifier({ keySource: new JwksKeySource({ url }) }).verify(await signer.sign(instrument));
+    assert.equal(result.isValid, true, result.error);
+  });
+
+  it('reports SERVICE_UNAVAILABLE when the server does not answer in time', async () => {
+    const url = await start(() => undefined);
+    const source = new JwksKeySource({ url, timeoutMs: 50 });
+
+    await assert.rejects(source.getPublicKey('local/market-data'), { code: 'SERVICE_UNAVAILABLE', message: /no response within 50 ms/ });
+  });
+
+  it('gives up on a response that stalls part way through the body', async () => {
+    const url = await start((_request, response) => response.write('{"keys":['));
+    const source = new JwksKeySource({ url, timeoutMs: 50 });
+
+    await assert.rejects(source.getPublicKey('local/market-data'), { code: 'SERVICE_UNAVAILABLE' });
+  });
+
+  it('rejects a key set larger than maxBytes, whether or not its length is declared', async () => {
+    const padding = JSON.stringify({ keys: [], padding: 'x'.repeat(2048) });
+    const declared = await start((_request, response) => response.end(padding));
+    const streamed = await start((_request, response) => {
+      response.write(padding.slice(0, 1024));
+      response.end(padding.slice(1024));
+    });
+
+    for (const url of [declared, streamed]) {
+      await assert.rejects(new JwksKeySource({ url, maxBytes: 1024 }).getPublicKey('local/market-data'), {
+        code: 'SERVICE_UNAVAILABLE',
+        message: /larger than 1024 bytes/
+      });
+    }
+  });
+
+  it('reports SERVICE_UNAVAILABLE with the parse error as cause for a key set that is not JSON', async () => {
+    const url = await start((_request, response) => response.end('<html>Not Found</html>'));
+
+    await assert.rejects(new JwksKeySource({ url }).getPublicKey('local/market-data'), (error: FDC3SignerError) => {
+      assert.ok(error instanceof ServiceUnavailableError);
+      assert.match(error.message, /not valid JSON/);
+      assert.ok(error.cause instanceof SyntaxError);
+      return true;
+    });
+  });
+
+  it('reports SERVICE_UNAVAILABLE for a key set file that is missing or not JSON', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fdc3-jwks-'));
+    const file = path.join(directory, 'jwks.json');
+    fs.writeFileSync(file, '{"keys": [');
+
+    try {
+      await assert.rejects(new JwksKeySource({ path: file }).getPublicKey('local/market-data'), {
+        code: 'SERVICE_UNAVAILABLE',
+        message: /not valid JSON/
+      });
+      await assert.rejects(new JwksKeySource({ path: path.join(directory, 'missing.json') }).getPublicKey('local/market-data'), {
+        code: 'SERVICE_UNAVAILABLE'
+      });
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  });
+
+  it('reports SERVICE_UNAVAILABLE for HTTP errors', async () => {
+    const url = await start((_request, response) => {
+      response.statusCode = 503;
+      response.end();
+    });
+
+    await assert.rejects(new JwksKeySource({ url }).getPublicKey('local/market-data'), { code: 'SERVICE_UNAVAILABLE', message: /HTTP 503/ });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,242 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as https from 'https';
+import {
+  JsonWebKeySet,
+  JwksKeySourceConfig,
+  PublicJwk,
+  PublicKeyInfo,
+  PublicKeySource,
+  SigningAlgorithm
+} from './types';
+import { getKeyAlgorithms } from './crypto-utils';
+import { KeyNotFoundError, ServiceUnavailableError, UnsupportedAlgorithmError } from './errors';
+import { TrustStore } from './trust-store';
+
+const DEFAULT_MAX_AGE_MS = 10 * 60 * 1000;
+const DEFAULT_MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+const DEFAULT_FETCH_TIMEOUT_MS = 5 * 1000;
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+
+/** JOSE algorithm names for each signing algorithm */
+const JOSE_ALGORITHMS: { [algorithm in SigningAlgorithm]: string } = {
+  RSASSA_PKCS1_V1_5_SHA_256: 'RS256',
+  RSASSA_PKCS1_V1_5_SHA_384: 'RS384',
+  RSASSA_PKCS1_V1_5_SHA_512: 'RS512',
+  RSASSA_PSS_SHA_256: 'PS256',
+  RSASSA_PSS_SHA_384: 'PS384',
+  RSASSA_PSS_SHA_512: 'PS512',
+  ECDSA_SHA_256: 'ES256',
+  ECDSA_SHA_384: 'ES384',
+  ECDSA_SHA_512: 'ES512',
+  ED25519_SHA_512: 'EdDSA'
+};
+
+/**
+ * Identifies a key to publish, optionally with the algorithm to advertise for it
+ */
+export type JwksKeySpec = string | { keyId: string; algorithm?: SigningAlgorithm };
+
+/**
+ * Converts a public key to a JWK
+ * @param info Public key, e.g. from KMS GetPublicKey
+ * @param algorithm Algorithm to advertise (defaults to RSASSA_PKCS1_V1_5_SHA_256 for RSA keys, else the first supported)
+ * @returns Public JWK with kid set to the key's canonical ID
+ */
+export function publicKeyToJwk(info: PublicKeyInfo, algorithm?: SigningAlgorithm): PublicJwk {
+  const key = crypto.createPublicKey({ key: Buffer.from(info.publicKey), format: 'der', type: 'spki' });
+  const supported = info.signingAlgorithms || getKeyAlgorithms(key);
+  // Prefer the signer's default algorithm; KMS lists several algorithms for RSA keys
+  const alg = algorithm || (supported.includes('RSASSA_PKCS1_V1_5_SHA_256') ? 'RSASSA_PKCS1_V1_5_SHA_256' : supported[0]);
+  if (!alg || !supported.includes(alg)) {
+    throw new UnsupportedAlgorithmError(`Key ${info.keyId} does not support algorithm ${alg}`);
+  }
+
+  const jwk = key.export({ format: 'jwk' }) as Omit<PublicJwk, 'kid' | 'use' | 'alg'>;
+  return {
+    ...jwk,
+    kid: info.keyId,
+    use: 'sig',
+    // secp256k1 keys also sign with ECDSA_SHA_256, but JOSE names that algorithm separately
+    alg: jwk.crv === 'secp256k1' ? 'ES256K' : JOSE_ALGORITHMS[alg]
+  };
+}
+
+/**
+ * Maps a JOSE algorithm name back to the signing algorithm
+ * @param alg JOSE algorithm name
+ * @returns Signing algorithm, or undefined if it is not supported
+ */
+export function fromJoseAlgorithm(alg: string): SigningAlgorithm | undefined {
+  if (alg === 'ES256K') {
+    return 'ECDSA_SHA_256';
+  }
+  return (Object.keys(JOSE_ALGORITHMS) as SigningAlgorithm[]).find(algorithm => JOSE_ALGORITHMS[algorithm] === alg);
+}
+
+/**
+ * Fetches public keys and renders them as a JWKS document for publishing
+ * @param source Where to fetch the keys, e.g. a KMSSigningBackend
+ * @param keys Key IDs, ARNs or aliases to include
+ * @returns JWKS document
+ */
+export async function exportJwks(source: PublicKeySource, keys: JwksKeySpec[]): Promise<JsonWebKeySet> {
+  const jwks = await Promise.all(keys.map(async spec => {
+    const { keyId, algorithm } = typeof spec === 'string' ? { keyId: spec, algorithm: undefined } : spec;
+    const info = await source.getPublicKey(keyId);
+    if (!info) {
+      throw new KeyNotFoundError(`Could not retrieve public key for ${keyId}`);
+    }
+    return publicKeyToJwk(info, algorithm);
+  }));
+  return { keys: jwks };
+}
+
+/**
+ * Downloads a JSON document
+ * @param url HTTP(S) URL
+ * @param timeoutMs Time limit for the whole download, in milliseconds
+ * @param maxBytes Largest body accepted, in bytes
+ * @returns Parsed JSON
+ * @throws ServiceUnavailableError if the request fails, times out, or the body is too large or not JSON
+ */
+function fetchJson(url: string, timeoutMs: number, maxBytes: number): Promise<unknown> {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    // A slow or hostile server must not hold up verification or exhaust memory
+    const fail = (reason: string, cause?: unknown): void => {
+      request.destroy();
+      reject(new ServiceUnavailableError(`Failed to fetch JWKS from ${url}: ${reason}`, cause));
+    };
+    const timer = setTimeout(() => fail(`no response within ${timeoutMs} ms`), timeoutMs);
+
+    const request = client.get(url, { headers: { accept: 'application/json' } }, response => {
+      if (response.statusCode !== 200) {
+        fail(`HTTP ${response.statusCode}`);
+        return;
+      }
+      if (Number(response.headers['content-length']) > maxBytes) {
+        fail(`the document is larger than ${maxBytes} bytes`);
+        return;
+      }
+
+      const chunks: Buffer[] = [];
+      let size = 0;
+      response.on('data', (chunk: Buffer) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          fail(`the document is larger than ${maxBytes} bytes`);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          fail('the document is not valid JSON', error);
+        }
+      });
+    });
+    request.on('error', error => fail(error.message, error));
+    request.on('close', () => clearTimeout(timer));
+  });
+}
+
+/**
+ * Public key source backed by a JWKS document from a URL, file or object.
+ * The key set is reloaded when it expires, and early when a signed context names an unknown
+ * key ID (rate-limited), so newly published keys are picked up.
+ */
+export class JwksKeySource implements PublicKeySource {
+  private trustStore?: TrustStore;
+  private loadedAt = 0;
+  private loading?: Promise<TrustStore>;
+  private maxAgeMs: number;
+  private minRefreshIntervalMs: number;
+
+  constructor(private config: JwksKeySourceConfig) {
+    this.maxAgeMs = config.maxAgeMs ?? DEFAULT_MAX_AGE_MS;
+    this.minRefreshIntervalMs = config.minRefreshIntervalMs ?? DEFAULT_MIN_REFRESH_INTERVAL_MS;
+  }
+
+  /**
+   * Returns a public key from the key set
+   * @param keyId Key ID (the JWK kid)
+   * @returns The public key, or undefined if the key set does not contain it
+   */
+  async getPublicKey(keyId: string): Promise<PublicKeyInfo | undefined> {
+    const age = Date.now() - this.loadedAt;
+    let trustStore = this.trustStore;
+    if (!trustStore || age >= this.maxAgeMs || (!trustStore.has(keyId) && age >= this.minRefreshIntervalMs)) {
+      trustStore = await this.load();
+    }
+    return trustStore.getPublicKey(keyId);
+  }
+
+  /**
+   * Reloads the key set, sharing one load between concurrent callers
+   * @returns Trust store holding the signing keys from the key set
+   */
+  private load(): Promise<TrustStore> {
+    if (!this.loading) {
+      this.loading = this.readJwks()
+        .then(jwks => {
+          this.trustStore = toTrustStore(jwks);
+          this.loadedAt = Date.now();
+          return this.trustStore;
+        })
+        .finally(() => {
+          this.loading = undefined;
+        });
+    }
+    return this.loading;
+  }
+
+  private async readJwks(): Promise<JsonWebKeySet> {
+    if (this.config.jwks) {
+      return this.config.jwks;
+    }
+    if (this.config.path) {
+      try {
+        return JSON.parse(await fs.promises.readFile(this.config.path, 'utf8'));
+      } catch (error) {
+        const reason = error instanceof SyntaxError ? 'the document is not valid JSON' : (error as Error).message;
+        throw new ServiceUnavailableError(`Failed to read JWKS from ${this.config.path}: ${reason}`, error);
+      }
+    }
+    if (this.config.url) {
+      const timeoutMs = this.config.timeoutMs ?? DEFAULT_FETCH_TIMEOUT_MS;
+      return await fetchJson(this.config.url, timeoutMs, this.config.maxBytes ?? DEFAULT_MAX_BYTES) as JsonWebKeySet;
+    }
+    throw new Error('JwksKeySource requires a url, path or jwks');
+  }
+}
+
+/**
+ * Loads the signing keys of a JWKS document into a trust store. Keys without a kid,
+ * keys not meant for signatures and keys with an unsupported alg are skipped.
+ * @param jwks JWKS document
+ * @returns Trust store indexed by kid
+ */
+function toTrustStore(jwks: JsonWebKeySet): TrustStore {
+  const trustStore = new TrustStore();
+  for (const jwk of jwks.keys || []) {
+    const algorithm = jwk.alg ? fromJoseAlgorithm(jwk.alg) : undefined;
+    if (!jwk.kid || (jwk.use && jwk.use !== 'sig') || (jwk.alg && !algorithm)) {
+      continue;
+    }
+    trustStore.addKey({
+      keyId: jwk.kid,
+      jwk: { ...jwk },
+      signingAlgorithms: algorithm ? [algorithm] : undefined
+    });
+  }
+  return trustStore;
+}
\ No newline at end of file
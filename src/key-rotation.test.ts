@@ -0,0 +1,151 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as crypto from 'crypto';
+import { KMSEmulator } from './kms-emulator';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { createKmsSigner, order, signEnvelope } from './testing';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('key rotation', () => {
+  it('records the resolved key ARN and keeps old signatures verifiable after the alias moves', async () => {
+    const { kms, key: oldKey, signer } = createKmsSigner('alias/trading-orders');
+    const signed = await signer.sign(order);
+    assert.equal(signed.keyId, oldKey.arn);
+
+    const newKey = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    kms.setAlias('alias/trading-orders', newKey.keyId);
+    const verifier = new FDC3ContextVerifier({
+      kmsClient: kms,
+      keyRotation: {
+        'alias/trading-orders': { currentKeyId: newKey.arn, previousKeys: [{ keyId: oldKey.arn, retiredAt: Date.now() }] }
+      }
+    });
+
+    const result = await verifier.verify(signed);
+    assert.equal(result.isValid, true, result.error);
+    assert.deepEqual(verifier.getRotationReports()[0].keysStillInUse, [oldKey.arn]);
+  });
+
+  it('resolves aliases once per cache period', async () => {
+    const { kms, signer } = createKmsSigner('alias/trading-orders');
+    await signer.sign(order);
+    await signer.countersign(await signer.sign(order));
+    assert.equal(kms.getCalls('DescribeKey').length, 1);
+  });
+
+  it('signs with a key ARN without calling DescribeKey', async () => {
+    const { kms, key: oldKey } = createKmsSigner('alias/trading-orders');
+    const signer = new FDC3AWSKMSSigner({ keyId: oldKey.arn, kmsClient: kms, algorithm: 'ECDSA_SHA_256' });
+    // A signer granted only kms:Sign
+    kms.injectError({ errorName: 'AccessDeniedException', operation: 'DescribeKey', times: Infinity });
+
+    const signed = await signer.sign(order);
+    assert.equal(signed.keyId, oldKey.arn);
+    assert.equal(signed.keyAlias, undefined);
+    assert.equal(kms.getCalls('DescribeKey').length, 0);
+  });
+
+  it('rejects keys whose grace period has ended', async () => {
+    const { kms, key: oldKey, signer } = createKmsSigner('alias/trading-orders');
+    const signed = await signer.sign(order);
+    const newKey = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const verifier = new FDC3ContextVerifier({
+      kmsClient: kms,
+      keyRotation: {
+        'alias/trading-orders': {
+          currentKeyId: newKey.arn,
+          previousKeys: [{ keyId: oldKey.arn, retiredAt: Date.now() - 30 * DAY }],
+          gracePeriodMs: 7 * DAY
+        }
+      }
+    });
+
+    const result = await verifier.verify(signed);
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'KEY_RETIRED');
+  });
+
+  it('authorizes an alias in allowedKeys for keys the rotation policy confirms', async () => {
+    const { kms, key: oldKey, signer } = createKmsSigner('alias/trading-orders');
+    const verifier = new FDC3ContextVerifier({
+      kmsClient: kms,
+      keyRotation: { 'alias/trading-orders': { currentKeyId: oldKey.arn } },
+      authorization: { signers: [{ appId: 'trading-app', allowedKeys: ['alias/trading-orders'] }] }
+    });
+
+    const result = await verifier.verify(await signer.sign(order));
+    assert.equal(result.isValid, true, result.error);
+    assert.equal(result.signer, 'trading-app');
+  });
+
+  it('does not authorize an unrelated key that declares a trusted alias', async () => {
+    const { kms, key: oldKey } = createKmsSigner('alias/trading-orders');
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const attackerKey = kms.createKey({ privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) as string });
+    const forged = signEnvelope(privateKey, {
+      version: 2,
+      context: order,
+      keyId: attackerKey.arn,
+      keyAlias: 'alias/trading-orders',
+      timestamp: Date.now(),
+      algorithm: 'ECDSA_SHA_256',
+      nonce: crypto.randomUUID(),
+      canonicalization: 'jcs',
+      messageType: 'RAW'
+    });
+    const authorization = { signers: [{ appId: 'trading-app', allowedKeys: ['alias/trading-orders'] }] };
+
+    const withoutRotation = await new FDC3ContextVerifier({ kmsClient: kms, authorization }).verify(forged);
+    assert.equal(withoutRotation.signatureValid, true);
+    assert.equal(withoutRotation.isValid, false);
+    assert.equal(withoutRotation.code, 'UNAUTHORIZED');
+    assert.equal(withoutRotation.signer, undefined);
+
+    const withRotation = await new FDC3ContextVerifier({
+      kmsClient: kms,
+      authorization,
+      keyRotation: { 'alias/trading-orders': { currentKeyId: oldKey.arn } }
+    }).verify(forged);
+    assert.equal(withRotation.isValid, false);
+    assert.equal(withRotation.code, 'KEY_RETIRED');
+  });
+
+  it('never authorizes by alias on version 1 envelopes, whose keyAlias is unsigned', async () => {
+    const kms = new KMSEmulator();
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const key = kms.createKey({ privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) as string, aliases: ['alias/trading-orders'] });
+    const legacy = signEnvelope(privateKey, {
+      context: order,
+      keyId: key.arn,
+      keyAlias: 'alias/trading-orders',
+      timestamp: Date.now(),
+      algorithm: 'ECDSA_SHA_256'
+    });
+    const config = {
+      kmsClient: kms,
+      allowLegacyV1: true,
+      keyRotation: { 'alias/trading-orders': { currentKeyId: key.arn } }
+    };
+
+    const byAlias = await new FDC3ContextVerifier({
+      ...config,
+      authorization: { signers: [{ appId: 'trading-app', allowedKeys: ['alias/trading-orders'] }] }
+    }).verify(legacy);
+    assert.equal(byAlias.version, 1);
+    assert.equal(byAlias.code, 'UNAUTHORIZED');
+
+    const byArn = await new FDC3ContextVerifier({
+      ...config,
+      authorization: { signers: [{ appId: 'trading-app', allowedKeys: [key.arn] }] }
+    }).verify(legacy);
+    assert.equal(byArn.isValid, true, byArn.error);
+    assert.equal(byArn.signer, 'trading-app');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { KeyRotationPolicy, KeyRotationReport, KeyUsage, SignedContext } from './types';
+
+const DEFAULT_GRACE_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a key identifier is a KMS alias name or alias ARN
+ * @param keyId Key ID, ARN or alias
+ * @returns Whether keyId names an alias
+ */
+export function isKeyAlias(keyId: string): boolean {
+  return /(^|:)alias\//.test(keyId);
+}
+
+/**
+ * Keys a signed context may be verified with
+ */
+export interface KeyCandidates {
+  /** Keys to try, current key first */
+  keyIds: string[];
+  /** Alias the context was signed under, when it has a rotation policy */
+  alias?: string;
+  /** Why the context must be rejected without trying any key */
+  error?: string;
+}
+
+/**
+ * Applies key rotation policies during verification and tracks which keys of each
+ * rotated alias are still being used, so old keys can be disabled once nothing signs with them
+ */
+export class KeyRotationTracker {
+  private usage = new Map<string, { uses: number; lastUsedAt: number }>();
+
+  constructor(private policies: { [alias: string]: KeyRotationPolicy }) {}
+
+  /**
+   * Works out which keys may have signed a context. An envelope that records its alias must name
+   * a key that is current or within its grace period; a legacy envelope whose keyId is the alias
+   * itself is tried against every accepted key of the alias.
+   * @param signedContext The signed context, or a countersignature
+   * @param now Verification time in epoch milliseconds
+   * @returns Candidate keys, or an error if the named key has been retired
+   */
+  getCandidateKeys(signedContext: Pick<SignedContext, 'keyId' | 'keyAlias'>, now: number = Date.now()): KeyCandidates {
+    const alias = signedContext.keyAlias ?? (isKeyAlias(signedContext.keyId) ? signedContext.keyId : undefined);
+    const policy = alias !== undefined ? this.policies[alias] : undefined;
+    if (!alias || !policy) {
+      return { keyIds: [signedContext.keyId] };
+    }
+
+    const accepted = this.getKeys(policy, now)
+      .filter(key => key.status !== 'retired')
+      .map(key => key.keyId);
+
+    if (signedContext.keyId === alias) {
+      return { keyIds: accepted, alias };
+    }
+    if (!accepted.includes(signedContext.keyId)) {
+      return { keyIds: [], alias, error: `Key ${signedContext.keyId} is no longer accepted for ${alias}` };
+    }
+    return { keyIds: [signedContext.keyId], alias };
+  }
+
+  /**
+   * Records that a context signed with a key was verified
+   * @param keyId Key ID the signature was verified with
+   * @param now Verification time in epoch milliseconds
+   */
+  recordUse(keyId: string, now: number = Date.now()): void {
+    const entry = this.usage.get(keyId);
+    this.usage.set(keyId, { uses: (entry?.uses ?? 0) + 1, lastUsedAt: now });
+  }
+
+  /**
+   * Reports usage of the keys of every rotated alias
+   * @param now Report time in epoch milliseconds
+   * @returns One report per alias with a rotation policy
+   */
+  getReports(now: number = Date.now()): KeyRotationReport[] {
+    return Object.keys(this.policies).map(alias => {
+      const policy = this.policies[alias];
+      const retiredAt = new Map((policy.previousKeys || []).map(key => [key.keyId, key.retiredAt]));
+      const keys: KeyUsage[] = this.getKeys(policy, now).map(key => ({ ...key, ...(this.usage.get(key.keyId) ?? { uses: 0 }) }));
+
+      return {
+        alias,
+        keys,
+        keysStillInUse: keys
+          .filter(key => key.status !== 'current' && key.lastUsedAt !== undefined && key.lastUsedAt >= (retiredAt.get(key.keyId) ?? 0))
+          .map(key => key.keyId)
+      };
+    });
+  }
+
+  private getKeys(policy: KeyRotationPolicy, now: number): Omit<KeyUsage, 'uses'>[] {
+    const gracePeriodMs = policy.gracePeriodMs ?? DEFAULT_GRACE_PERIOD_MS;
+    return [
+      { keyId: policy.currentKeyId, status: 'current' as const },
+      ...(policy.previousKeys || []).map(key => {
+        const graceEndsAt = key.retiredAt + gracePeriodMs;
+        return { keyId: key.keyId, status: now < graceEndsAt ? 'previous' as const : 'retired' as const, graceEndsAt };
+      })
+    ];
+  }
+}
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { DescribeKeyCommand, GetPublicKeyCommand } from '@aws-sdk/client-kms';
+import { KMSEmulator } from './kms-emulator';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { FDC3SignerError } from './errors';
+import { order } from './testing';
+
+describe('KMSEmulator', () => {
+  it('signs with an emulated key and verifies with its public key', async () => {
+    const kms = new KMSEmulator();
+    const key = kms.createKey({ keySpec: 'ECC_NIST_P256', aliases: ['alias/trading-orders'] });
+    const signer = new FDC3AWSKMSSigner({ keyId: 'alias/trading-orders', kmsClient: kms, algorithm: 'ECDSA_SHA_256' });
+    const verifier = new FDC3ContextVerifier({ kmsClient: kms });
+
+    const signed = await signer.sign(order);
+    assert.equal(signed.keyId, key.arn);
+    assert.equal(signed.keyAlias, 'alias/trading-orders');
+
+    const result = await verifier.verify(signed);
+    assert.equal(result.isValid, true, result.error);
+    assert.deepEqual(result.context, order);
+  });
+
+  it('resolves key IDs, ARNs and aliases to the same key', async () => {
+    const kms = new KMSEmulator({ region: 'eu-west-2', accountId: '444455556666' });
+    const key = kms.createKey({ keySpec: 'ECC_NIST_P256', keyId: 'key-1', aliases: ['alias/one'] });
+    assert.equal(key.arn, 'arn:aws:kms:eu-west-2:444455556666:key/key-1');
+
+    for (const keyId of ['key-1', key.arn, 'alias/one']) {
+      const output = await kms.send(new DescribeKeyCommand({ KeyId: keyId }));
+      assert.equal(output.KeyMetadata.Arn, key.arn);
+    }
+  });
+
+  it('re-points an alias to a new key', async () => {
+    const kms = new KMSEmulator();
+    kms.createKey({ keySpec: 'ECC_NIST_P256', aliases: ['alias/rotating'] });
+    const next = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    kms.setAlias('alias/rotating', next.keyId);
+
+    const output = await kms.send(new GetPublicKeyCommand({ KeyId: 'alias/rotating' }));
+    assert.equal(output.KeyId, next.arn);
+  });
+
+  it('dispatches on the command class, not its name', async () => {
+    const kms = new KMSEmulator();
+    kms.createKey({ keySpec: 'ECC_NIST_P256', aliases: ['alias/minified'] });
+    const name = Object.getOwnPropertyDescriptor(DescribeKeyCommand, 'name')!;
+
+    // As a minifier would leave it
+    Object.defineProperty(DescribeKeyCommand, 'name', { value: 'a' });
+    try {
+      const output = await kms.send(new DescribeKeyCommand({ KeyId: 'alias/minified' }));
+      assert.equal(output.KeyMetadata.KeyState, 'Enabled');
+    } finally {
+      Object.defineProperty(DescribeKeyCommand, 'name', name);
+    }
+
+    // A command from another copy of the SDK, or any other class of the same name
+    const Lookalike = class DescribeKeyCommand {
+      constructor(readonly input: object) {}
+    };
+    await assert.rejects(kms.send(new Lookalike({ KeyId: 'alias/minified' })), { name: 'UnsupportedOperationException' });
+  });
+
+  it('records the calls it receives', async () => {
+    const kms = new KMSEmulator();
+    const key = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const signer = new FDC3AWSKMSSigner({ keyId: key.arn, kmsClient: kms, algorithm: 'ECDSA_SHA_256' });
+
+    await signer.sign(order);
+    const signCalls = kms.getCalls('Sign');
+    assert.equal(signCalls.length, 1);
+    assert.equal(signCalls[0].input.KeyId, key.arn);
+    assert.equal(signCalls[0].input.SigningAlgorithm, 'ECDSA_SHA_256');
+  });
+
+  it('fails calls with injected errors mapped to signer error codes', async () => {
+    const kms = new KMSEmulator();
+    const key = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const signer = new FDC3AWSKMSSigner({
+      keyId: key.arn,
+      kmsClient: kms,
+      algorithm: 'ECDSA_SHA_256',
+      resilience: { retry: false, circuitBreaker: false }
+    });
+
+    kms.injectError({ errorName: 'ThrottlingException', operation: 'Sign' });
+    await assert.rejects(signer.sign(order), (error: FDC3SignerError) => error.code === 'THROTTLED');
+    kms.injectError({ errorName: 'AccessDeniedException', operation: 'Sign', keyId: key.arn });
+    await assert.rejects(signer.sign(order), (error: FDC3SignerError) => error.code === 'ACCESS_DENIED');
+
+    // Injected errors are used up after the given number of calls
+    await signer.sign(order);
+  });
+
+  it('retries injected throttling until the call succeeds', async () => {
+    const kms = new KMSEmulator();
+    const key = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const signer = new FDC3AWSKMSSigner({
+      keyId: key.arn,
+      kmsClient: kms,
+      algorithm: 'ECDSA_SHA_256',
+      resilience: { retry: { maxAttempts: 3, baseDelayMs: 1 } }
+    });
+
+    kms.injectError({ errorName: 'ThrottlingException', operation: 'Sign', times: 2 });
+    await signer.sign(order);
+    assert.equal(kms.getCalls('Sign').length, 3);
+  });
+
+  it('refuses to sign with a disabled key', async () => {
+    const kms = new KMSEmulator();
+    const key = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const signer = new FDC3AWSKMSSigner({ keyId: key.arn, kmsClient: kms, algorithm: 'ECDSA_SHA_256' });
+
+    kms.setKeyState(key.keyId, 'Disabled');
+    await assert.rejects(signer.sign(order), (error: FDC3SignerError) => error.code === 'KEY_DISABLED');
+  });
+
+  it('fails verification of a context signed by another key', async () => {
+    const kms = new KMSEmulator();
+    const key = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const other = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const signer = new FDC3AWSKMSSigner({ keyId: key.arn, kmsClient: kms, algorithm: 'ECDSA_SHA_256' });
+    const verifier = new FDC3ContextVerifier({ kmsClient: kms });
+
+    const signed = await signer.sign(order);
+    const forged = { ...signed, keyId: other.arn };
+    const result = await verifier.verify(forged);
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'SIGNATURE_MISMATCH');
+  });
+});
\ No newline at end of file
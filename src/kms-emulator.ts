@@ -0,0 +1,596 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import * as crypto from 'crypto';
+import {
+  DecryptCommand,
+  DescribeKeyCommand,
+  EncryptCommand,
+  GenerateDataKeyCommand,
+  GenerateMacCommand,
+  GetPublicKeyCommand,
+  SignCommand,
+  VerifyMacCommand
+} from '@aws-sdk/client-kms';
+import { KMSClientLike, MacAlgorithm, SigningAlgorithm } from './types';
+import { getKeyAlgorithms, signDigest, signMessage } from './crypto-utils';
+import { canonicalizeJcs } from './canonicalize';
+import { computeHmac } from './hmac';
+
+/** KMS key specs the emulator can create */
+export type EmulatedKeySpec =
+  | 'RSA_2048'
+  | 'RSA_3072'
+  | 'RSA_4096'
+  | 'ECC_NIST_P256'
+  | 'ECC_NIST_P384'
+  | 'ECC_NIST_P521'
+  | 'ECC_SECG_P256K1'
+  | 'ECC_NIST_EDWARDS25519'
+  | 'HMAC_256'
+  | 'HMAC_384'
+  | 'HMAC_512'
+  | 'SYMMETRIC_DEFAULT';
+
+/** KMS key usage, derived from the key spec */
+export type EmulatedKeyUsage = 'SIGN_VERIFY' | 'GENERATE_VERIFY_MAC' | 'ENCRYPT_DECRYPT';
+
+/** Key states the emulator enforces */
+export type EmulatedKeyState = 'Enabled' | 'Disabled' | 'PendingDeletion';
+
+/** KMS operations the emulator implements */
+export type KMSOperation =
+  | 'Sign'
+  | 'GetPublicKey'
+  | 'DescribeKey'
+  | 'GenerateMac'
+  | 'VerifyMac'
+  | 'Encrypt'
+  | 'Decrypt'
+  | 'GenerateDataKey';
+
+/**
+ * Operation run for each AWS SDK command class. Commands are matched by class rather than by
+ * class name, which bundlers and minifiers may change.
+ */
+const COMMAND_OPERATIONS = new Map<Function, KMSOperation>([
+  [SignCommand, 'Sign'],
+  [GetPublicKeyCommand, 'GetPublicKey'],
+  [DescribeKeyCommand, 'DescribeKey'],
+  [GenerateMacCommand, 'GenerateMac'],
+  [VerifyMacCommand, 'VerifyMac'],
+  [EncryptCommand, 'Encrypt'],
+  [DecryptCommand, 'Decrypt'],
+  [GenerateDataKeyCommand, 'GenerateDataKey']
+]);
+
+/**
+ * Options for the in-process KMS emulator
+ */
+export interface KMSEmulatorOptions {
+  /** Region used in key ARNs (default 'us-east-1') */
+  region?: string;
+  /** Account ID used in key ARNs (default '111122223333') */
+  accountId?: string;
+  /** Delay added to every call, e.g. to exercise timeouts (default 0) */
+  latencyMs?: number;
+}
+
+/**
+ * Options for creating an emulated key
+ */
+export interface EmulatedKeyOptions {
+  /** Key spec (default RSA_2048, or detected from privateKeyPem) */
+  keySpec?: EmulatedKeySpec;
+  /** Key ID (defaults to a random UUID, like KMS) */
+  keyId?: string;
+  /** Aliases pointing to the key, e.g. ['alias/trading-orders'] */
+  aliases?: string[];
+  /** Asymmetric private key to import instead of generating one, e.g. to match a fixture */
+  privateKeyPem?: string;
+  /** Initial key state (default Enabled) */
+  state?: EmulatedKeyState;
+}
+
+/**
+ * An emulated key, as returned by createKey()
+ */
+export interface EmulatedKey {
+  keyId: string;
+  arn: string;
+  keySpec: EmulatedKeySpec;
+  keyUsage: EmulatedKeyUsage;
+}
+
+/**
+ * An error the emulator throws instead of running matching calls
+ */
+export interface InjectedError {
+  /** AWS exception name, e.g. 'ThrottlingException' or 'AccessDeniedException' */
+  errorName: string;
+  /** Error message (defaults to the exception name) */
+  message?: string;
+  /** Only fail this operation (default: every operation) */
+  operation?: KMSOperation;
+  /** Only fail calls for this key ID, ARN or alias (default: every key) */
+  keyId?: string;
+  /** How many calls to fail (default 1; Infinity fails every matching call until cleared) */
+  times?: number;
+}
+
+/**
+ * A call received by the emulator
+ */
+export interface EmulatedCall {
+  operation: string;
+  input: any;
+}
+
+interface KeyEntry extends EmulatedKey {
+  state: EmulatedKeyState;
+  privateKey?: crypto.KeyObject;
+  publicKey?: crypto.KeyObject;
+  secret?: Buffer;
+  creationDate: Date;
+}
+
+/** KMS rejects Sign, GenerateMac and Encrypt messages larger than 4 KB */
+const MAX_MESSAGE_BYTES = 4096;
+
+const MAC_ALGORITHMS: { [keySpec: string]: MacAlgorithm } = {
+  HMAC_256: 'HMAC_SHA_256',
+  HMAC_384: 'HMAC_SHA_384',
+  HMAC_512: 'HMAC_SHA_512'
+};
+
+const HMAC_KEY_BYTES: { [keySpec: string]: number } = { HMAC_256: 32, HMAC_384: 48, HMAC_512: 64 };
+
+const EC_CURVES: { [keySpec: string]: string } = {
+  ECC_NIST_P256: 'prime256v1',
+  ECC_NIST_P384: 'secp384r1',
+  ECC_NIST_P521: 'secp521r1',
+  ECC_SECG_P256K1: 'secp256k1'
+};
+
+/** Exceptions AWS reports as server faults */
+const SERVER_FAULTS = new Set(['KMSInternalException', 'DependencyTimeoutException', 'KeyUnavailableException']);
+
+/**
+ * Creates an error shaped like an AWS SDK service exception
+ * @param name AWS exception name
+ * @param message Error message
+ * @returns The error
+ */
+function kmsError(name: string, message: string): Error {
+  const error = new Error(message) as Error & { $fault: string };
+  error.name = name;
+  error.$fault = SERVER_FAULTS.has(name) ? 'server' : 'client';
+  return error;
+}
+
+/**
+ * Works out the key spec of an imported private key
+ * @param privateKey The key
+ * @returns Key spec
+ */
+function detectKeySpec(privateKey: crypto.KeyObject): EmulatedKeySpec {
+  const details = privateKey.asymmetricKeyDetails || {};
+  switch (privateKey.asymmetricKeyType) {
+    case 'rsa':
+      return `RSA_${details.modulusLength}` as EmulatedKeySpec;
+    case 'ec': {
+      const keySpec = Object.keys(EC_CURVES).find(spec => EC_CURVES[spec] === details.namedCurve);
+      if (keySpec) {
+        return keySpec as EmulatedKeySpec;
+      }
+      break;
+    }
+    case 'ed25519':
+      return 'ECC_NIST_EDWARDS25519';
+  }
+  throw new Error(`Unsupported key type for the KMS emulator: ${privateKey.asymmetricKeyType}`);
+}
+
+/**
+ * Generates asymmetric key material for a key spec
+ * @param keySpec Asymmetric key spec
+ * @returns Private key
+ */
+function generatePrivateKey(keySpec: EmulatedKeySpec): crypto.KeyObject {
+  if (keySpec.startsWith('RSA_')) {
+    return crypto.generateKeyPairSync('rsa', { modulusLength: Number(keySpec.slice(4)) }).privateKey;
+  }
+  if (keySpec === 'ECC_NIST_EDWARDS25519') {
+    return crypto.generateKeyPairSync('ed25519').privateKey;
+  }
+  return crypto.generateKeyPairSync('ec', { namedCurve: EC_CURVES[keySpec] }).privateKey;
+}
+
+/**
+ * Converts a KMS binary input (Uint8Array, or base64 when built by hand) to a Buffer
+ * @param value Input value
+ * @returns Bytes
+ */
+function toBuffer(value: unknown): Buffer {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value);
+  }
+  if (typeof value === 'string') {
+    return Buffer.from(value, 'base64');
+  }
+  throw kmsError('ValidationException', 'Expected binary input');
+}
+
+/**
+ * In-process stand-in for AWS KMS with real keys, for exercising signing, verification, sealing and
+ * HMAC paths offline. Pass it wherever a kmsClient is accepted:
+ *
+ *   const kms = new KMSEmulator();
+ *   const key = kms.createKey({ keySpec: 'ECC_NIST_P256', aliases: ['alias/orders'] });
+ *   const signer = new FDC3AWSKMSSigner({ keyId: 'alias/orders', kmsClient: kms, algorithm: 'ECDSA_SHA_256' });
+ *
+ * Key states, aliases and injected errors behave as in KMS, and errors carry the AWS exception names,
+ * so error handling and resilience paths can be tested too. DIGEST signing is emulated for
+ * RSASSA_PKCS1_V1_5 algorithms only.
+ */
+export class KMSEmulator implements KMSClientLike {
+  private keys = new Map<string, KeyEntry>();
+  private aliases = new Map<string, string>();
+  private injectedErrors: InjectedError[] = [];
+  private calls: EmulatedCall[] = [];
+  private region: string;
+  private accountId: string;
+  public latencyMs: number;
+
+  constructor(options: KMSEmulatorOptions = {}) {
+    this.region = options.region || 'us-east-1';
+    this.accountId = options.accountId || '111122223333';
+    this.latencyMs = options.latencyMs || 0;
+  }
+
+  /**
+   * Creates a key, generating its key material (or importing privateKeyPem)
+   * @param options Key spec, key ID, aliases and initial state
+   * @returns The key's ID, ARN, spec and usage
+   */
+  createKey(options: EmulatedKeyOptions = {}): EmulatedKey {
+    const privateKeyFromPem = options.privateKeyPem ? crypto.createPrivateKey(options.privateKeyPem) : undefined;
+    const keySpec = options.keySpec || (privateKeyFromPem ? detectKeySpec(privateKeyFromPem) : 'RSA_2048');
+    const keyId = options.keyId || crypto.randomUUID();
+    if (this.keys.has(keyId)) {
+      throw new Error(`Key ${keyId} already exists`);
+    }
+
+    const entry: KeyEntry = {
+      keyId,
+      arn: `arn:aws:kms:${this.region}:${this.accountId}:key/${keyId}`,
+      keySpec,
+      keyUsage: keySpec in MAC_ALGORITHMS ? 'GENERATE_VERIFY_MAC' : keySpec === 'SYMMETRIC_DEFAULT' ? 'ENCRYPT_DECRYPT' : 'SIGN_VERIFY',
+      state: options.state || 'Enabled',
+      creationDate: new Date()
+    };
+
+    if (entry.keyUsage === 'SIGN_VERIFY') {
+      entry.privateKey = privateKeyFromPem || generatePrivateKey(keySpec);
+      entry.publicKey = crypto.createPublicKey(entry.privateKey);
+    } else {
+      entry.secret = crypto.randomBytes(HMAC_KEY_BYTES[keySpec] || 32);
+    }
+
+    this.keys.set(keyId, entry);
+    (options.aliases || []).forEach(alias => this.setAlias(alias, keyId));
+    return { keyId: entry.keyId, arn: entry.arn, keySpec: entry.keySpec, keyUsage: entry.keyUsage };
+  }
+
+  /**
+   * Points an alias at a key, creating the alias or re-pointing it (as in a key rotation)
+   * @param aliasName Alias name starting with 'alias/'
+   * @param keyId Key ID, ARN or alias of the target key
+   */
+  setAlias(aliasName: string, keyId: string): void {
+    if (!aliasName.startsWith('alias/')) {
+      throw new Error(`Alias names must start with alias/: ${aliasName}`);
+    }
+    this.aliases.set(aliasName, this.findKey(keyId).keyId);
+  }
+
+  /**
+   * Changes a key's state. Disabled keys fail with DisabledException and keys pending deletion
+   * with KMSInvalidStateException, except for DescribeKey.
+   * @param keyId Key ID, ARN or alias
+   * @param state New state
+   */
+  setKeyState(keyId: string, state: EmulatedKeyState): void {
+    this.findKey(keyId).state = state;
+  }
+
+  /**
+   * Makes matching calls fail with an AWS exception
+   * @param error Exception name and which calls to fail
+   */
+  injectError(error: InjectedError): void {
+    this.injectedErrors.push({ times: 1, ...error });
+  }
+
+  /**
+   * Removes every injected error
+   */
+  clearInjectedErrors(): void {
+    this.injectedErrors = [];
+  }
+
+  /**
+   * Lists the calls received so far
+   * @param operation Only list calls to this operation
+   * @returns Calls in the order received
+   */
+  getCalls(operation?: KMSOperation): EmulatedCall[] {
+    return operation ? this.calls.filter(call => call.operation === operation) : [...this.calls];
+  }
+
+  /**
+   * Runs a KMS command, as KMSClient.send() does
+   * @param command An AWS SDK KMS command, e.g. new SignCommand({...})
+   * @param options Abort signal
+   * @returns The command output
+   */
+  async send(command: any, options: { abortSignal?: AbortSignal } = {}): Promise<any> {
+    const operation = COMMAND_OPERATIONS.get(command?.constructor) || '';
+    const input = command?.input || {};
+    this.calls.push({ operation, input });
+
+    if (this.latencyMs > 0) {
+      await this.delay(this.latencyMs, options.abortSignal);
+    }
+    if (options.abortSignal?.aborted) {
+      throw kmsError('AbortError', 'Request aborted');
+    }
+    this.throwInjectedError(operation, input.KeyId);
+
+    switch (operation) {
+      case 'Sign':
+        return this.sign(input);
+      case 'GetPublicKey':
+        return this.getPublicKey(input);
+      case 'DescribeKey':
+        return this.describeKey(input);
+      case 'GenerateMac':
+        return this.generateMac(input);
+      case 'VerifyMac':
+        return this.verifyMac(input);
+      case 'Encrypt':
+        return this.encrypt(input);
+      case 'Decrypt':
+        return this.decrypt(input);
+      case 'GenerateDataKey':
+        return this.generateDataKey(input);
+      default:
+        throw kmsError('UnsupportedOperationException', `The KMS emulator does not implement ${command?.constructor?.name || 'this command'}`);
+    }
+  }
+
+  private sign(input: any): object {
+    const key = this.getUsableKey(input.KeyId, 'SIGN_VERIFY');
+    const algorithm = input.SigningAlgorithm as SigningAlgorithm;
+    if (!getKeyAlgorithms(key.publicKey as crypto.KeyObject).includes(algorithm)) {
+      throw kmsError('InvalidKeyUsageException', `${algorithm} is not a valid signing algorithm for ${key.keySpec} key ${key.arn}`);
+    }
+
+    const message = toBuffer(input.Message);
+    if (message.length > MAX_MESSAGE_BYTES) {
+      throw kmsError('ValidationException', `Message must be at most ${MAX_MESSAGE_BYTES} bytes`);
+    }
+
+    let signature: Buffer;
+    if (input.MessageType === 'DIGEST') {
+      if (!algorithm.startsWith('RSASSA_PKCS1_V1_5_')) {
+        throw kmsError('ValidationException', `The KMS emulator supports DIGEST messages only for RSASSA_PKCS1_V1_5 algorithms, not ${algorithm}`);
+      }
+      signature = signDigest(key.privateKey as crypto.KeyObject, message, algorithm);
+    } else {
+      signature = signMessage(key.privateKey as crypto.KeyObject, message, algorithm);
+    }
+
+    return { KeyId: key.arn, Signature: new Uint8Array(signature), SigningAlgorithm: algorithm };
+  }
+
+  private getPublicKey(input: any): object {
+    const key = this.getUsableKey(input.KeyId);
+    if (!key.publicKey) {
+      throw kmsError('UnsupportedOperationException', `${key.arn} is a symmetric key and has no public key`);
+    }
+    return {
+      KeyId: key.arn,
+      PublicKey: new Uint8Array(key.publicKey.export({ type: 'spki', format: 'der' })),
+      KeySpec: key.keySpec,
+      KeyUsage: key.keyUsage,
+      SigningAlgorithms: getKeyAlgorithms(key.publicKey)
+    };
+  }
+
+  private describeKey(input: any): object {
+    const key = this.findKey(input.KeyId);
+    return {
+      KeyMetadata: {
+        AWSAccountId: this.accountId,
+        KeyId: key.keyId,
+        Arn: key.arn,
+        CreationDate: key.creationDate,
+        Enabled: key.state === 'Enabled',
+        KeyState: key.state,
+        KeySpec: key.keySpec,
+        KeyUsage: key.keyUsage,
+        ...(key.publicKey ? { SigningAlgorithms: getKeyAlgorithms(key.publicKey) } : {}),
+        ...(MAC_ALGORITHMS[key.keySpec] ? { MacAlgorithms: [MAC_ALGORITHMS[key.keySpec]] } : {}),
+        ...(key.keyUsage === 'ENCRYPT_DECRYPT' ? { EncryptionAlgorithms: ['SYMMETRIC_DEFAULT'] } : {})
+      }
+    };
+  }
+
+  private generateMac(input: any): object {
+    const key = this.getMacKey(input);
+    const message = toBuffer(input.Message);
+    if (message.length > MAX_MESSAGE_BYTES) {
+      throw kmsError('ValidationException', `Message must be at most ${MAX_MESSAGE_BYTES} bytes`);
+    }
+    const mac = computeHmac(key.secret as Buffer, message, input.MacAlgorithm);
+    return { KeyId: key.arn, Mac: new Uint8Array(mac), MacAlgorithm: input.MacAlgorithm };
+  }
+
+  private verifyMac(input: any): object {
+    const key = this.getMacKey(input);
+    const expected = computeHmac(key.secret as Buffer, toBuffer(input.Message), input.MacAlgorithm);
+    const mac = toBuffer(input.Mac);
+    if (expected.length !== mac.length || !crypto.timingSafeEqual(expected, mac)) {
+      throw kmsError('KMSInvalidMacException', 'The MAC does not match');
+    }
+    return { KeyId: key.arn, MacValid: true, MacAlgorithm: input.MacAlgorithm };
+  }
+
+  private encrypt(input: any): object {
+    const key = this.getUsableKey(input.KeyId, 'ENCRYPT_DECRYPT');
+    const plaintext = toBuffer(input.Plaintext);
+    if (plaintext.length > MAX_MESSAGE_BYTES) {
+      throw kmsError('ValidationException', `Plaintext must be at most ${MAX_MESSAGE_BYTES} bytes`);
+    }
+    return {
+      KeyId: key.arn,
+      CiphertextBlob: new Uint8Array(this.encryptWithKey(key, plaintext, input.EncryptionContext)),
+      EncryptionAlgorithm: 'SYMMETRIC_DEFAULT'
+    };
+  }
+
+  private decrypt(input: any): object {
+    // Like KMS, the ciphertext blob records which key encrypted it
+    const blob = toBuffer(input.CiphertextBlob);
+    const keyIdLength = blob[0];
+    const blobKeyId = blob.subarray(1, 1 + keyIdLength).toString('utf8');
+    const key = this.keys.get(blobKeyId);
+    if (!key) {
+      throw kmsError('InvalidCiphertextException', 'The ciphertext was not produced by this emulator');
+    }
+    if (input.KeyId && this.findKey(input.KeyId).keyId !== key.keyId) {
+      throw kmsError('IncorrectKeyException', `The ciphertext was not encrypted under ${input.KeyId}`);
+    }
+    this.getUsableKey(key.keyId, 'ENCRYPT_DECRYPT');
+
+    const body = blob.subarray(1 + keyIdLength);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key.secret as Buffer, body.subarray(0, 12), { authTagLength: 16 });
+      decipher.setAAD(Buffer.from(canonicalizeJcs(input.EncryptionContext || {}), 'utf8'));
+      decipher.setAuthTag(body.subarray(12, 28));
+      const plaintext = Buffer.concat([decipher.update(body.subarray(28)), decipher.final()]);
+      return { KeyId: key.arn, Plaintext: new Uint8Array(plaintext), EncryptionAlgorithm: 'SYMMETRIC_DEFAULT' };
+    } catch {
+      throw kmsError('InvalidCiphertextException', 'The ciphertext or encryption context is invalid');
+    }
+  }
+
+  private generateDataKey(input: any): object {
+    const key = this.getUsableKey(input.KeyId, 'ENCRYPT_DECRYPT');
+    const length = input.NumberOfBytes ?? (input.KeySpec === 'AES_128' ? 16 : 32);
+    const plaintext = crypto.randomBytes(length);
+    return {
+      KeyId: key.arn,
+      Plaintext: new Uint8Array(plaintext),
+      CiphertextBlob: new Uint8Array(this.encryptWithKey(key, plaintext, input.EncryptionContext))
+    };
+  }
+
+  private encryptWithKey(key: KeyEntry, plaintext: Buffer, encryptionContext?: { [key: string]: string }): Buffer {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key.secret as Buffer, iv);
+    cipher.setAAD(Buffer.from(canonicalizeJcs(encryptionContext || {}), 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const keyId = Buffer.from(key.keyId, 'utf8');
+    return Buffer.concat([Buffer.from([keyId.length]), keyId, iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  private getMacKey(input: any): KeyEntry {
+    const key = this.getUsableKey(input.KeyId, 'GENERATE_VERIFY_MAC');
+    if (MAC_ALGORITHMS[key.keySpec] !== input.MacAlgorithm) {
+      throw kmsError('InvalidKeyUsageException', `${input.MacAlgorithm} is not a valid MAC algorithm for ${key.keySpec} key ${key.arn}`);
+    }
+    return key;
+  }
+
+  /**
+   * Finds an enabled key, checking that it can be used for an operation
+   * @param keyId Key ID, ARN, alias name or alias ARN
+   * @param keyUsage Required key usage
+   * @returns The key
+   */
+  private getUsableKey(keyId: string, keyUsage?: EmulatedKeyUsage): KeyEntry {
+    const key = this.findKey(keyId);
+    if (key.state === 'Disabled') {
+      throw kmsError('DisabledException', `${key.arn} is disabled.`);
+    }
+    if (key.state === 'PendingDeletion') {
+      throw kmsError('KMSInvalidStateException', `${key.arn} is pending deletion.`);
+    }
+    if (keyUsage && key.keyUsage !== keyUsage) {
+      throw kmsError('InvalidKeyUsageException', `${key.arn} has key usage ${key.keyUsage}, not ${keyUsage}`);
+    }
+    return key;
+  }
+
+  /**
+   * Looks up a key in any state
+   * @param keyId Key ID, ARN, alias name or alias ARN
+   * @returns The key
+   */
+  private findKey(keyId: string): KeyEntry {
+    if (!keyId) {
+      throw kmsError('ValidationException', 'KeyId is required');
+    }
+    const alias = /^(?:arn:[^:]+:kms:[^:]*:[^:]*:)?(alias\/.+)$/.exec(keyId);
+    const keyArn = /^arn:[^:]+:kms:[^:]*:[^:]*:key\/(.+)$/.exec(keyId);
+    const id = alias ? this.aliases.get(alias[1]) : keyArn ? keyArn[1] : keyId;
+    const key = id !== undefined ? this.keys.get(id) : undefined;
+    if (!key) {
+      throw kmsError('NotFoundException', `Key '${keyId}' does not exist`);
+    }
+    return key;
+  }
+
+  private throwInjectedError(operation: string, keyId?: string): void {
+    const index = this.injectedErrors.findIndex(error =>
+      (!error.operation || error.operation === operation) && (!error.keyId || this.sameKey(error.keyId, keyId)));
+    if (index === -1) {
+      return;
+    }
+
+    const error = this.injectedErrors[index];
+    error.times = (error.times ?? 1) - 1;
+    if (error.times <= 0) {
+      this.injectedErrors.splice(index, 1);
+    }
+    throw kmsError(error.errorName, error.message || error.errorName);
+  }
+
+  private sameKey(a: string, b?: string): boolean {
+    if (!b) {
+      return false;
+    }
+    if (a === b) {
+      return true;
+    }
+    try {
+      return this.findKey(a).keyId === this.findKey(b).keyId;
+    } catch {
+      return false;
+    }
+  }
+
+  private delay(ms: number, abortSignal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      abortSignal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(kmsError('AbortError', 'Request aborted'));
+      }, { once: true });
+    });
+  }
+}
\ No newline at end of file
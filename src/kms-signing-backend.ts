@@ -0,0 +1,251 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import {
+  KMSClient,
+  SignCommand,
+  GetPublicKeyCommand,
+  DescribeKeyCommand,
+  GenerateDataKeyCommand,
+  DecryptCommand,
+  GenerateMacCommand,
+  VerifyMacCommand,
+  MessageType,
+  SigningAlgorithmSpec
+} from '@aws-sdk/client-kms';
+import {
+  AWSCredentials,
+  CircuitState,
+  DataKey,
+  DataKeyProvider,
+  KMSClientLike,
+  MacAlgorithm,
+  MacBackend,
+  PublicKeyInfo,
+  ResilienceOptions,
+  SigningAlgorithm,
+  SigningBackend,
+  SigningMessageType
+} from './types';
+import { FDC3SignerError, SignatureMismatchError, toSignerError } from './errors';
+import { ResiliencePolicy } from './resilience';
+
+/**
+ * Configuration for the AWS KMS signing backend
+ */
+export interface KMSSigningBackendConfig {
+  /** AWS region where the KMS keys are located */
+  region?: string;
+  /** AWS credentials (optional - can use default credential chain) */
+  credentials?: AWSCredentials;
+  /** KMS endpoint URL, e.g. a local KMS emulator (defaults to the regional AWS endpoint) */
+  endpoint?: string;
+  /** KMS client to use instead of creating one (region, credentials and endpoint are ignored when set) */
+  kmsClient?: KMSClientLike;
+  /** Retry, timeout and circuit breaker settings for KMS calls */
+  resilience?: ResilienceOptions;
+}
+
+/**
+ * Signing backend that keeps private keys in AWS KMS. Also generates and decrypts
+ * data keys for sealed contexts with symmetric KMS keys, and MACs with KMS HMAC keys.
+ */
+export class KMSSigningBackend implements SigningBackend, DataKeyProvider, MacBackend {
+  /** KMS rejects RAW messages larger than 4 KB */
+  readonly maxRawMessageBytes = 4096;
+  private kmsClient: KMSClientLike;
+  private resilience: ResiliencePolicy;
+
+  constructor(config: KMSSigningBackendConfig = {}) {
+    // An injected client keeps its own retry settings; the resilience policy still applies on top
+    this.kmsClient = config.kmsClient || new KMSClient({
+      region: config.region || 'us-east-1',
+      credentials: config.credentials,
+      endpoint: config.endpoint,
+      // Retries are handled by the resilience policy so that they pass through the circuit breaker
+      maxAttempts: 1
+    });
+    this.resilience = new ResiliencePolicy(config.resilience);
+  }
+
+  /**
+   * Signs a message with a KMS asymmetric key
+   * @param keyId KMS key ID, ARN or alias
+   * @param message Message bytes
+   * @param algorithm Signing algorithm
+   * @param messageType 'DIGEST' if message is a precomputed digest
+   * @returns Raw signature bytes
+   */
+  async sign(
+    keyId: string,
+    message: Uint8Array,
+    algorithm: SigningAlgorithm,
+    messageType: SigningMessageType = 'RAW'
+  ): Promise<Uint8Array> {
+    const signResult = await this.call(abortSignal => this.kmsClient.send(new SignCommand({
+      KeyId: keyId,
+      Message: message,
+      MessageType: messageType === 'DIGEST' ? MessageType.DIGEST : MessageType.RAW,
+      // Newer KMS algorithms (e.g. ED25519_SHA_512) may be missing from the SDK's enum
+      SigningAlgorithm: algorithm as SigningAlgorithmSpec
+    }), { abortSignal }));
+
+    if (!signResult.Signature) {
+      throw new FDC3SignerError('UNKNOWN', 'KMS signing failed: No signature returned');
+    }
+
+    return signResult.Signature;
+  }
+
+  /**
+   * Fetches the public key of a KMS asymmetric key
+   * @param keyId KMS key ID, ARN or alias
+   * @returns The public key, or undefined if KMS returned none
+   */
+  async getPublicKey(keyId: string): Promise<PublicKeyInfo | undefined> {
+    const publicKeyResult = await this.call(abortSignal => this.kmsClient.send(new GetPublicKeyCommand({ KeyId: keyId }), { abortSignal }));
+
+    if (!publicKeyResult.PublicKey) {
+      return undefined;
+    }
+
+    return {
+      keyId: publicKeyResult.KeyId || keyId,
+      publicKey: publicKeyResult.PublicKey,
+      signingAlgorithms: publicKeyResult.SigningAlgorithms as SigningAlgorithm[] | undefined
+    };
+  }
+
+  /**
+   * Lists the signing algorithms a KMS key supports
+   * @param keyId KMS key ID, ARN or alias
+   * @returns Supported signing algorithms
+   */
+  async getSigningAlgorithms(keyId: string): Promise<SigningAlgorithm[]> {
+    const publicKey = await this.getPublicKey(keyId);
+    return publicKey?.signingAlgorithms || [];
+  }
+
+  /**
+   * Resolves a key ID, ARN or alias to the key ARN via DescribeKey
+   * @param keyId KMS key ID, ARN or alias
+   * @returns Key ARN
+   */
+  async resolveKeyId(keyId: string): Promise<string> {
+    const result = await this.call(abortSignal => this.kmsClient.send(new DescribeKeyCommand({ KeyId: keyId }), { abortSignal }));
+    return result.KeyMetadata?.Arn || keyId;
+  }
+
+  /**
+   * Generates an AES-256 data key under a symmetric KMS key
+   * @param keyId KMS key ID, ARN or alias
+   * @param encryptionContext Encryption context bound to the data key
+   * @returns The plaintext and encrypted data key, and the ARN of the key that encrypted it
+   */
+  async generateDataKey(keyId: string, encryptionContext: { [key: string]: string }): Promise<DataKey> {
+    const result = await this.call(abortSignal => this.kmsClient.send(new GenerateDataKeyCommand({
+      KeyId: keyId,
+      KeySpec: 'AES_256',
+      EncryptionContext: encryptionContext
+    }), { abortSignal }));
+
+    if (!result.Plaintext || !result.CiphertextBlob) {
+      throw new FDC3SignerError('UNKNOWN', 'KMS data key generation failed: No data key returned');
+    }
+
+    return { keyId: result.KeyId || keyId, plaintextKey: result.Plaintext, encryptedKey: result.CiphertextBlob };
+  }
+
+  /**
+   * Decrypts a data key with KMS. Fails with ACCESS_DENIED unless the caller has kms:Decrypt on the key.
+   * @param keyId KMS key the data key was encrypted under
+   * @param encryptedKey Encrypted data key
+   * @param encryptionContext Encryption context the data key was generated with
+   * @returns Plaintext data key
+   */
+  async decryptDataKey(keyId: string, encryptedKey: Uint8Array, encryptionContext: { [key: string]: string }): Promise<Uint8Array> {
+    const result = await this.call(abortSignal => this.kmsClient.send(new DecryptCommand({
+      KeyId: keyId,
+      CiphertextBlob: encryptedKey,
+      EncryptionContext: encryptionContext
+    }), { abortSignal }));
+
+    if (!result.Plaintext) {
+      throw new FDC3SignerError('UNKNOWN', 'KMS decryption failed: No plaintext returned');
+    }
+
+    return result.Plaintext;
+  }
+
+  /**
+   * Computes a MAC with a KMS HMAC key
+   * @param keyId KMS key ID, ARN or alias
+   * @param message Message bytes
+   * @param algorithm MAC algorithm
+   * @returns MAC bytes
+   */
+  async generateMac(keyId: string, message: Uint8Array, algorithm: MacAlgorithm): Promise<Uint8Array> {
+    const result = await this.call(abortSignal => this.kmsClient.send(new GenerateMacCommand({
+      KeyId: keyId,
+      Message: message,
+      MacAlgorithm: algorithm
+    }), { abortSignal }));
+
+    if (!result.Mac) {
+      throw new FDC3SignerError('UNKNOWN', 'KMS MAC generation failed: No MAC returned');
+    }
+
+    return result.Mac;
+  }
+
+  /**
+   * Checks a MAC with KMS VerifyMac; the HMAC key never leaves KMS
+   * @param keyId KMS key ID, ARN or alias
+   * @param message Message bytes
+   * @param mac MAC to check
+   * @param algorithm MAC algorithm
+   * @returns Whether the MAC matches
+   */
+  async verifyMac(keyId: string, message: Uint8Array, mac: Uint8Array, algorithm: MacAlgorithm): Promise<boolean> {
+    try {
+      const result = await this.call(abortSignal => this.kmsClient.send(new VerifyMacCommand({
+        KeyId: keyId,
+        Message: message,
+        Mac: mac,
+        MacAlgorithm: algorithm
+      }), { abortSignal }));
+      return result.MacValid === true;
+    } catch (error) {
+      // KMS reports a mismatch as an exception
+      if (error instanceof SignatureMismatchError) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * State of the KMS circuit breaker
+   * @returns Circuit state, or undefined if the circuit breaker is disabled
+   */
+  getCircuitState(): CircuitState | undefined {
+    return this.resilience.circuitBreaker?.getState();
+  }
+
+  /**
+   * Runs a KMS call under the resilience policy, converting AWS SDK exceptions into typed errors
+   * @param operation The KMS call; receives a signal that aborts it on timeout
+   * @returns The call's result
+   */
+  private async call<T>(operation: (abortSignal?: AbortSignal) => Promise<T>): Promise<T> {
+    return this.resilience.execute(async abortSignal => {
+      try {
+        return await operation(abortSignal);
+      } catch (error) {
+        throw toSignerError(error);
+      }
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as crypto from 'crypto';
+import { LocalKeySigningBackend } from './local-signing-backend';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { instrument } from './testing';
+
+function createKeyPair(type: 'ec' | 'rsa' = 'ec') {
+  const { privateKey, publicKey } = type === 'ec'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) as string,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }) as string
+  };
+}
+
+describe('LocalKeySigningBackend', () => {
+  it('signs contexts that verify against the public key alone', async () => {
+    const { privateKeyPem, publicKeyPem } = createKeyPair('rsa');
+    const backend = new LocalKeySigningBackend({ keyId: 'local/orders', privateKeyPem });
+    const signer = new FDC3AWSKMSSigner({ keyId: 'local/orders', backend, algorithm: 'RSASSA_PSS_SHA_256' });
+    const signed = await signer.sign(instrument);
+
+    const verifier = new FDC3ContextVerifier({ keySource: new LocalKeySigningBackend({ keyId: 'local/orders', publicKeyPem }) });
+    const result = await verifier.verify(signed);
+    assert.equal(result.isValid, true, result.error);
+    assert.equal(signed.keyId, 'local/orders');
+  });
+
+  it('rejects a signature made with another key under the same key ID', async () => {
+    const signer = new FDC3AWSKMSSigner({
+      keyId: 'local/orders',
+      backend: new LocalKeySigningBackend({ keyId: 'local/orders', privateKeyPem: createKeyPair().privateKeyPem }),
+      algorithm: 'ECDSA_SHA_256'
+    });
+    const verifier = new FDC3ContextVerifier({
+      keySource: new LocalKeySigningBackend({ keyId: 'local/orders', publicKeyPem: createKeyPair().publicKeyPem })
+    });
+
+    const result = await verifier.verify(await signer.sign(instrument));
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'SIGNATURE_MISMATCH');
+  });
+
+  it('cannot sign with a key loaded from its public half only', async () => {
+    const backend = new LocalKeySigningBackend({ keyId: 'local/orders', publicKeyPem: createKeyPair().publicKeyPem });
+    const signer = new FDC3AWSKMSSigner({ keyId: 'local/orders', backend, algorithm: 'ECDSA_SHA_256' });
+
+    await assert.rejects(signer.sign(instrument), { code: 'KEY_NOT_FOUND' });
+  });
+
+  it('refuses algorithms the key type does not support', async () => {
+    const backend = new LocalKeySigningBackend({ keyId: 'local/orders', privateKeyPem: createKeyPair().privateKeyPem });
+
+    assert.deepEqual(await backend.getSigningAlgorithms('local/orders'), ['ECDSA_SHA_256']);
+    await assert.rejects(backend.sign('local/orders', Buffer.from('message'), 'RSASSA_PSS_SHA_256'), { code: 'UNSUPPORTED_ALGORITHM' });
+  });
+
+  it('reports unknown key IDs as missing', async () => {
+    const backend = new LocalKeySigningBackend();
+
+    assert.equal(await backend.getPublicKey('local/unknown'), undefined);
+    assert.throws(() => backend.addKeyPair({ keyId: 'local/empty' }), /No key material provided for local key local\/empty/);
+  });
+});
\ No newline at end of file
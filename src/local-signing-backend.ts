@@ -0,0 +1,221 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import {
+  DataKey,
+  DataKeyProvider,
+  LocalKeyPairConfig,
+  MacAlgorithm,
+  MacBackend,
+  PublicKeyInfo,
+  SigningAlgorithm,
+  SigningBackend,
+  SigningMessageType
+} from './types';
+import { getKeyAlgorithms, signDigest, signMessage } from './crypto-utils';
+import { canonicalizeJcs } from './canonicalize';
+import { computeHmac } from './hmac';
+import { DecryptionFailedError, KeyNotFoundError, UnsupportedAlgorithmError } from './errors';
+
+interface LocalKeyPair {
+  privateKey?: crypto.KeyObject;
+  publicKey: crypto.KeyObject;
+}
+
+/**
+ * Signing backend backed by Node.js crypto keypairs loaded from PEM.
+ * Produces the same signed envelope as the KMS backend, so contexts can be signed
+ * and verified on machines without AWS access (development, CI).
+ * Symmetric keys added with addEncryptionKey() stand in for KMS keys when sealing contexts,
+ * and keys added with addMacKey() for KMS HMAC keys.
+ */
+export class LocalKeySigningBackend implements SigningBackend, DataKeyProvider, MacBackend {
+  private keys = new Map<string, LocalKeyPair>();
+  private encryptionKeys = new Map<string, Buffer>();
+  private macKeys = new Map<string, Buffer>();
+
+  constructor(keys: LocalKeyPairConfig | LocalKeyPairConfig[] = []) {
+    (Array.isArray(keys) ? keys : [keys]).forEach(key => this.addKeyPair(key));
+  }
+
+  /**
+   * Loads a keypair (or a public key only) into the backend
+   * @param config Key ID and PEM sources for the keypair
+   */
+  addKeyPair(config: LocalKeyPairConfig): void {
+    const privatePem = config.privateKeyPem ?? (config.privateKeyPath ? fs.readFileSync(config.privateKeyPath, 'utf8') : undefined);
+    const publicPem = config.publicKeyPem ?? (config.publicKeyPath ? fs.readFileSync(config.publicKeyPath, 'utf8') : undefined);
+
+    const privateKey = privatePem
+      ? crypto.createPrivateKey({ key: privatePem, format: 'pem', passphrase: config.passphrase })
+      : undefined;
+    const publicKey = publicPem
+      ? crypto.createPublicKey({ key: publicPem, format: 'pem' })
+      : privateKey && crypto.createPublicKey(privateKey);
+
+    if (!publicKey) {
+      throw new Error(`No key material provided for local key ${config.keyId}`);
+    }
+
+    this.keys.set(config.keyId, { privateKey, publicKey });
+  }
+
+  /**
+   * Signs a message with a local private key
+   * @param keyId Local key ID
+   * @param message Message bytes
+   * @param algorithm Signing algorithm
+   * @param messageType 'DIGEST' if message is a precomputed digest (RSASSA_PKCS1_V1_5 only)
+   * @returns Raw signature bytes
+   */
+  async sign(
+    keyId: string,
+    message: Uint8Array,
+    algorithm: SigningAlgorithm,
+    messageType: SigningMessageType = 'RAW'
+  ): Promise<Uint8Array> {
+    const keyPair = this.keys.get(keyId);
+    if (!keyPair?.privateKey) {
+      throw new KeyNotFoundError(`No private key loaded for local key ${keyId}`);
+    }
+
+    if (!getKeyAlgorithms(keyPair.privateKey).includes(algorithm)) {
+      throw new UnsupportedAlgorithmError(`Algorithm ${algorithm} is not supported by local key ${keyId}`);
+    }
+
+    return messageType === 'DIGEST'
+      ? signDigest(keyPair.privateKey, message, algorithm)
+      : signMessage(keyPair.privateKey, message, algorithm);
+  }
+
+  /**
+   * Returns the public key of a local key
+   * @param keyId Local key ID
+   * @returns The public key, or undefined if the key is not loaded
+   */
+  async getPublicKey(keyId: string): Promise<PublicKeyInfo | undefined> {
+    const keyPair = this.keys.get(keyId);
+    if (!keyPair) {
+      return undefined;
+    }
+
+    return {
+      keyId,
+      publicKey: keyPair.publicKey.export({ type: 'spki', format: 'der' }),
+      signingAlgorithms: getKeyAlgorithms(keyPair.publicKey)
+    };
+  }
+
+  /**
+   * Lists the signing algorithms a local key supports
+   * @param keyId Local key ID
+   * @returns Supported signing algorithms
+   */
+  async getSigningAlgorithms(keyId: string): Promise<SigningAlgorithm[]> {
+    const keyPair = this.keys.get(keyId);
+    return keyPair ? getKeyAlgorithms(keyPair.publicKey) : [];
+  }
+
+  /**
+   * Loads a symmetric key encryption key, the local counterpart of a symmetric KMS key
+   * @param keyId Key ID recorded in sealed contexts
+   * @param key 32-byte AES-256 key
+   */
+  addEncryptionKey(keyId: string, key: Uint8Array): void {
+    if (key.length !== 32) {
+      throw new Error(`Local encryption key ${keyId} must be 32 bytes`);
+    }
+    this.encryptionKeys.set(keyId, Buffer.from(key));
+  }
+
+  /**
+   * Generates an AES-256 data key and wraps it with a local encryption key (AES-256-GCM)
+   * @param keyId Local encryption key ID
+   * @param encryptionContext Encryption context bound to the data key
+   * @returns The plaintext and wrapped data key
+   */
+  async generateDataKey(keyId: string, encryptionContext: { [key: string]: string }): Promise<DataKey> {
+    const wrappingKey = this.getEncryptionKey(keyId);
+    const plaintextKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+    cipher.setAAD(Buffer.from(canonicalizeJcs(encryptionContext), 'utf8'));
+    const wrapped = Buffer.concat([cipher.update(plaintextKey), cipher.final()]);
+
+    return { keyId, plaintextKey, encryptedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]) };
+  }
+
+  /**
+   * Unwraps a data key with a local encryption key
+   * @param keyId Local encryption key ID
+   * @param encryptedKey Wrapped data key
+   * @param encryptionContext Encryption context the data key was generated with
+   * @returns Plaintext data key
+   */
+  async decryptDataKey(keyId: string, encryptedKey: Uint8Array, encryptionContext: { [key: string]: string }): Promise<Uint8Array> {
+    const wrappingKey = this.getEncryptionKey(keyId);
+    const blob = Buffer.from(encryptedKey);
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, blob.subarray(0, 12), { authTagLength: 16 });
+      decipher.setAAD(Buffer.from(canonicalizeJcs(encryptionContext), 'utf8'));
+      decipher.setAuthTag(blob.subarray(12, 28));
+      return Buffer.concat([decipher.update(blob.subarray(28)), decipher.final()]);
+    } catch (error) {
+      throw new DecryptionFailedError(`Data key could not be decrypted with local key ${keyId}`, error);
+    }
+  }
+
+  /**
+   * Loads an HMAC key, the local counterpart of a KMS HMAC key
+   * @param keyId Key ID recorded in HMAC envelopes
+   * @param key HMAC key bytes
+   */
+  addMacKey(keyId: string, key: Uint8Array): void {
+    this.macKeys.set(keyId, Buffer.from(key));
+  }
+
+  /**
+   * Computes an HMAC with a local key
+   * @param keyId Local HMAC key ID
+   * @param message Message bytes
+   * @param algorithm MAC algorithm
+   * @returns MAC bytes
+   */
+  async generateMac(keyId: string, message: Uint8Array, algorithm: MacAlgorithm): Promise<Uint8Array> {
+    return computeHmac(this.getMacKey(keyId), message, algorithm);
+  }
+
+  /**
+   * Checks an HMAC with a local key in constant time
+   * @param keyId Local HMAC key ID
+   * @param message Message bytes
+   * @param mac MAC to check
+   * @param algorithm MAC algorithm
+   * @returns Whether the MAC matches
+   */
+  async verifyMac(keyId: string, message: Uint8Array, mac: Uint8Array, algorithm: MacAlgorithm): Promise<boolean> {
+    const expected = computeHmac(this.getMacKey(keyId), message, algorithm);
+    return expected.length === mac.length && crypto.timingSafeEqual(expected, mac);
+  }
+
+  private getMacKey(keyId: string): Buffer {
+    const key = this.macKeys.get(keyId);
+    if (!key) {
+      throw new KeyNotFoundError(`No HMAC key loaded for local key ${keyId}`);
+    }
+    return key;
+  }
+
+  private getEncryptionKey(keyId: string): Buffer {
+    const key = this.encryptionKeys.get(keyId);
+    if (!key) {
+      throw new KeyNotFoundError(`No encryption key loaded for local key ${keyId}`);
+    }
+    return key;
+  }
+}
\ No newline at end of file
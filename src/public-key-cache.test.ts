@@ -0,0 +1,146 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { FDC3ContextVerifier } from './context-verifier';
+import { PublicKeyCache } from './public-key-cache';
+import { KeyNotFoundError, ThrottledError } from './errors';
+import { PublicKeyInfo, PublicKeySource } from './types';
+import { createKmsSigner, instrument } from './testing';
+
+/** A key source that counts lookups and answers from a fixed set of keys */
+function createSource(keys: { [keyId: string]: PublicKeyInfo }) {
+  const lookups: string[] = [];
+  const source: PublicKeySource & { lookups: string[]; error?: Error } = {
+    lookups,
+    getPublicKey: async keyId => {
+      lookups.push(keyId);
+      if (source.error) {
+        throw source.error;
+      }
+      return keys[keyId];
+    }
+  };
+  return source;
+}
+
+function createKey(keyId: string): PublicKeyInfo {
+  return { keyId, publicKey: Buffer.from(keyId), signingAlgorithms: ['ECDSA_SHA_256'] };
+}
+
+describe('PublicKeyCache', () => {
+  it('fetches each key once and shares concurrent lookups', async () => {
+    const source = createSource({ 'key-1': createKey('key-1') });
+    const cache = new PublicKeyCache(source);
+
+    await Promise.all([cache.getPublicKey('key-1'), cache.getPublicKey('key-1')]);
+    await cache.getPublicKey('key-1');
+    assert.deepEqual(source.lookups, ['key-1']);
+    assert.deepEqual(cache.getStats(), { hits: 1, negativeHits: 0, misses: 1, evictions: 0, size: 1, inFlight: 0 });
+  });
+
+  it('caches a key under its canonical ID too, and invalidates both', async () => {
+    const arn = 'arn:aws:kms:us-east-1:111122223333:key/key-1';
+    const source = createSource({ 'alias/orders': createKey(arn) });
+    const cache = new PublicKeyCache(source);
+
+    await cache.getPublicKey('alias/orders');
+    assert.equal((await cache.getPublicKey(arn))?.keyId, arn);
+    assert.deepEqual(source.lookups, ['alias/orders']);
+
+    cache.invalidateKey(arn);
+    assert.equal(cache.getStats().size, 0);
+  });
+
+  it('expires keys after ttlMs and evicts the least recently used beyond maxSize', async () => {
+    const source = createSource({ a: createKey('a'), b: createKey('b'), c: createKey('c') });
+    const cache = new PublicKeyCache(source, { ttlMs: 10, maxSize: 2 });
+
+    await cache.getPublicKey('a');
+    await cache.getPublicKey('b');
+    await cache.getPublicKey('a');
+    await cache.getPublicKey('c');
+    assert.equal(cache.getStats().evictions, 1);
+    await cache.getPublicKey('a');
+    assert.deepEqual(source.lookups, ['a', 'b', 'c']);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await cache.getPublicKey('a');
+    assert.deepEqual(source.lookups, ['a', 'b', 'c', 'a']);
+  });
+
+  it('remembers missing keys, but not transient failures', async () => {
+    const source = createSource({});
+    const cache = new PublicKeyCache(source);
+
+    assert.equal(await cache.getPublicKey('missing'), undefined);
+    source.error = new KeyNotFoundError('gone');
+    assert.equal(await cache.getPublicKey('other'), undefined);
+    assert.equal(await cache.getPublicKey('missing'), undefined);
+    assert.equal(cache.getStats().negativeHits, 1);
+
+    source.error = new ThrottledError('slow down');
+    await assert.rejects(cache.getPublicKey('throttled'), { code: 'THROTTLED' });
+    await assert.rejects(cache.getPublicKey('throttled'), { code: 'THROTTLED' });
+    assert.deepEqual(source.lookups, ['missing', 'other', 'throttled', 'throttled']);
+  });
+
+  it('rate-limits refreshes per key', () => {
+    const cache = new PublicKeyCache(createSource({}), { refreshIntervalMs: 60000 });
+
+    assert.equal(cache.allowRefresh('key-1'), true);
+    assert.equal(cache.allowRefresh('key-1'), false);
+    assert.equal(cache.allowRefresh('key-2'), true);
+  });
+
+  it('remembers refreshes for at most maxSize keys', () => {
+    const cache = new PublicKeyCache(createSource({}), { refreshIntervalMs: 60000, maxSize: 2 });
+
+    for (let index = 0; index < 1000; index++) {
+      assert.equal(cache.allowRefresh(`unknown-${index}`), true);
+    }
+    // Only the two most recent refreshes are still rate-limited
+    assert.equal(cache.allowRefresh('unknown-999'), false);
+    assert.equal(cache.allowRefresh('unknown-998'), false);
+    assert.equal(cache.allowRefresh('unknown-0'), true);
+  });
+});
+
+describe('verify() key caching', () => {
+  function setup(publicKeyCache?: false) {
+    const { kms, signer } = createKmsSigner();
+    return { kms, signer, verifier: new FDC3ContextVerifier({ kmsClient: kms, publicKeyCache }) };
+  }
+
+  it('calls GetPublicKey once for repeated verifications', async () => {
+    const { kms, signer, verifier } = setup();
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await verifier.verify(await signer.sign(instrument))).isValid, true);
+    }
+    assert.equal(kms.getCalls('GetPublicKey').length, 1);
+  });
+
+  it('refetches the key once after a failed verification, in case it was stale', async () => {
+    const { kms, signer, verifier } = setup();
+    const signed = await signer.sign(instrument);
+    await verifier.verify(signed);
+    const tampered = { ...signed, context: { ...instrument, id: { ticker: 'MSFT' } } };
+
+    assert.equal((await verifier.verify(tampered)).code, 'SIGNATURE_MISMATCH');
+    assert.equal((await verifier.verify(tampered)).code, 'SIGNATURE_MISMATCH');
+    assert.equal(kms.getCalls('GetPublicKey').length, 2);
+  });
+
+  it('can be disabled', async () => {
+    const { kms, signer, verifier } = setup(false);
+    const signed = await signer.sign(instrument);
+    await verifier.verify(signed);
+    await verifier.verify(signed);
+
+    assert.equal(kms.getCalls('GetPublicKey').length, 2);
+    assert.equal(verifier.getCacheStats(), undefined);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { PublicKeyCacheOptions, PublicKeyCacheStats, PublicKeyInfo, PublicKeySource } from './types';
+import { toSignerError } from './errors';
+
+interface CacheEntry {
+  value: PublicKeyInfo | undefined;
+  expiresAt: number;
+}
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_SIZE = 100;
+const DEFAULT_NEGATIVE_TTL_MS = 30 * 1000;
+const DEFAULT_REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * LRU cache with TTL in front of a public key source.
+ * Keys are cached under both the requested key ID and the canonical ID (ARN) the
+ * source reports, missing keys are remembered for a shorter time, and concurrent
+ * lookups for the same key share a single fetch.
+ */
+export class PublicKeyCache implements PublicKeySource {
+  private entries = new Map<string, CacheEntry>();
+  private inFlight = new Map<string, Promise<PublicKeyInfo | undefined>>();
+  private lastRefresh = new Map<string, number>();
+  private stats = { hits: 0, negativeHits: 0, misses: 0, evictions: 0 };
+  private ttlMs: number;
+  private maxSize: number;
+  private negativeTtlMs: number;
+  private refreshIntervalMs: number;
+
+  constructor(private source: PublicKeySource, options: PublicKeyCacheOptions = {}) {
+    this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+    this.maxSize = options.maxSize ?? DEFAULT_MAX_SIZE;
+    this.negativeTtlMs = options.negativeTtlMs ?? DEFAULT_NEGATIVE_TTL_MS;
+    this.refreshIntervalMs = options.refreshIntervalMs ?? DEFAULT_REFRESH_INTERVAL_MS;
+  }
+
+  /**
+   * Returns a cached public key, fetching it from the source on a miss
+   * @param keyId Key ID, ARN or alias
+   * @returns The public key, or undefined if the source does not know the key
+   */
+  async getPublicKey(keyId: string): Promise<PublicKeyInfo | undefined> {
+    const entry = this.entries.get(keyId);
+    if (entry && entry.expiresAt > Date.now()) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(keyId);
+      this.entries.set(keyId, entry);
+      if (entry.value) {
+        this.stats.hits++;
+      } else {
+        this.stats.negativeHits++;
+      }
+      return entry.value;
+    }
+
+    const pending = this.inFlight.get(keyId);
+    if (pending) {
+      return pending;
+    }
+
+    this.stats.misses++;
+    const fetch = this.fetch(keyId).finally(() => this.inFlight.delete(keyId));
+    this.inFlight.set(keyId, fetch);
+    return fetch;
+  }
+
+  /**
+   * Removes a key from the cache, including entries stored under its canonical ID
+   * @param keyId Key ID, ARN or alias
+   */
+  invalidateKey(keyId: string): void {
+    const canonicalId = this.entries.get(keyId)?.value?.keyId;
+    for (const [cachedId, entry] of this.entries) {
+      const entryKeyId = entry.value?.keyId;
+      if (cachedId === keyId || cachedId === canonicalId || entryKeyId === keyId || (canonicalId && entryKeyId === canonicalId)) {
+        this.entries.delete(cachedId);
+      }
+    }
+  }
+
+  /**
+   * Decides whether a key may be refetched after a failed verification.
+   * Rate-limited per key so that a stream of bad signatures cannot defeat the cache.
+   * Refresh times are kept for at most maxSize keys, and only until the interval has passed.
+   * @param keyId Key ID, ARN or alias
+   * @returns True if the caller should invalidate and refetch the key now
+   */
+  allowRefresh(keyId: string): boolean {
+    const now = Date.now();
+    const last = this.lastRefresh.get(keyId);
+    if (last !== undefined && now - last < this.refreshIntervalMs) {
+      return false;
+    }
+    this.lastRefresh.delete(keyId);
+    this.lastRefresh.set(keyId, now);
+
+    // Oldest refresh first, so stop at the first one that is still recent and within maxSize
+    for (const [refreshedId, refreshedAt] of this.lastRefresh) {
+      if (this.lastRefresh.size <= this.maxSize && now - refreshedAt < this.refreshIntervalMs) {
+        break;
+      }
+      this.lastRefresh.delete(refreshedId);
+    }
+    return true;
+  }
+
+  /** Removes every cached key */
+  clear(): void {
+    this.entries.clear();
+    this.lastRefresh.clear();
+  }
+
+  /**
+   * Returns cache counters
+   * @returns Current cache statistics
+   */
+  getStats(): PublicKeyCacheStats {
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      inFlight: this.inFlight.size
+    };
+  }
+
+  private async fetch(keyId: string): Promise<PublicKeyInfo | undefined> {
+    let value: PublicKeyInfo | undefined;
+    try {
+      value = await this.source.getPublicKey(keyId);
+    } catch (error) {
+      // Only a definite "no such key" is cached; transient failures are not
+      if (toSignerError(error).code !== 'KEY_NOT_FOUND') {
+        throw error;
+      }
+      value = undefined;
+    }
+
+    if (value) {
+      const expiresAt = Date.now() + this.ttlMs;
+      this.store(keyId, { value, expiresAt });
+      if (value.keyId !== keyId) {
+        this.store(value.keyId, { value, expiresAt });
+      }
+    } else if (this.negativeTtlMs > 0) {
+      this.store(keyId, { value: undefined, expiresAt: Date.now() + this.negativeTtlMs });
+    }
+
+    return value;
+  }
+
+  private store(keyId: string, entry: CacheEntry): void {
+    this.entries.delete(keyId);
+    this.entries.set(keyId, entry);
+    while (this.entries.size > this.maxSize) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+      this.stats.evictions++;
+    }
+  }
+}
\ No newline at end of file
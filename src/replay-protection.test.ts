@@ -0,0 +1,104 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { FDC3ContextVerifier } from './context-verifier';
+import { getReplayKey, InMemoryReplayStore } from './replay-protection';
+import { createLocalSigner, instrument, signEnvelope } from './testing';
+
+describe('replay protection', () => {
+  it('accepts a signed context once and rejects it when received again', async () => {
+    const { backend, signer } = createLocalSigner();
+    const verifier = new FDC3ContextVerifier({ keySource: backend, replayProtection: {} });
+    const signed = await signer.sign(instrument);
+
+    assert.equal((await verifier.verify(signed)).isValid, true);
+    const replayed = await verifier.verify(signed);
+    assert.equal(replayed.isValid, false);
+    assert.equal(replayed.code, 'REPLAY');
+  });
+
+  it('accepts the same context signed twice, since each signature has its own nonce', async () => {
+    const { backend, signer } = createLocalSigner();
+    const verifier = new FDC3ContextVerifier({ keySource: backend, replayProtection: {} });
+    const first = await signer.sign(instrument);
+    const second = await signer.sign(instrument);
+
+    assert.notEqual(first.nonce, second.nonce);
+    assert.equal((await verifier.verify(first)).isValid, true);
+    assert.equal((await verifier.verify(second)).isValid, true);
+  });
+
+  it('rejects contexts signed before the replay window with their own code, not STALE', async () => {
+    const { backend, signer } = createLocalSigner();
+    const verifier = new FDC3ContextVerifier({ keySource: backend, replayProtection: { windowMs: 10 }, freshness: { maxAgeMs: 60 * 1000 } });
+    const signed = await signer.sign(instrument);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const result = await verifier.verify(signed);
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'REPLAY_WINDOW_EXCEEDED');
+  });
+
+  it('shares seen contexts between verifiers through the store', async () => {
+    const { backend, signer } = createLocalSigner();
+    const store = new InMemoryReplayStore();
+    const signed = await signer.sign(instrument);
+
+    assert.equal((await new FDC3ContextVerifier({ keySource: backend, replayProtection: { store } }).verify(signed)).isValid, true);
+    assert.equal((await new FDC3ContextVerifier({ keySource: backend, replayProtection: { store } }).verify(signed)).code, 'REPLAY');
+    assert.equal(store.size, 1);
+  });
+
+  it('detects a version 1 replay whose unsigned nonce was changed', async () => {
+    const { privateKey, backend } = createLocalSigner();
+    const verifier = new FDC3ContextVerifier({ keySource: backend, allowLegacyV1: true, replayProtection: {} });
+    // Without a version, the envelope is a legacy version 1 envelope, which signs only the context
+    const legacy = signEnvelope(privateKey, {
+      context: instrument,
+      keyId: 'local/market-data',
+      timestamp: Date.now(),
+      algorithm: 'ECDSA_SHA_256',
+      nonce: 'original'
+    });
+
+    assert.equal((await verifier.verify(legacy)).isValid, true);
+    const renonced = await verifier.verify({ ...legacy, nonce: 'changed' });
+    assert.equal(renonced.signatureValid, true);
+    assert.equal(renonced.code, 'REPLAY');
+    const withoutNonce = await verifier.verify({ ...legacy, nonce: undefined });
+    assert.equal(withoutNonce.code, 'REPLAY');
+  });
+
+  it('keys version 1 envelopes on their signed content only', () => {
+    const { privateKey } = createLocalSigner();
+    const legacy = signEnvelope(privateKey, { context: instrument, keyId: 'local/market-data', timestamp: Date.now(), algorithm: 'ECDSA_SHA_256' });
+    const reencoded = signEnvelope(privateKey, { context: instrument, keyId: 'local/market-data', timestamp: Date.now(), algorithm: 'ECDSA_SHA_256' });
+
+    assert.notEqual(legacy.signature, reencoded.signature);
+    assert.equal(getReplayKey({ ...legacy, nonce: 'a', keyId: 'other-id' }), getReplayKey(reencoded));
+  });
+});
+
+describe('InMemoryReplayStore', () => {
+  it('forgets keys once they expire', async () => {
+    const store = new InMemoryReplayStore();
+    assert.equal(await store.checkAndRecord('key', Date.now() - 1), true);
+    assert.equal(await store.checkAndRecord('key', Date.now() + 60000), true);
+    assert.equal(await store.checkAndRecord('key', Date.now() + 60000), false);
+  });
+
+  it('evicts the oldest keys beyond its size limit', async () => {
+    const store = new InMemoryReplayStore(2);
+    const expiresAt = Date.now() + 60000;
+    for (const key of ['a', 'b', 'c']) {
+      await store.checkAndRecord(key, expiresAt);
+    }
+    assert.equal(store.size, 2);
+    assert.equal(await store.checkAndRecord('a', expiresAt), true);
+    assert.equal(await store.checkAndRecord('c', expiresAt), false);
+  });
+});
\ No newline at end of file
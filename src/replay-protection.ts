@@ -0,0 +1,116 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import * as crypto from 'crypto';
+import { FDC3SignerErrorCode, ReplayProtectionOptions, ReplayStore, SignedContext } from './types';
+import { getEnvelopeVersion, getSigningPayload } from './envelope';
+
+const DEFAULT_WINDOW_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * Generates a random nonce for a signed envelope
+ * @returns 128-bit random value, base64url-encoded
+ */
+export function generateNonce(): string {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+/**
+ * Derives the replay key for a signed context: the signer's key plus its nonce, or the signature
+ * itself for envelopes without a nonce. Version 1 envelopes sign neither the nonce nor the key ID,
+ * so they are keyed on a digest of the signed payload (which, unlike an ECDSA signature, cannot
+ * be re-encoded into a different valid value).
+ * @param signedContext The signed context
+ * @returns Replay key
+ */
+export function getReplayKey(signedContext: SignedContext): string {
+  if (getEnvelopeVersion(signedContext) === 1) {
+    return `v1:${crypto.createHash('sha256').update(getSigningPayload(signedContext)).digest('base64url')}`;
+  }
+  return signedContext.nonce
+    ? `${signedContext.keyId}:nonce:${signedContext.nonce}`
+    : `${signedContext.keyId}:sig:${signedContext.signature}`;
+}
+
+/**
+ * In-memory replay store with expiry and least-recently-used eviction.
+ * Only detects replays within a single process.
+ */
+export class InMemoryReplayStore implements ReplayStore {
+  private entries = new Map<string, number>();
+
+  constructor(private maxEntries: number = DEFAULT_MAX_ENTRIES) {}
+
+  /**
+   * Records a replay key unless it is already present and unexpired
+   * @param key Replay key
+   * @param expiresAt Epoch milliseconds after which the key may be forgotten
+   * @returns True if the key was newly recorded, false if it was already seen
+   */
+  async checkAndRecord(key: string, expiresAt: number): Promise<boolean> {
+    const now = Date.now();
+    const existing = this.entries.get(key);
+    if (existing !== undefined && existing > now) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, expiresAt);
+    this.prune(now);
+    return true;
+  }
+
+  /** Number of keys currently remembered */
+  get size(): number {
+    return this.entries.size;
+  }
+
+  private prune(now: number): void {
+    for (const [key, expiresAt] of this.entries) {
+      if (this.entries.size <= this.maxEntries && expiresAt > now) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Rejects signed contexts that have already been accepted within the replay window
+ */
+export class ReplayGuard {
+  private store: ReplayStore;
+  private windowMs: number;
+  private requireNonce: boolean;
+
+  constructor(options: ReplayProtectionOptions = {}) {
+    this.store = options.store || new InMemoryReplayStore();
+    this.windowMs = options.windowMs ?? DEFAULT_WINDOW_MS;
+    this.requireNonce = options.requireNonce ?? true;
+  }
+
+  /**
+   * Checks a signed context for replay and records it. Call only after the signature
+   * has been verified, so that forged envelopes cannot poison the store.
+   * @param signedContext The verified signed context
+   * @returns The reason the context must be rejected, or undefined if it may be accepted
+   */
+  async check(signedContext: SignedContext): Promise<{ code: FDC3SignerErrorCode; error: string } | undefined> {
+    // A version 1 nonce is not signed, so it is neither required nor used
+    if (!signedContext.nonce && this.requireNonce && getEnvelopeVersion(signedContext) !== 1) {
+      return { code: 'MALFORMED_ENVELOPE', error: 'Signed context has no nonce; replay protection requires one' };
+    }
+
+    const expiresAt = signedContext.timestamp + this.windowMs;
+    if (expiresAt <= Date.now()) {
+      // Not STALE: the signature may be within maxAgeMs, but a replay could no longer be detected
+      return { code: 'REPLAY_WINDOW_EXCEEDED', error: 'Signed context is older than the replay window' };
+    }
+
+    const isNew = await this.store.checkAndRecord(getReplayKey(signedContext), expiresAt);
+    return isNew ? undefined : { code: 'REPLAY', error: 'Replay detected: signed context has already been received' };
+  }
+}
\ No newline at end of file
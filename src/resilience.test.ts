@@ -0,0 +1,132 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { KMSEmulator } from './kms-emulator';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { CircuitBreaker, ResiliencePolicy, getBackoffDelay, withRetry, withTimeout } from './resilience';
+import { AccessDeniedError, ThrottledError } from './errors';
+import { CircuitState } from './types';
+import { createKmsSigner, instrument } from './testing';
+
+describe('withRetry', () => {
+  it('retries throttling until an attempt succeeds', async () => {
+    const retries: number[] = [];
+    const result = await withRetry(async attempt => {
+      if (attempt < 3) {
+        throw new ThrottledError('slow down');
+      }
+      return attempt;
+    }, { baseDelayMs: 1, onRetry: retry => retries.push(retry) });
+
+    assert.equal(result, 3);
+    assert.deepEqual(retries, [1, 2]);
+  });
+
+  it('does not retry errors that are not transient', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+      attempts++;
+      throw new AccessDeniedError('no');
+    }, { baseDelayMs: 1 }), AccessDeniedError);
+    assert.equal(attempts, 1);
+  });
+
+  it('gives up after maxAttempts with the last error', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+      attempts++;
+      throw new ThrottledError(`attempt ${attempts}`);
+    }, { maxAttempts: 2, baseDelayMs: 1 }), /attempt 2/);
+    assert.equal(attempts, 2);
+  });
+
+  it('backs off with full jitter under an exponential cap', () => {
+    for (let retry = 1; retry <= 10; retry++) {
+      const delay = getBackoffDelay(retry, { baseDelayMs: 100, maxDelayMs: 1000 });
+      assert.ok(delay >= 0 && delay < Math.min(1000, 100 * 2 ** (retry - 1)));
+    }
+  });
+});
+
+describe('withTimeout', () => {
+  it('fails with SERVICE_UNAVAILABLE and aborts the operation at the time limit', async () => {
+    let signal: AbortSignal | undefined;
+    await assert.rejects(withTimeout(received => {
+      signal = received;
+      return new Promise(resolve => setTimeout(resolve, 100));
+    }, 10), { code: 'SERVICE_UNAVAILABLE' });
+    assert.equal(signal?.aborted, true);
+  });
+});
+
+describe('ResiliencePolicy', () => {
+  it('gives every attempt a 10 second time limit by default', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const hung = new ResiliencePolicy({ retry: false }).execute(() => new Promise(() => undefined));
+
+    t.mock.timers.tick(10 * 1000);
+    await assert.rejects(hung, { code: 'SERVICE_UNAVAILABLE', message: /timed out after 10000ms/ });
+  });
+
+  it('sets no time limit when timeoutMs is 0', async () => {
+    let signal: AbortSignal | undefined;
+    await new ResiliencePolicy({ timeoutMs: 0 }).execute(async received => {
+      signal = received;
+    });
+    assert.equal(signal, undefined);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('opens after repeated service failures, then lets one trial call through', async () => {
+    const transitions: CircuitState[] = [];
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 20, onStateChange: state => transitions.push(state) });
+    const fail = () => Promise.reject(new ThrottledError('slow down'));
+
+    await assert.rejects(breaker.execute(fail), ThrottledError);
+    await assert.rejects(breaker.execute(fail), ThrottledError);
+    assert.equal(breaker.getState(), 'OPEN');
+    await assert.rejects(breaker.execute(async () => 'ok'), { code: 'CIRCUIT_OPEN' });
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(await breaker.execute(async () => 'ok'), 'ok');
+    assert.deepEqual(transitions, ['OPEN', 'HALF_OPEN', 'CLOSED']);
+  });
+
+  it('does not count errors that show the service is reachable', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+
+    await assert.rejects(breaker.execute(() => Promise.reject(new AccessDeniedError('no'))));
+    assert.equal(breaker.getState(), 'CLOSED');
+  });
+});
+
+describe('signing through the resilience policy', () => {
+  it('retries a throttled Sign call', async () => {
+    const { kms, signer } = createKmsSigner('alias/market-data', { resilience: { retry: { baseDelayMs: 1 } } });
+    kms.injectError({ errorName: 'ThrottlingException', operation: 'Sign', times: 2 });
+
+    assert.ok((await signer.sign(instrument)).signature);
+    assert.equal(kms.getCalls('Sign').length, 3);
+  });
+
+  it('times out slow KMS calls and fails fast once the circuit opens', async () => {
+    const kms = new KMSEmulator({ latencyMs: 50 });
+    const key = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const signer = new FDC3AWSKMSSigner({
+      keyId: key.arn,
+      kmsClient: kms,
+      algorithm: 'ECDSA_SHA_256',
+      resilience: { retry: false, timeoutMs: 10, circuitBreaker: { failureThreshold: 2 } }
+    });
+
+    await assert.rejects(signer.sign(instrument), { code: 'SERVICE_UNAVAILABLE' });
+    await assert.rejects(signer.sign(instrument), { code: 'SERVICE_UNAVAILABLE' });
+    await assert.rejects(signer.sign(instrument), { code: 'CIRCUIT_OPEN' });
+    assert.equal(kms.getCalls('Sign').length, 2);
+  });
+});
\ No newline at end of file
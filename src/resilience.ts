@@ -0,0 +1,225 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import {
+  CircuitBreakerOptions,
+  CircuitState,
+  FDC3SignerErrorCode,
+  ResilienceOptions,
+  RetryOptions
+} from './types';
+import { CircuitOpenError, ServiceUnavailableError, toSignerError } from './errors';
+
+/** Error codes that indicate a transient KMS problem */
+export const DEFAULT_RETRYABLE_CODES: FDC3SignerErrorCode[] = ['THROTTLED', 'SERVICE_UNAVAILABLE'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BASE_DELAY_MS = 100;
+const DEFAULT_MAX_DELAY_MS = 2000;
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Computes the backoff before a retry using "full jitter": a random delay between zero
+ * and an exponentially growing cap, so that many clients throttled together do not retry together
+ * @param retry Number of the retry (1 for the first retry)
+ * @param options Retry settings
+ * @returns Delay in milliseconds
+ */
+export function getBackoffDelay(retry: number, options: RetryOptions = {}): number {
+  const base = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+  const max = options.maxDelayMs ?? DEFAULT_MAX_DELAY_MS;
+  const cap = Math.min(max, base * 2 ** (retry - 1));
+  return Math.floor(Math.random() * cap);
+}
+
+/**
+ * Runs an operation, retrying typed errors with a retryable code
+ * @param operation The operation; receives the attempt number starting at 1
+ * @param options Retry settings
+ * @returns The operation's result
+ * @throws The last error once attempts are exhausted or the error is not retryable
+ */
+export async function withRetry<T>(operation: (attempt: number) => Promise<T>, options: RetryOptions = {}): Promise<T> {
+  const maxAttempts = Math.max(1, options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS);
+  const retryableCodes = options.retryableCodes || DEFAULT_RETRYABLE_CODES;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const signerError = toSignerError(error);
+      if (attempt >= maxAttempts || !retryableCodes.includes(signerError.code)) {
+        throw signerError;
+      }
+
+      const delayMs = getBackoffDelay(attempt, options);
+      options.onRetry?.(attempt, delayMs, signerError);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Runs an operation with a time limit. The operation is given an AbortSignal that fires
+ * when the limit is reached, so it can cancel the underlying request.
+ * @param operation The operation
+ * @param timeoutMs Time limit in milliseconds, or undefined for none
+ * @returns The operation's result
+ * @throws ServiceUnavailableError if the limit is reached
+ */
+export async function withTimeout<T>(operation: (signal?: AbortSignal) => Promise<T>, timeoutMs?: number): Promise<T> {
+  if (timeoutMs === undefined) {
+    return operation();
+  }
+
+  const controller = new AbortController();
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new ServiceUnavailableError(`KMS call timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([operation(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fails calls fast while a service is down. After failureThreshold consecutive failures the
+ * circuit opens and calls are rejected with CircuitOpenError; once resetTimeoutMs has passed
+ * a single trial call is let through, and its outcome closes or re-opens the circuit.
+ */
+export class CircuitBreaker {
+  private state: CircuitState = 'CLOSED';
+  private failures = 0;
+  private openedAt = 0;
+  private trialInFlight = false;
+  private failureThreshold: number;
+  private resetTimeoutMs: number;
+  private failureCodes: FDC3SignerErrorCode[];
+
+  constructor(private options: CircuitBreakerOptions = {}) {
+    this.failureThreshold = Math.max(1, options.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD);
+    this.resetTimeoutMs = options.resetTimeoutMs ?? DEFAULT_RESET_TIMEOUT_MS;
+    this.failureCodes = options.failureCodes || DEFAULT_RETRYABLE_CODES;
+  }
+
+  /**
+   * Current state. An open circuit reports HALF_OPEN once its reset timeout has passed.
+   * @returns Circuit state
+   */
+  getState(): CircuitState {
+    if (this.state === 'OPEN' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition('HALF_OPEN');
+    }
+    return this.state;
+  }
+
+  /**
+   * Runs an operation through the circuit breaker
+   * @param operation The operation
+   * @returns The operation's result
+   * @throws CircuitOpenError if the circuit is open, otherwise the operation's error
+   */
+  async execute<T>(operation: () => Promise<T>): Promise<T> {
+    const state = this.getState();
+    if (state === 'OPEN' || (state === 'HALF_OPEN' && this.trialInFlight)) {
+      throw new CircuitOpenError('KMS circuit breaker is open: failing fast after repeated KMS failures');
+    }
+
+    const isTrial = state === 'HALF_OPEN';
+    this.trialInFlight = isTrial;
+    try {
+      const result = await operation();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      // Errors such as ACCESS_DENIED show KMS is reachable, so only service failures count
+      if (this.failureCodes.includes(toSignerError(error).code)) {
+        this.onFailure();
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  /** Closes the circuit and forgets past failures */
+  reset(): void {
+    this.failures = 0;
+    this.transition('CLOSED');
+  }
+
+  private onSuccess(): void {
+    this.reset();
+  }
+
+  private onFailure(): void {
+    this.failures++;
+    if (this.state === 'HALF_OPEN' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition('OPEN');
+    }
+  }
+
+  private transition(state: CircuitState): void {
+    const previousState = this.state;
+    if (state === previousState) {
+      return;
+    }
+    this.state = state;
+    this.options.onStateChange?.(state, previousState);
+  }
+}
+
+/**
+ * Combines retry, per-attempt timeout and circuit breaker for calls to one service.
+ * Each attempt passes through the circuit breaker, so an opening circuit also stops retries.
+ * The KMS client makes a single attempt of its own, so without the timeout a hung call would never return.
+ */
+export class ResiliencePolicy {
+  private retry: RetryOptions | false;
+  private timeoutMs?: number;
+  readonly circuitBreaker?: CircuitBreaker;
+
+  constructor(options: ResilienceOptions = {}) {
+    this.retry = options.retry ?? {};
+    const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.timeoutMs = timeoutMs > 0 ? timeoutMs : undefined;
+    if (options.circuitBreaker !== false) {
+      this.circuitBreaker = new CircuitBreaker(options.circuitBreaker);
+    }
+  }
+
+  /**
+   * Runs an operation under the policy
+   * @param operation The operation; receives an AbortSignal unless the timeout is disabled
+   * @returns The operation's result
+   */
+  async execute<T>(operation: (signal?: AbortSignal) => Promise<T>): Promise<T> {
+    const attempt = () => {
+      const timed = () => withTimeout(operation, this.timeoutMs);
+      return this.circuitBreaker ? this.circuitBreaker.execute(timed) : timed();
+    };
+
+    return this.retry === false
+      ? attempt()
+      : withRetry(attempt, this.retry);
+  }
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
\ No newline at end of file
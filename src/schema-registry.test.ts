@@ -0,0 +1,104 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { ContextSchemaRegistry, validateJsonSchema } from './schema-registry';
+import { createLocalSigner, order } from './testing';
+
+describe('validateJsonSchema', () => {
+  it('reports each violation by JSON Pointer', () => {
+    const schema = {
+      type: 'object' as const,
+      properties: {
+        id: { type: 'integer' as const },
+        'a/b': { type: 'string' as const, minLength: 2 },
+        list: { type: 'array' as const, items: { type: 'integer' as const } }
+      },
+      required: ['id'],
+      additionalProperties: false
+    };
+
+    assert.deepEqual(validateJsonSchema({ 'a/b': 'x', list: [1, 1.5], extra: true }, schema), [
+      '/id is required',
+      '/a~1b must be at least 2 characters long',
+      '/list/1 must be of type integer',
+      '/extra is not allowed'
+    ]);
+    assert.deepEqual(validateJsonSchema({ id: 1, 'a/b': 'xy', list: [] }, schema), []);
+  });
+
+  it('requires one anyOf alternative to match', () => {
+    const schema = { anyOf: [{ required: ['details'] }, { required: ['instrument', 'quantity'] }] };
+
+    assert.deepEqual(validateJsonSchema({ details: {} }, schema), []);
+    assert.deepEqual(validateJsonSchema({ instrument: {} }, schema), ['/ must match one of: /details is required; or /quantity is required']);
+  });
+});
+
+describe('ContextSchemaRegistry', () => {
+  it('validates standard FDC3 context types', () => {
+    const registry = new ContextSchemaRegistry();
+
+    assert.deepEqual(registry.validate(order), { valid: true, errors: [], schema: 'fdc3.order' });
+    const invalid = registry.validate({ type: 'fdc3.order', id: { orderId: 'ORD-1' }, instrument: order.instrument, quantity: -1 });
+    assert.equal(invalid.valid, false);
+    assert.match(invalid.errors.join(), /\/quantity must be greater than 0/);
+    assert.deepEqual(registry.validate({ type: 'fdc3.instrument' }).errors, ['/id is required']);
+  });
+
+  it('applies the longest matching namespace wildcard to types without their own schema', () => {
+    const registry = new ContextSchemaRegistry({
+      schemas: {
+        'myco.*': { required: ['type', 'owner'] },
+        'myco.risk.*': { required: ['type', 'limit'] }
+      }
+    });
+
+    assert.equal(registry.validate({ type: 'myco.note', owner: 'desk' }).schema, 'myco.*');
+    assert.deepEqual(registry.validate({ type: 'myco.risk.limit' }).errors, ['/limit is required']);
+    assert.throws(() => registry.register('myco.*.x', {}), /Invalid context type for a schema/);
+  });
+
+  it('lets unknown types through unless a schema is required', () => {
+    assert.equal(new ContextSchemaRegistry().validate({ type: 'other.thing' }).valid, true);
+    assert.deepEqual(new ContextSchemaRegistry({ requireSchema: true }).validate({ type: 'other.thing' }), {
+      valid: false,
+      errors: ['No schema is registered for context type other.thing']
+    });
+  });
+});
+
+describe('schema validation when signing and verifying', () => {
+  const malformed = { type: 'fdc3.order', id: { orderId: 'ORD-2' } };
+
+  it('refuses to sign contexts that do not match their schema', async () => {
+    const { backend } = createLocalSigner('local/orders');
+    const signer = new FDC3AWSKMSSigner({ keyId: 'local/orders', backend, algorithm: 'ECDSA_SHA_256', schemaValidator: new ContextSchemaRegistry() });
+
+    assert.ok(await signer.sign(order));
+    await assert.rejects(signer.sign(malformed), { code: 'INVALID_CONTEXT' });
+  });
+
+  it('flags signed contexts that do not match, and rejects them when configured', async () => {
+    const { backend, signer } = createLocalSigner('local/orders');
+    const signed = await signer.sign(malformed);
+    const schemaValidator = new ContextSchemaRegistry();
+
+    const flagged = await new FDC3ContextVerifier({ keySource: backend, schemaValidator }).verify(signed);
+    assert.equal(flagged.isValid, true);
+    assert.equal(flagged.schemaValid, false);
+    assert.ok(flagged.schemaErrors?.length);
+
+    const rejected = await new FDC3ContextVerifier({ keySource: backend, schemaValidator, rejectInvalidContexts: true }).verify(signed);
+    assert.equal(rejected.isValid, false);
+    assert.equal(rejected.signatureValid, true);
+    assert.equal(rejected.code, 'INVALID_CONTEXT');
+
+    assert.equal((await new FDC3ContextVerifier({ keySource: backend, schemaValidator }).verify(await signer.sign(order))).schemaValid, true);
+  });
+});
\ No newline at end of file
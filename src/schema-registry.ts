@@ -0,0 +1,201 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { Context, ContextValidationResult, ContextValidator, JsonSchema, JsonSchemaType } from './types';
+import { canonicalizeJcs } from './canonicalize';
+import { STANDARD_CONTEXT_SCHEMAS } from './context-schemas';
+
+/**
+ * Options for a context schema registry
+ */
+export interface ContextSchemaRegistryOptions {
+  /** Register the schemas for standard FDC3 context types (default true) */
+  standardSchemas?: boolean;
+  /** Further schemas keyed by context type, e.g. { 'myco.*': schema } */
+  schemas?: { [contextType: string]: JsonSchema };
+  /** Treat contexts with no registered schema as invalid (default false: they pass unchecked) */
+  requireSchema?: boolean;
+}
+
+/**
+ * Validates a value against a JSON Schema, supporting the subset described by JsonSchema
+ * @param value The value
+ * @param schema The schema
+ * @param pointer JSON Pointer of the value, for error messages
+ * @returns One message per violation; empty if the value matches
+ */
+export function validateJsonSchema(value: unknown, schema: JsonSchema, pointer = ''): string[] {
+  const at = pointer || '/';
+  const errors: string[] = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => hasType(value, type))) {
+      return [`${at} must be of type ${types.join(' or ')}`];
+    }
+  }
+  if (schema.const !== undefined && !isEqual(value, schema.const)) {
+    errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some(option => isEqual(value, option))) {
+    errors.push(`${at} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at} must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${at} must match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at} must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${at} must be greater than ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at} must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items!, `${pointer}/${index}`)));
+    }
+  } else if (value && typeof value === 'object') {
+    const object = value as { [name: string]: unknown };
+    for (const name of schema.required || []) {
+      if (object[name] === undefined) {
+        errors.push(`${pointer}/${escapePointer(name)} is required`);
+      }
+    }
+    for (const [name, item] of Object.entries(object)) {
+      const itemPointer = `${pointer}/${escapePointer(name)}`;
+      const itemSchema = schema.properties?.[name];
+      if (itemSchema) {
+        errors.push(...validateJsonSchema(item, itemSchema, itemPointer));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${itemPointer} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(item, schema.additionalProperties, itemPointer));
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateJsonSchema(value, subschema, pointer));
+  }
+  if (schema.anyOf) {
+    const alternatives = schema.anyOf.map(subschema => validateJsonSchema(value, subschema, pointer));
+    if (alternatives.every(alternative => alternative.length > 0)) {
+      errors.push(`${at} must match one of: ${alternatives.map(alternative => alternative.join(', ')).join('; or ')}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Schemas for context types, used to refuse malformed contexts before signing and to flag
+ * signed contexts that do not match their schema. Standard FDC3 types are registered by default;
+ * a schema registered for 'myco.*' applies to every type starting with 'myco.' that has none of its own.
+ */
+export class ContextSchemaRegistry implements ContextValidator {
+  private schemas = new Map<string, JsonSchema>();
+  private readonly requireSchema: boolean;
+
+  constructor(options: ContextSchemaRegistryOptions = {}) {
+    this.requireSchema = !!options.requireSchema;
+    const schemas = { ...(options.standardSchemas === false ? {} : STANDARD_CONTEXT_SCHEMAS), ...options.schemas };
+    Object.entries(schemas).forEach(([contextType, schema]) => this.register(contextType, schema));
+  }
+
+  /**
+   * Registers the schema for a context type, replacing any schema it had
+   * @param contextType Context type, or a namespace wildcard such as 'myco.*'
+   * @param schema JSON Schema the contexts must match
+   */
+  register(contextType: string, schema: JsonSchema): void {
+    if (!contextType || (contextType.includes('*') && !/^[^*]+\.\*$/.test(contextType))) {
+      throw new Error(`Invalid context type for a schema: ${contextType}`);
+    }
+    this.schemas.set(contextType, schema);
+  }
+
+  /**
+   * Returns the schema that applies to a context type: its own, or that of the longest matching wildcard
+   * @param contextType Context type
+   * @returns The registered type and its schema, or undefined if none applies
+   */
+  getSchema(contextType: string): { contextType: string; schema: JsonSchema } | undefined {
+    const own = this.schemas.get(contextType);
+    if (own) {
+      return { contextType, schema: own };
+    }
+    const parts = contextType.split('.');
+    for (let length = parts.length - 1; length > 0; length--) {
+      const wildcard = `${parts.slice(0, length).join('.')}.*`;
+      const schema = this.schemas.get(wildcard);
+      if (schema) {
+        return { contextType: wildcard, schema };
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Lists the registered context types
+   * @returns Context types and wildcards with a schema
+   */
+  getContextTypes(): string[] {
+    return [...this.schemas.keys()];
+  }
+
+  /**
+   * Validates a context against the schema of its type
+   * @param context The context
+   * @returns Whether it matches, and the violations if not
+   */
+  validate(context: Context): ContextValidationResult {
+    if (!context || typeof context !== 'object' || typeof context.type !== 'string') {
+      return { valid: false, errors: ['/type must be a string'] };
+    }
+    const registered = this.getSchema(context.type);
+    if (!registered) {
+      return this.requireSchema
+        ? { valid: false, errors: [`No schema is registered for context type ${context.type}`] }
+        : { valid: true, errors: [] };
+    }
+    const errors = validateJsonSchema(context, registered.schema);
+    return { valid: errors.length === 0, errors, schema: registered.contextType };
+  }
+}
+
+function hasType(value: unknown, type: JsonSchemaType): boolean {
+  switch (type) {
+    case 'object':
+      return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function isEqual(value: unknown, expected: unknown): boolean {
+  return value !== undefined && canonicalizeJcs(value) === canonicalizeJcs(expected);
+}
+
+function escapePointer(name: string): string {
+  return name.replace(/~/g, '~0').replace(/\//g, '~1');
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { SEALED_CONTEXT_TYPE, isSealedContext } from './sealing';
+import { Context, SealedContext } from './types';
+import { createKmsSigner, order } from './testing';
+
+function setup() {
+  const { kms, signer, verifier } = createKmsSigner('alias/orders', { encryptionKeyId: 'alias/confidential' });
+  const encryptionKey = kms.createKey({ keySpec: 'SYMMETRIC_DEFAULT', aliases: ['alias/confidential'] });
+  return { kms, encryptionKey, signer, verifier };
+}
+
+describe('sealed contexts', () => {
+  it('are opened and verified by apps that may decrypt the data key', async () => {
+    const { encryptionKey, signer, verifier } = setup();
+    const sealed = await signer.seal(order);
+
+    assert.equal(sealed.keyId, encryptionKey.arn);
+    assert.ok(!sealed.ciphertext.includes('ORD-1') && !JSON.stringify(sealed).includes('AAPL'));
+    const result = await verifier.open(sealed);
+    assert.equal(result.isValid, true, result.error);
+    assert.deepEqual(result.context, order);
+  });
+
+  it('are fdc3.sealed contexts, so listeners for the sealed type never receive them', async () => {
+    const { signer, verifier } = setup();
+    const listeners: { type: string; handler: (context: Context) => void }[] = [];
+    const orders: Context[] = [];
+    const sealedContexts: Context[] = [];
+    listeners.push({ type: 'fdc3.order', handler: context => orders.push(context) });
+    listeners.push({ type: SEALED_CONTEXT_TYPE, handler: context => sealedContexts.push(context) });
+    const broadcast = (context: Context) => listeners
+      .filter(listener => listener.type === context.type)
+      .forEach(listener => listener.handler(JSON.parse(JSON.stringify(context))));
+
+    broadcast(await signer.seal(order));
+    assert.deepEqual(orders, []);
+    const [sealed] = sealedContexts;
+    assert.equal(sealed.type, 'fdc3.sealed');
+    assert.equal(sealed.contextType, 'fdc3.order');
+    assert.ok(!isSealedContext(order));
+    if (!isSealedContext(sealed)) {
+      assert.fail('Received context is not sealed');
+    }
+    assert.equal((await verifier.open(sealed)).isValid, true);
+  });
+
+  it('fail to open when the visible context type is changed', async () => {
+    const { signer, verifier } = setup();
+    const sealed = await signer.seal(order);
+
+    const result = await verifier.open({ ...sealed, contextType: 'fdc3.trade' });
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'DECRYPTION_FAILED');
+  });
+
+  it('are malformed when sent under another type', async () => {
+    const { signer, verifier } = setup();
+    const sealed = await signer.seal(order);
+
+    const result = await verifier.open({ ...sealed, type: 'fdc3.order' } as unknown as SealedContext);
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'MALFORMED_ENVELOPE');
+  });
+
+  it('fail to open when the ciphertext is altered', async () => {
+    const { signer, verifier } = setup();
+    const sealed = await signer.seal(order);
+    const ciphertext = Buffer.from(sealed.ciphertext, 'base64');
+    ciphertext[0] ^= 1;
+
+    const result = await verifier.open({ ...sealed, ciphertext: ciphertext.toString('base64') });
+    assert.equal(result.code, 'DECRYPTION_FAILED');
+  });
+
+  it('report ACCESS_DENIED when KMS refuses to decrypt the data key', async () => {
+    const { kms, signer, verifier } = setup();
+    const sealed = await signer.seal(order);
+    kms.injectError({ errorName: 'AccessDeniedException', operation: 'Decrypt' });
+
+    const result = await verifier.open(sealed);
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'ACCESS_DENIED');
+  });
+
+  it('bind the data key to the context type through the encryption context', async () => {
+    const { kms, signer } = setup();
+    await signer.seal(order);
+
+    const [call] = kms.getCalls('GenerateDataKey');
+    assert.deepEqual(call.input.EncryptionContext, { 'fdc3:contextType': 'fdc3.order' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import * as crypto from 'crypto';
+import { DataKeyProvider, SealedContext, SignedContext } from './types';
+import { canonicalizeJcs } from './canonicalize';
+import { DecryptionFailedError, FDC3SignerError, MalformedEnvelopeError } from './errors';
+import { assertValidEnvelope } from './envelope';
+
+/** Sealed envelope version produced by sealSignedContext() */
+const SEALED_VERSION = 1;
+
+/**
+ * Type of every sealed context. Listeners for the sealed context's own type must not receive it
+ * as that type, since it has none of that type's fields; the sealed type is in contextType.
+ */
+export const SEALED_CONTEXT_TYPE = 'fdc3.sealed';
+
+/** GCM tag length in bytes; fixed so that a truncated tag is rejected */
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * Checks whether an object can generate and decrypt data keys
+ * @param value A signing backend, key source or other object
+ * @returns Whether value implements DataKeyProvider
+ */
+export function isDataKeyProvider(value: unknown): value is DataKeyProvider {
+  const provider = value as Partial<DataKeyProvider> | null;
+  return !!provider && typeof provider.generateDataKey === 'function' && typeof provider.decryptDataKey === 'function';
+}
+
+/**
+ * Checks whether a received value is a sealed context rather than a signed one
+ * @param value The received value
+ * @returns Whether value has the sealed context type or the sealed envelope marker
+ */
+export function isSealedContext(value: unknown): value is SealedContext {
+  return !!value && typeof value === 'object' && ((value as SealedContext).type === SEALED_CONTEXT_TYPE || 'sealedVersion' in value);
+}
+
+/**
+ * Builds the encryption context bound to a data key. KMS key policies can restrict decryption
+ * by context type with the condition key kms:EncryptionContext:fdc3:contextType.
+ * @param contextType Type of the sealed context
+ * @returns Encryption context
+ */
+function getEncryptionContext(contextType: string): { [key: string]: string } {
+  return { 'fdc3:contextType': contextType };
+}
+
+/**
+ * Builds the GCM additional authenticated data: every sealed envelope field other than the
+ * ciphertext and tag, so none of them can be swapped without failing decryption
+ * @param sealed The sealed envelope
+ * @returns AAD bytes
+ */
+function getAdditionalData(sealed: Omit<SealedContext, 'iv' | 'ciphertext' | 'authTag'>): Buffer {
+  const { type, sealedVersion, contextType, keyId, encryptedDataKey, encryptionAlgorithm } = sealed;
+  return Buffer.from(canonicalizeJcs({ type, sealedVersion, contextType, keyId, encryptedDataKey, encryptionAlgorithm }), 'utf8');
+}
+
+/**
+ * Encrypts a signed context with a fresh AES-256-GCM data key
+ * @param signedContext The signed context
+ * @param provider Generates the data key
+ * @param keyId Key encryption key to generate the data key under
+ * @returns The sealed context
+ */
+export async function sealSignedContext(
+  signedContext: SignedContext,
+  provider: DataKeyProvider,
+  keyId: string
+): Promise<SealedContext> {
+  const contextType = signedContext.context.type;
+  const dataKey = await provider.generateDataKey(keyId, getEncryptionContext(contextType));
+  const plaintextKey = Buffer.from(dataKey.plaintextKey);
+
+  try {
+    const header = {
+      type: SEALED_CONTEXT_TYPE,
+      sealedVersion: SEALED_VERSION,
+      contextType,
+      keyId: dataKey.keyId,
+      encryptedDataKey: Buffer.from(dataKey.encryptedKey).toString('base64'),
+      encryptionAlgorithm: 'AES_256_GCM'
+    } as const;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', plaintextKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+    cipher.setAAD(getAdditionalData(header));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(signedContext), 'utf8'), cipher.final()]);
+
+    return {
+      ...header,
+      iv: iv.toString('base64'),
+      ciphertext: ciphertext.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64')
+    };
+  } finally {
+    plaintextKey.fill(0);
+  }
+}
+
+/**
+ * Decrypts a sealed context. The signed context is returned unverified.
+ * @param sealed The sealed context
+ * @param provider Decrypts the data key
+ * @returns The signed context
+ * @throws FDC3SignerError with code ACCESS_DENIED if the provider refuses to decrypt the data key,
+ * DECRYPTION_FAILED if any part of the sealed envelope was altered, or MALFORMED_ENVELOPE
+ */
+export async function unsealSignedContext(sealed: SealedContext, provider: DataKeyProvider): Promise<SignedContext> {
+  assertValidSealedContext(sealed);
+
+  const dataKey = Buffer.from(await provider.decryptDataKey(
+    sealed.keyId,
+    Buffer.from(sealed.encryptedDataKey, 'base64'),
+    getEncryptionContext(sealed.contextType)
+  ));
+
+  let plaintext: string;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, Buffer.from(sealed.iv, 'base64'), { authTagLength: AUTH_TAG_LENGTH });
+    decipher.setAAD(getAdditionalData(sealed));
+    decipher.setAuthTag(Buffer.from(sealed.authTag, 'base64'));
+    plaintext = Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new DecryptionFailedError('Sealed context could not be decrypted', error);
+  } finally {
+    dataKey.fill(0);
+  }
+
+  let signedContext: unknown;
+  try {
+    signedContext = JSON.parse(plaintext);
+  } catch (error) {
+    throw new MalformedEnvelopeError('Sealed context does not contain a signed context', error);
+  }
+  assertValidEnvelope(signedContext);
+  if (signedContext.context.type !== sealed.contextType) {
+    throw new MalformedEnvelopeError(`Sealed context type ${sealed.contextType} does not match the signed type ${signedContext.context.type}`);
+  }
+  return signedContext;
+}
+
+/**
+ * Checks that a value has the shape of a sealed context
+ * @param value The value received as a sealed context
+ * @throws MalformedEnvelopeError if a field is missing or has the wrong type, or UNSUPPORTED_VERSION
+ */
+function assertValidSealedContext(value: unknown): asserts value is SealedContext {
+  const sealed = value as Partial<SealedContext> | null;
+  if (!sealed || typeof sealed !== 'object') {
+    throw new MalformedEnvelopeError('Sealed context must be an object');
+  }
+  if (sealed.type !== SEALED_CONTEXT_TYPE) {
+    throw new MalformedEnvelopeError(`Sealed context type must be ${SEALED_CONTEXT_TYPE}, not ${sealed.type}`);
+  }
+  if (sealed.sealedVersion !== SEALED_VERSION) {
+    throw new FDC3SignerError('UNSUPPORTED_VERSION', `Unsupported sealed context version: ${sealed.sealedVersion}`);
+  }
+  if (sealed.encryptionAlgorithm !== 'AES_256_GCM') {
+    throw new MalformedEnvelopeError(`Unsupported encryption algorithm: ${sealed.encryptionAlgorithm}`);
+  }
+  for (const field of ['contextType', 'keyId', 'encryptedDataKey', 'iv', 'ciphertext', 'authTag'] as const) {
+    if (typeof sealed[field] !== 'string' || !sealed[field]) {
+      throw new MalformedEnvelopeError(`Sealed context field ${field} must be a non-empty string`);
+    }
+  }
+}
\ No newline at end of file
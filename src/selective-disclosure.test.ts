@@ -0,0 +1,118 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { getContextFields, redactFields } from './selective-disclosure';
+import { createLocalSigner } from './testing';
+
+const trade = {
+  type: 'fdc3.trade',
+  id: { tradeId: 'TRD-1' },
+  product: { type: 'fdc3.product', id: { productId: 'SWAP-1' } },
+  legs: [{ notional: 1000000, currency: 'USD' }, { notional: 900000, currency: 'EUR' }],
+  client: { name: 'Acme', accountId: 'ACC-42' },
+  notes: 'internal only'
+};
+
+describe('getContextFields', () => {
+  it('lists leaf fields by JSON Pointer with the kinds of their containers', () => {
+    const fields = getContextFields({ type: 'x', 'a/b': { 'c~d': [1, {}] }, empty: [] });
+
+    assert.deepEqual([...fields.keys()], ['/a~1b/c~0d/0', '/a~1b/c~0d/1', '/empty']);
+    assert.deepEqual(fields.get('/a~1b/c~0d/0'), { value: 1, containers: ['object', 'object', 'array'] });
+    assert.deepEqual(fields.get('/a~1b/c~0d/1'), { value: {}, containers: ['object', 'object', 'array'] });
+    assert.deepEqual(fields.get('/empty'), { value: [], containers: ['object'] });
+  });
+});
+
+describe('selective disclosure', () => {
+  it('verifies the full context and reports every field as disclosed', async () => {
+    const { signer, verifier } = createLocalSigner('local/trading');
+    const result = await verifier.verify(await signer.signSelective(trade));
+
+    assert.equal(result.isValid, true, result.error);
+    assert.deepEqual(result.context, trade);
+    assert.ok(result.disclosedFields?.includes('/legs/1/currency'));
+    assert.deepEqual(result.redactedFields, []);
+  });
+
+  it('still verifies after fields are redacted', async () => {
+    const { signer, verifier } = createLocalSigner('local/trading');
+    const redacted = redactFields(await signer.signSelective(trade), ['/notes', '/client/accountId', '/legs/0']);
+
+    assert.equal(redacted.context.notes, undefined);
+    assert.deepEqual(redacted.context.legs, [null, { notional: 900000, currency: 'EUR' }]);
+    const result = await verifier.verify(redacted);
+    assert.equal(result.isValid, true, result.error);
+    assert.deepEqual(result.redactedFields, ['/client/accountId', '/legs/0/currency', '/legs/0/notional', '/notes']);
+  });
+
+  it('fails when a disclosed value is changed', async () => {
+    const { signer, verifier } = createLocalSigner('local/trading');
+    const signed = await signer.signSelective(trade);
+
+    const result = await verifier.verify({ ...signed, context: { ...signed.context, client: { name: 'Other', accountId: 'ACC-42' } } });
+    assert.equal(result.code, 'DISCLOSURE_MISMATCH');
+  });
+
+  it('fails when a field the signer never committed to is added', async () => {
+    const { signer, verifier } = createLocalSigner('local/trading');
+    const signed = await signer.signSelective(trade);
+
+    const result = await verifier.verify({ ...signed, context: { ...signed.context, price: 101 } });
+    assert.equal(result.code, 'DISCLOSURE_MISMATCH');
+    assert.match(result.error!, /\/price is not covered/);
+  });
+
+  it('fails when an array is replaced by an object with the same indices', async () => {
+    const { signer, verifier } = createLocalSigner('local/trading');
+    const signed = await signer.signSelective(trade);
+    const legs = Object.fromEntries(trade.legs.map((leg, index) => [String(index), leg]));
+
+    const result = await verifier.verify({ ...signed, context: { ...signed.context, legs } });
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'DISCLOSURE_MISMATCH');
+  });
+
+  it('fails when an object keyed by indices is replaced by an array', async () => {
+    const { signer, verifier } = createLocalSigner('local/trading');
+    const signed = await signer.signSelective({ type: 'fdc3.trade', id: { tradeId: 'TRD-2' }, product: { type: 'fdc3.product' }, slots: { 0: 'a', 1: 'b' } });
+
+    const result = await verifier.verify({ ...signed, context: { ...signed.context, slots: ['a', 'b'] } });
+    assert.equal(result.code, 'DISCLOSURE_MISMATCH');
+  });
+
+  it('fails when a redacted field is replaced by anything but the placeholder redactFields() leaves', async () => {
+    const { signer, verifier } = createLocalSigner('local/trading');
+    const redacted = redactFields(await signer.signSelective(trade), ['/notes', '/legs/0', '/client/accountId']);
+
+    for (const context of [
+      { ...redacted.context, notes: null },
+      { ...redacted.context, notes: {} },
+      { ...redacted.context, legs: [[], trade.legs[1]] },
+      { ...redacted.context, legs: [{ notional: {} }, trade.legs[1]] },
+      { ...redacted.context, client: { name: 'Acme', accountId: null } }
+    ]) {
+      const result = await verifier.verify({ ...redacted, context });
+      assert.equal(result.code, 'DISCLOSURE_MISMATCH', JSON.stringify(context));
+    }
+  });
+
+  it('accepts the empty object left when every field of an object is redacted', async () => {
+    const { signer, verifier } = createLocalSigner('local/trading');
+    const redacted = redactFields(await signer.signSelective(trade), ['/legs/0/notional', '/legs/0/currency']);
+
+    assert.deepEqual(redacted.context.legs[0], {});
+    assert.equal((await verifier.verify(redacted)).isValid, true);
+  });
+
+  it('refuses to redact fields that are not disclosed', async () => {
+    const { signer } = createLocalSigner('local/trading');
+    const signed = await signer.signSelective(trade);
+
+    assert.throws(() => redactFields(signed, ['/missing']), /No disclosed field at \/missing/);
+  });
+});
\ No newline at end of file
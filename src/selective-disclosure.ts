@@ -0,0 +1,210 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import * as crypto from 'crypto';
+import { Context, SelectiveDisclosureCommitment, SignedContext } from './types';
+import { canonicalizeJcs } from './canonicalize';
+import { MalformedEnvelopeError } from './errors';
+
+/**
+ * Outcome of checking the disclosed fields of a selective disclosure envelope
+ */
+export interface DisclosureCheck {
+  /** JSON Pointers of the fields present and matching their signed digests */
+  disclosedFields: string[];
+  /** JSON Pointers of signed fields that have been redacted */
+  redactedFields: string[];
+  /** Why the disclosed context does not match what was signed */
+  error?: string;
+}
+
+/** Kind of a node that has fields beneath it */
+export type ContainerKind = 'object' | 'array';
+
+/**
+ * A leaf field of a context
+ */
+export interface ContextField {
+  value: unknown;
+  /** Kind of each container on the way to the field, from the context itself down to the field's parent */
+  containers: ContainerKind[];
+}
+
+/**
+ * Escapes one JSON Pointer reference token (RFC 6901)
+ * @param token Object key or array index
+ * @returns Escaped token
+ */
+function escapeToken(token: string): string {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Splits a JSON Pointer into unescaped reference tokens
+ * @param pointer JSON Pointer
+ * @returns Reference tokens
+ */
+function parsePointer(pointer: string): string[] {
+  if (!pointer.startsWith('/')) {
+    throw new MalformedEnvelopeError(`Invalid JSON Pointer: ${pointer}`);
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Lists the leaf fields of a context by JSON Pointer. Leaves are primitives and empty objects or
+ * arrays; array elements are addressed by index. The top-level type is not a field: it is always disclosed.
+ * @param context The context
+ * @returns Field values and the kinds of their containers, keyed by JSON Pointer
+ */
+export function getContextFields(context: Context): Map<string, ContextField> {
+  const fields = new Map<string, ContextField>();
+
+  const walk = (value: unknown, pointer: string, containers: ContainerKind[]): void => {
+    if (value !== null && typeof value === 'object') {
+      const kind: ContainerKind = Array.isArray(value) ? 'array' : 'object';
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [String(index), item] as const)
+        : Object.entries(value as { [key: string]: unknown });
+      if (entries.length > 0) {
+        entries.forEach(([key, item]) => walk(item, `${pointer}/${escapeToken(key)}`, [...containers, kind]));
+        return;
+      }
+    }
+    fields.set(pointer, { value, containers });
+  };
+
+  Object.entries(context)
+    .filter(([key]) => key !== 'type')
+    .forEach(([key, value]) => walk(value, `/${escapeToken(key)}`, ['object']));
+  return fields;
+}
+
+/**
+ * Computes the digest committing to one field. The pointer alone does not say whether '/legs/0'
+ * indexes an array or names a key of an object, so the kind of every container on the way is committed too.
+ * @param salt Random salt, so that redacted values cannot be guessed from their digest
+ * @param pointer JSON Pointer of the field
+ * @param field Field value and the kinds of its containers
+ * @returns Base64url SHA-256 digest of the JCS-canonical [salt, pointer, containers, value]
+ */
+export function digestField(salt: string, pointer: string, field: ContextField): string {
+  const input = canonicalizeJcs([salt, pointer, field.containers, field.value]);
+  return crypto.createHash('sha256').update(input, 'utf8').digest('base64url');
+}
+
+/**
+ * Builds the salted field commitments for a context
+ * @param context The context to sign
+ * @returns The commitment to sign and the salts to disclose alongside the context
+ */
+export function createSelectiveDisclosure(context: Context): {
+  selectiveDisclosure: SelectiveDisclosureCommitment;
+  disclosures: { [pointer: string]: string };
+} {
+  const fields: { [pointer: string]: string } = {};
+  const disclosures: { [pointer: string]: string } = {};
+
+  for (const [pointer, field] of getContextFields(context)) {
+    const salt = crypto.randomBytes(16).toString('base64url');
+    disclosures[pointer] = salt;
+    fields[pointer] = digestField(salt, pointer, field);
+  }
+
+  return { selectiveDisclosure: { contextType: context.type, fields }, disclosures };
+}
+
+/**
+ * Removes fields from a selective disclosure envelope without invalidating its signature.
+ * A pointer to an object or array removes every field beneath it. Redacted array elements are
+ * replaced with null so that the positions of the remaining elements do not change.
+ * @param signedContext A signed context produced by signSelective()
+ * @param pointers JSON Pointers of the fields to remove, e.g. ['/notes', '/customer/accountId']
+ * @returns A copy of the signed context with the fields and their salts removed
+ */
+export function redactFields(signedContext: SignedContext, pointers: string[]): SignedContext {
+  if (!signedContext.selectiveDisclosure || !signedContext.disclosures) {
+    throw new MalformedEnvelopeError('Only selective disclosure envelopes can be redacted');
+  }
+
+  const context = JSON.parse(JSON.stringify(signedContext.context)) as Context;
+  const disclosures = { ...signedContext.disclosures };
+
+  for (const pointer of pointers) {
+    const covered = Object.keys(disclosures).filter(field => field === pointer || field.startsWith(`${pointer}/`));
+    if (covered.length === 0) {
+      throw new Error(`No disclosed field at ${pointer}`);
+    }
+    covered.forEach(field => delete disclosures[field]);
+
+    const tokens = parsePointer(pointer);
+    const last = tokens.pop() as string;
+    const parent = tokens.reduce<any>((node, token) => node?.[token], context);
+    if (Array.isArray(parent)) {
+      parent[Number(last)] = null;
+    } else if (parent && typeof parent === 'object') {
+      delete parent[last];
+    }
+  }
+
+  return { ...signedContext, context, disclosures };
+}
+
+/**
+ * Checks the disclosed context of a selective disclosure envelope against its signed commitment:
+ * every disclosed field must match its digest, and every field present must be disclosed
+ * or be a placeholder that redactFields() leaves behind
+ * @param signedContext A selective disclosure envelope whose signature has been verified
+ * @returns Disclosed and redacted fields, and an error if the context does not match
+ */
+export function verifyDisclosures(signedContext: SignedContext): DisclosureCheck {
+  const { fields, contextType } = signedContext.selectiveDisclosure as SelectiveDisclosureCommitment;
+  const disclosures = signedContext.disclosures || {};
+  const disclosedFields = Object.keys(disclosures).sort();
+  const redactedFields = Object.keys(fields).filter(pointer => !(pointer in disclosures)).sort();
+  const check = (error?: string): DisclosureCheck => ({ disclosedFields, redactedFields, error });
+
+  if (signedContext.context.type !== contextType) {
+    return check(`Context type ${signedContext.context.type} does not match the signed type ${contextType}`);
+  }
+
+  const present = getContextFields(signedContext.context);
+
+  for (const pointer of disclosedFields) {
+    if (!(pointer in fields)) {
+      return check(`Field ${pointer} is not covered by the signature`);
+    }
+    const field = present.get(pointer);
+    if (!field || digestField(disclosures[pointer], pointer, field) !== fields[pointer]) {
+      return check(`Field ${pointer} does not match its signed value`);
+    }
+  }
+
+  for (const [pointer, field] of present) {
+    if (!(pointer in disclosures) && !isRedactionPlaceholder(pointer, field, redactedFields)) {
+      return check(`Field ${pointer} is not covered by the signature`);
+    }
+  }
+
+  return check();
+}
+
+/**
+ * Checks whether an undisclosed field is what redactFields() leaves in place of redacted fields:
+ * null for a redacted array element, or an empty object once every field of an object is redacted
+ * @param pointer JSON Pointer of the field
+ * @param field Field value and the kinds of its containers
+ * @param redactedFields JSON Pointers of the signed fields that have been redacted
+ * @returns Whether the field is a placeholder for redacted fields
+ */
+function isRedactionPlaceholder(pointer: string, field: ContextField, redactedFields: string[]): boolean {
+  const { value, containers } = field;
+  if (value === null) {
+    return containers[containers.length - 1] === 'array'
+      && redactedFields.some(redacted => redacted === pointer || redacted.startsWith(`${pointer}/`));
+  }
+  const isEmptyObject = typeof value === 'object' && !Array.isArray(value);
+  return isEmptyObject && redactedFields.some(redacted => redacted.startsWith(`${pointer}/`));
+}
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { createSigningDesktopAgent, fromTransportContext } from './signing-desktop-agent';
+import { Context, ContextHandler, ContextMetadata, SigningAgentPolicy, VerifiedContextMetadata } from './types';
+import { createAgent, createBus, createKmsSigner, instrument, order } from './testing';
+
+function setup(receiverPolicy: SigningAgentPolicy = {}, senderPolicy: SigningAgentPolicy = {}) {
+  const { kms, signer } = createKmsSigner('alias/desktop', { encryptionKeyId: 'alias/confidential' });
+  kms.createKey({ keySpec: 'SYMMETRIC_DEFAULT', aliases: ['alias/confidential'] });
+  const bus = createBus();
+  const senderAgent = createAgent('oms', bus);
+  const received: { context: Context; metadata: VerifiedContextMetadata }[] = [];
+  const rejected: Context[] = [];
+  const receiver = createSigningDesktopAgent(createAgent('blotter', bus), signer, {
+    ...receiverPolicy,
+    onRejected: context => rejected.push(context)
+  });
+  return {
+    signer,
+    senderAgent,
+    sender: createSigningDesktopAgent(senderAgent, signer, senderPolicy),
+    receiver,
+    sent: bus.sent,
+    received,
+    rejected,
+    listen: (type: string | null = null) => receiver.addContextListener(type, (context: Context, metadata?: ContextMetadata) => {
+      received.push({ context, metadata: metadata as VerifiedContextMetadata });
+    })
+  };
+}
+
+describe('signing DesktopAgent', () => {
+  it('signs broadcasts and delivers the verified context to listeners', async () => {
+    const { sender, sent, received, listen } = setup();
+    await listen('fdc3.order');
+
+    await sender.broadcast(order);
+    assert.equal(sent[0].type, 'fdc3.order');
+    assert.deepEqual(fromTransportContext(sent[0])?.context, order);
+    assert.deepEqual(received.map(delivery => delivery.context), [order]);
+    assert.equal(received[0].metadata.verification.signed, true);
+    assert.equal(received[0].metadata.verification.isValid, true);
+  });
+
+  it('supports FDC3 1.x listeners registered with a handler only', async () => {
+    const { sender, receiver, received } = setup();
+    // The FDC3 1.x overload is not part of DesktopAgentLike
+    const addContextListener = receiver.addContextListener as unknown as (handler: ContextHandler) => Promise<unknown>;
+    await addContextListener((context: Context) => { received.push({ context, metadata: {} as VerifiedContextMetadata }); });
+
+    await sender.broadcast(instrument);
+    assert.deepEqual(received.map(delivery => delivery.context), [instrument]);
+  });
+
+  it('drops contexts that fail verification, unless deliverInvalid is set', async () => {
+    for (const deliverInvalid of [false, true]) {
+      const { sender, senderAgent, sent, received, rejected, listen } = setup({ deliverInvalid });
+      await listen();
+      await sender.broadcast(order);
+      const tampered = { ...sent[0], context: { ...order, quantity: 1000 } };
+
+      await senderAgent.broadcast(tampered);
+      assert.equal(rejected.length, deliverInvalid ? 0 : 1);
+      assert.equal(received.length, deliverInvalid ? 2 : 1);
+      if (deliverInvalid) {
+        assert.equal(received[1].metadata.verification.isValid, false);
+        assert.equal(received[1].metadata.verification.result?.code, 'SIGNATURE_MISMATCH');
+      }
+    }
+  });
+
+  it('rejects a signed context sent under another routing type', async () => {
+    const { sender, senderAgent, sent, received, rejected, listen } = setup();
+    await listen();
+    await sender.broadcast(order);
+
+    await senderAgent.broadcast({ ...sent[0], type: 'fdc3.instrument' });
+    assert.equal(received.length, 1);
+    assert.equal(rejected.length, 1);
+  });
+
+  it('rejects unsigned contexts by default', async () => {
+    const { senderAgent, received, rejected, listen } = setup();
+    await listen();
+
+    await senderAgent.broadcast(order);
+    assert.deepEqual(received, []);
+    assert.deepEqual(rejected, [order]);
+  });
+
+  it('delivers unsigned contexts as unsigned when rejectUnsigned is false, except requireSignedTypes', async () => {
+    const lenient = setup({ rejectUnsigned: false });
+    await lenient.listen();
+    await lenient.senderAgent.broadcast(order);
+    assert.deepEqual(lenient.received[0].metadata.verification, { signed: false, isValid: false });
+
+    const strict = setup({ rejectUnsigned: false, requireSignedTypes: ['fdc3.order'] });
+    await strict.listen();
+    await strict.senderAgent.broadcast(order);
+    await strict.senderAgent.broadcast(instrument);
+    assert.deepEqual(strict.received.map(delivery => delivery.context), [instrument]);
+    assert.deepEqual(strict.rejected, [order]);
+  });
+
+  it('rejects sealed contexts, even when unsigned contexts are accepted', async () => {
+    const { signer, senderAgent, received, rejected, listen } = setup({ rejectUnsigned: false, deliverInvalid: true });
+    await listen();
+
+    const sealed = await signer.seal(order);
+    await senderAgent.broadcast(sealed);
+    assert.deepEqual(received, []);
+    assert.deepEqual(rejected, [sealed]);
+  });
+
+  it('signs only the context types listed in signContextTypes', async () => {
+    const { sender, sent } = setup({}, { signContextTypes: ['fdc3.order'] });
+
+    await sender.broadcast(order);
+    await sender.broadcast(instrument);
+    assert.ok(fromTransportContext(sent[0]));
+    assert.deepEqual(sent[1], instrument);
+  });
+});
\ No newline at end of file
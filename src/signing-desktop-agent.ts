@@ -0,0 +1,341 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import {
+  AppIdentifier,
+  ChannelLike,
+  Context,
+  ContextBinding,
+  ContextHandler,
+  ContextMetadata,
+  ContextVerification,
+  DesktopAgentLike,
+  IntentHandler,
+  SignedContext,
+  SigningAgentPolicy,
+  SigningAlgorithm,
+  VerificationResult,
+  VerifiedContextMetadata,
+  VerifyCallOptions
+} from './types';
+import { FDC3SignerError } from './errors';
+import { fromInlineContext, isInlineSignedContext, toInlineContext } from './inline-signature';
+import { isSealedContext } from './sealing';
+
+/**
+ * What a signing DesktopAgent needs from a signer, e.g. an FDC3AWSKMSSigner
+ */
+export interface ContextSigner {
+  sign(context: Context, algorithm?: SigningAlgorithm, binding?: ContextBinding): Promise<SignedContext>;
+  signIntentResult(result: Context, request: SignedContext | Context, intent: string): Promise<SignedContext>;
+  verify(signedContext: SignedContext, options?: VerifyCallOptions): Promise<VerificationResult>;
+  verifyIntentResult(signedResult: SignedContext, request: SignedContext | Context, intent: string): Promise<VerificationResult>;
+}
+
+/** Where a context is sent or received: the intent it is raised for, or the channel it is on */
+interface Route {
+  intent?: string;
+  channel?: () => Promise<string | undefined>;
+}
+
+/** Outcome of receiving one context */
+interface Delivery {
+  context: Context;
+  metadata: VerifiedContextMetadata;
+  rejected: boolean;
+  /** The envelope, when the context was signed */
+  signedContext?: SignedContext;
+}
+
+/**
+ * Converts a signed context into a context that can be broadcast or raised: the envelope with its
+ * context's type copied to the top level, so that desktop agents can route it and listeners filter on it
+ * @param signedContext The signed context
+ * @returns The context to send
+ */
+export function toTransportContext(signedContext: SignedContext): Context {
+  return { ...signedContext, type: signedContext.context.type };
+}
+
+/**
+ * Extracts the signed envelope from a received context
+ * @param context The received context
+ * @returns The envelope without the routing type, or undefined if the context is not signed
+ */
+export function fromTransportContext(context: Context): SignedContext | undefined {
+  if (typeof context?.signature !== 'string' || !context.context || typeof context.context !== 'object') {
+    return undefined;
+  }
+  const { type, ...signedContext } = context;
+  return signedContext as SignedContext;
+}
+
+/**
+ * Wraps an FDC3 2.x DesktopAgent so that outgoing contexts are signed and incoming ones verified.
+ * broadcast(), raiseIntent(), raiseIntentForContext(), open() and the broadcast() of every channel
+ * obtained from the agent send signed contexts; context and intent listeners receive the verified
+ * context, with the outcome in metadata.verification. Contexts that fail verification, unsigned ones
+ * (unless the policy sets rejectUnsigned to false) and sealed ones never reach context listeners,
+ * and make intent listeners throw.
+ * Context results returned by intent handlers are signed as answers to the request, and
+ * IntentResolution.getResult() verifies that the result answers the request raised.
+ * @param agent The DesktopAgent, e.g. from getAgent() or window.fdc3
+ * @param signer Signs outgoing contexts and, unless the policy names a verifier, verifies incoming ones
+ * @param policy Which contexts to sign and which incoming contexts to accept
+ * @returns A DesktopAgent of the same type; methods not listed above are passed through unchanged
+ */
+export function createSigningDesktopAgent<T extends DesktopAgentLike>(
+  agent: T,
+  signer: ContextSigner,
+  policy: SigningAgentPolicy = {}
+): T {
+  const verifier = policy.verifier || signer;
+  const currentChannel: Route = { channel: async () => (await agent.getCurrentChannel?.())?.id };
+  const onChannel = (channel: ChannelLike): Route => ({ channel: async () => channel.id });
+
+  let source: Promise<AppIdentifier | undefined> | undefined;
+  const getSource = (): Promise<AppIdentifier | undefined> => {
+    if (!source) {
+      source = Promise.resolve(agent.getInfo?.()).then(info => info?.appMetadata && toAppIdentifier(info.appMetadata));
+    }
+    return source;
+  };
+
+  const bind = async (route: Route): Promise<ContextBinding> => {
+    const [app, channel] = await Promise.all([getSource(), route.channel?.()]);
+    return {
+      ...(app ? { source: app } : {}),
+      ...(channel !== undefined ? { channel } : {}),
+      ...(route.intent !== undefined ? { intent: route.intent } : {})
+    };
+  };
+
+  const shouldSign = (contextType: string): boolean => !policy.signContextTypes || policy.signContextTypes.includes(contextType);
+  const mustBeSigned = (contextType: string): boolean => policy.rejectUnsigned !== false || !!policy.requireSignedTypes?.includes(contextType);
+  const toSent = (signedContext: SignedContext): Context =>
+    policy.inlineSignatures ? toInlineContext(signedContext) : toTransportContext(signedContext);
+
+  const signOutgoing = async (context: Context, route: Route): Promise<SignedContext | undefined> =>
+    shouldSign(context.type)
+      ? signer.sign(context, undefined, policy.bindContexts ? await bind(route) : undefined)
+      : undefined;
+
+  const outgoing = async (context: Context, route: Route = {}): Promise<Context> => {
+    const signedContext = await signOutgoing(context, route);
+    return signedContext ? toSent(signedContext) : context;
+  };
+
+  const receive = async (context: Context, metadata: ContextMetadata | undefined, route: Route): Promise<Delivery> => {
+    const deliver = (delivered: Context, verification: ContextVerification, rejected: boolean): Delivery => {
+      if (rejected) {
+        policy.onRejected?.(context, verification, metadata);
+      }
+      return { context: delivered, metadata: { ...metadata, verification }, rejected, signedContext };
+    };
+
+    const signedContext = toEnvelope(context);
+
+    // A sealed context holds a signed one, but only open() can decrypt and verify it
+    if (isSealedContext(context)) {
+      const result: VerificationResult = {
+        isValid: false,
+        code: 'MALFORMED_ENVELOPE',
+        error: `Sealed ${context.contextType} contexts are not opened by the signing DesktopAgent; open them with open()`
+      };
+      return deliver(context, { signed: false, isValid: false, result }, true);
+    }
+
+    if (!signedContext) {
+      return deliver(context, { signed: false, isValid: false }, mustBeSigned(context.type));
+    }
+
+    // Listeners filter on the routing type, so it must be the type that was signed
+    if (signedContext.context?.type !== context.type) {
+      const result: VerificationResult = {
+        isValid: false,
+        code: 'MALFORMED_ENVELOPE',
+        error: `Context sent as ${context.type} was signed as ${signedContext.context?.type}`
+      };
+      return deliver(signedContext.context, { signed: true, isValid: false, result }, !policy.deliverInvalid);
+    }
+
+    // Bound signatures are checked against the sender the Desktop Agent reports and where the context arrived
+    const channel = await route.channel?.();
+    const result = await verifier.verify(signedContext, { intent: route.intent, channel, source: metadata?.source });
+    return deliver(signedContext.context, { signed: true, isValid: result.isValid, result }, !result.isValid && !policy.deliverInvalid);
+  };
+
+  const wrapContextHandler = (handler: ContextHandler, route: Route): ContextHandler => async (context, metadata) => {
+    const delivery = await receive(context, metadata, route);
+    if (!delivery.rejected) {
+      await handler(delivery.context, delivery.metadata);
+    }
+  };
+
+  const wrapIntentHandler = (intent: string, handler: IntentHandler): IntentHandler => async (context, metadata) => {
+    const delivery = await receive(context, metadata, { intent });
+    if (delivery.rejected) {
+      throw rejection(delivery.metadata.verification, `Rejected ${context.type} context for intent ${intent}`);
+    }
+    const output = await handler(delivery.context, delivery.metadata);
+
+    // Results answer the request as received, so the raising app can tell they answer what it sent
+    if (isChannel(output)) {
+      return wrapChannel(output);
+    }
+    if (isContext(output) && shouldSign(output.type)) {
+      return toSent(await signer.signIntentResult(output, delivery.signedContext || delivery.context, intent));
+    }
+    return output;
+  };
+
+  const receiveResult = async (output: unknown, request: SignedContext | Context, intent?: string): Promise<unknown> => {
+    if (isChannel(output)) {
+      return wrapChannel(output);
+    }
+    if (!isContext(output)) {
+      return output;
+    }
+
+    const signedResult = toEnvelope(output);
+    let verification: ContextVerification;
+    if (!signedResult) {
+      verification = { signed: false, isValid: false };
+      if (!mustBeSigned(output.type)) {
+        return output;
+      }
+    } else {
+      const result: VerificationResult = intent !== undefined
+        ? await verifier.verifyIntentResult(signedResult, request, intent)
+        : { isValid: false, code: 'REQUEST_MISMATCH', error: 'The intent resolution does not name the intent the result answers' };
+      verification = { signed: true, isValid: result.isValid, result };
+      if (result.isValid) {
+        return signedResult.context;
+      }
+    }
+
+    policy.onRejected?.(output, verification);
+    if (signedResult && policy.deliverInvalid) {
+      return signedResult.context;
+    }
+    throw rejection(verification, `Rejected ${output.type} result of intent ${intent}`);
+  };
+
+  const wrapResolution = (resolution: unknown, request: SignedContext | Context, intent?: string): unknown => {
+    const target = resolution as { intent?: string; getResult?: () => Promise<unknown> } | null;
+    if (!target || typeof target.getResult !== 'function') {
+      return resolution;
+    }
+    return overrideMethods(target, {
+      getResult: async () => receiveResult(await target.getResult!(), request, intent ?? target.intent)
+    });
+  };
+
+  const raise = async (context: Context, route: Route, send: (sent: Context) => Promise<unknown>): Promise<unknown> => {
+    const signedContext = await signOutgoing(context, route);
+    const resolution = await send(signedContext ? toSent(signedContext) : context);
+    return wrapResolution(resolution, signedContext || context, route.intent);
+  };
+
+  // FDC3 1.x listeners could be registered with a handler only
+  const addContextListener = (target: Pick<ChannelLike, 'addContextListener'>, route: Route) =>
+    (contextTypeOrHandler: string | null | ContextHandler, handler?: ContextHandler) =>
+      typeof contextTypeOrHandler === 'function'
+        ? target.addContextListener(null, wrapContextHandler(contextTypeOrHandler, route))
+        : target.addContextListener(contextTypeOrHandler, wrapContextHandler(handler as ContextHandler, route));
+
+  const wrapChannel = <C extends ChannelLike | null>(channel: C): C => {
+    if (!channel) {
+      return channel;
+    }
+    const target = channel as ChannelLike;
+    return overrideMethods(target, {
+      broadcast: async (context: Context) => target.broadcast(await outgoing(context, onChannel(target))),
+      addContextListener: addContextListener(target, onChannel(target)),
+      getCurrentContext: async (contextType?: string) => {
+        const current = await target.getCurrentContext!(contextType);
+        if (!current) {
+          return current;
+        }
+        const delivery = await receive(current, undefined, onChannel(target));
+        return delivery.rejected ? null : delivery.context;
+      }
+    }) as C;
+  };
+
+  return overrideMethods(agent, {
+    broadcast: async (context: Context) => agent.broadcast(await outgoing(context, currentChannel)),
+    raiseIntent: (intent: string, context: Context, app?: unknown) =>
+      raise(context, { intent }, sent => agent.raiseIntent(intent, sent, app)),
+    raiseIntentForContext: (context: Context, app?: unknown) =>
+      raise(context, {}, sent => agent.raiseIntentForContext!(sent, app)),
+    open: async (app: unknown, context?: Context) => agent.open!(app, context && await outgoing(context)),
+    addContextListener: addContextListener(agent, currentChannel),
+    addIntentListener: (intent: string, handler: IntentHandler) => agent.addIntentListener(intent, wrapIntentHandler(intent, handler)),
+    getOrCreateChannel: async (channelId: string) => wrapChannel(await agent.getOrCreateChannel!(channelId)),
+    getCurrentChannel: async () => wrapChannel(await agent.getCurrentChannel!()),
+    createPrivateChannel: async () => wrapChannel(await agent.createPrivateChannel!()),
+    getUserChannels: async () => (await agent.getUserChannels!()).map(channel => wrapChannel(channel))
+  });
+}
+
+/**
+ * Extracts the envelope from a received context in either signed form
+ * @param context The received context
+ * @returns The envelope, or undefined if the context is not signed
+ */
+function toEnvelope(context: Context): SignedContext | undefined {
+  return isInlineSignedContext(context) ? fromInlineContext(context) : fromTransportContext(context);
+}
+
+/**
+ * Builds the error for a rejected context
+ * @param verification Outcome of verifying the context
+ * @param description What was rejected
+ * @returns The error to throw
+ */
+function rejection(verification: ContextVerification, description: string): FDC3SignerError {
+  const { result } = verification;
+  return new FDC3SignerError(result?.code || 'UNSIGNED', `${description}: ${result?.error || 'the context is not signed'}`);
+}
+
+function isChannel(value: unknown): value is ChannelLike {
+  return !!value && typeof value === 'object' && typeof (value as ChannelLike).broadcast === 'function';
+}
+
+function isContext(value: unknown): value is Context {
+  return !!value && typeof value === 'object' && typeof (value as Context).type === 'string';
+}
+
+/**
+ * Reduces app metadata from getInfo() to the fields that identify the app
+ * @param app The app's metadata
+ * @returns Its AppIdentifier
+ */
+function toAppIdentifier(app: AppIdentifier): AppIdentifier {
+  return {
+    appId: app.appId,
+    ...(app.instanceId !== undefined ? { instanceId: app.instanceId } : {}),
+    ...(app.desktopAgent !== undefined ? { desktopAgent: app.desktopAgent } : {})
+  };
+}
+
+/**
+ * Proxies an object, replacing the methods it has with the given overrides
+ * @param target The object
+ * @param overrides Replacement methods by name; names the object has no method for are ignored
+ * @returns The proxy
+ */
+function overrideMethods<T extends object>(target: T, overrides: { [name: string]: Function }): T {
+  return new Proxy(target, {
+    get(object, property) {
+      const value = Reflect.get(object, property, object);
+      if (typeof property === 'string' && typeof value === 'function' && Object.prototype.hasOwnProperty.call(overrides, property)) {
+        return overrides[property];
+      }
+      return typeof value === 'function' ? value.bind(object) : value;
+    }
+  });
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ *
+ * Fixtures shared by the *.test.ts suites. Excluded from the build, so not part of the published package.
+ */
+
+import * as crypto from 'crypto';
+import { LocalKeySigningBackend } from './local-signing-backend';
+import { KMSEmulator } from './kms-emulator';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { getSigningPayload } from './envelope';
+import { AWSKMSSignerConfig, Context, ContextHandler, DesktopAgentLike, IntentHandler, SignedContext } from './types';
+
+export const instrument = { type: 'fdc3.instrument', id: { ticker: 'AAPL' } };
+export const order = { type: 'fdc3.order', id: { orderId: 'ORD-1' }, instrument, quantity: 100 };
+
+/**
+ * Creates a local P-256 keypair and an ECDSA signer for it
+ * @param keyId Key ID the backend serves the keypair under
+ */
+export function createLocalSigner(keyId = 'local/market-data') {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const backend = new LocalKeySigningBackend({ keyId, privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) as string });
+  return {
+    privateKey,
+    backend,
+    signer: new FDC3AWSKMSSigner({ keyId, backend, algorithm: 'ECDSA_SHA_256' }),
+    verifier: new FDC3ContextVerifier({ keySource: backend })
+  };
+}
+
+/**
+ * Creates a KMS emulator with one P-256 key and an ECDSA signer that signs with it through the emulator
+ * @param alias Alias of the key, which the signer signs with
+ * @param config Further signer configuration, e.g. encryption or MAC keys created on the returned emulator
+ */
+export function createKmsSigner(alias = 'alias/market-data', config: Partial<AWSKMSSignerConfig> = {}) {
+  const kms = new KMSEmulator();
+  const key = kms.createKey({ keySpec: 'ECC_NIST_P256', aliases: [alias] });
+  return {
+    kms,
+    key,
+    signer: new FDC3AWSKMSSigner({ keyId: alias, kmsClient: kms, algorithm: 'ECDSA_SHA_256', ...config }),
+    verifier: new FDC3ContextVerifier({ kmsClient: kms })
+  };
+}
+
+/** Signs an envelope with a raw private key and SHA-256, as a signer that controls every envelope field could */
+export function signEnvelope(privateKey: crypto.KeyObject, fields: Omit<SignedContext, 'signature'>): SignedContext {
+  return { ...fields, signature: crypto.sign('sha256', getSigningPayload(fields), privateKey).toString('base64') };
+}
+
+/** What the apps on one test Desktop Agent share: the user channel's listeners, intent handlers and every broadcast */
+export interface TestBus {
+  listeners: { type: string | null; handler: ContextHandler }[];
+  intents: Map<string, IntentHandler>;
+  sent: Context[];
+}
+
+export function createBus(): TestBus {
+  return { listeners: [], intents: new Map(), sent: [] };
+}
+
+/**
+ * A minimal Desktop Agent where every app is joined to one user channel and each intent resolves to the one
+ * handler registered for it. Contexts and results are copied through JSON, as a real transport would.
+ */
+export function createAgent(appId: string, bus: TestBus): DesktopAgentLike {
+  const channel = {
+    id: 'fdc3.channel.1',
+    broadcast: async (context: Context) => {
+      bus.sent.push(context);
+      for (const listener of bus.listeners.filter(candidate => candidate.type === null || candidate.type === context.type)) {
+        await listener.handler(JSON.parse(JSON.stringify(context)), { source: { appId } });
+      }
+    },
+    addContextListener: async (type: string | null, handler: ContextHandler) => {
+      bus.listeners.push({ type, handler });
+      return { unsubscribe: () => undefined };
+    }
+  };
+  return {
+    broadcast: channel.broadcast,
+    addContextListener: channel.addContextListener,
+    raiseIntent: async (intent: string, context: Context) => {
+      const result = await bus.intents.get(intent)!(JSON.parse(JSON.stringify(context)), { source: { appId } });
+      return { intent, getResult: async () => result && JSON.parse(JSON.stringify(result)) };
+    },
+    addIntentListener: async (intent: string, handler: IntentHandler) => {
+      bus.intents.set(intent, handler);
+      return { unsubscribe: () => undefined };
+    },
+    getCurrentChannel: async () => channel,
+    getInfo: () => ({ appMetadata: { appId } })
+  };
+}
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import { describe, it } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { KMSEmulator } from './kms-emulator';
+import { FDC3AWSKMSSigner } from './aws-kms-signer';
+import { FDC3ContextVerifier } from './context-verifier';
+import { TrustStore } from './trust-store';
+import { FallbackKeySource } from './fallback-key-source';
+import { KMSSigningBackend } from './kms-signing-backend';
+import { ServiceUnavailableError } from './errors';
+import { instrument } from './testing';
+
+function setup() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const kms = new KMSEmulator();
+  const key = kms.createKey({ privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) as string, aliases: ['alias/market-data'] });
+  const signer = new FDC3AWSKMSSigner({ keyId: key.arn, kmsClient: kms, algorithm: 'ECDSA_SHA_256' });
+  return { kms, key, publicKey, signer };
+}
+
+describe('TrustStore', () => {
+  it('verifies offline with a public key given as PEM, DER, JWK or a file', async () => {
+    const { kms, key, publicKey, signer } = setup();
+    const signed = await signer.sign(instrument);
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fdc3-trust-store-'));
+    const file = path.join(directory, 'market-data.pem');
+    fs.writeFileSync(file, publicKey.export({ type: 'spki', format: 'pem' }));
+
+    try {
+      for (const material of [
+        { pem: publicKey.export({ type: 'spki', format: 'pem' }) as string },
+        { der: publicKey.export({ type: 'spki', format: 'der' }) },
+        { jwk: publicKey.export({ format: 'jwk' }) as { [parameter: string]: unknown } },
+        { path: file }
+      ]) {
+        const verifier = new FDC3ContextVerifier({ keySource: new TrustStore({ keyId: key.arn, ...material }) });
+        const result = await verifier.verify(signed);
+        assert.equal(result.isValid, true, result.error);
+      }
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+    assert.equal(kms.getCalls('GetPublicKey').length, 0);
+  });
+
+  it('finds keys by ARN, bare key ID and configured aliases', async () => {
+    const { key, publicKey } = setup();
+    const store = new TrustStore({ keyId: key.arn, aliases: ['alias/market-data'], pem: publicKey.export({ type: 'spki', format: 'pem' }) as string });
+
+    for (const id of [key.arn, key.keyId, 'alias/market-data']) {
+      assert.equal((await store.getPublicKey(id))?.keyId, key.arn);
+    }
+    store.removeKey('alias/market-data');
+    assert.equal(store.has(key.arn), false);
+    assert.equal(store.has(key.keyId), false);
+  });
+
+  it('rejects contexts signed by keys it does not hold', async () => {
+    const { signer } = setup();
+    const other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey;
+    const signed = await signer.sign(instrument);
+
+    const unknown = await new FDC3ContextVerifier({ keySource: new TrustStore() }).verify(signed);
+    assert.equal(unknown.isValid, false);
+    assert.equal(unknown.code, 'KEY_NOT_FOUND');
+
+    const wrongKey = new TrustStore({ keyId: signed.keyId, pem: other.export({ type: 'spki', format: 'pem' }) as string });
+    assert.equal((await new FDC3ContextVerifier({ keySource: wrongKey }).verify(signed)).code, 'SIGNATURE_MISMATCH');
+  });
+
+  it('accepts only the configured algorithms for a key', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kms = new KMSEmulator();
+    const key = kms.createKey({ privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) as string });
+    const signer = new FDC3AWSKMSSigner({ keyId: key.arn, kmsClient: kms, algorithm: 'RSASSA_PKCS1_V1_5_SHA_256' });
+    const store = new TrustStore({ keyId: key.arn, der: publicKey.export({ type: 'spki', format: 'der' }), signingAlgorithms: ['RSASSA_PSS_SHA_256'] });
+
+    const result = await new FDC3ContextVerifier({ keySource: store }).verify(await signer.sign(instrument));
+    assert.equal(result.isValid, false);
+    assert.equal(result.code, 'UNSUPPORTED_ALGORITHM');
+  });
+});
+
+describe('FallbackKeySource', () => {
+  it('uses the trust store first and KMS for keys it does not hold', async () => {
+    const { kms, key, publicKey, signer } = setup();
+    const store = new TrustStore({ keyId: key.arn, pem: publicKey.export({ type: 'spki', format: 'pem' }) as string });
+    const otherKey = kms.createKey({ keySpec: 'ECC_NIST_P256' });
+    const otherSigner = new FDC3AWSKMSSigner({ keyId: otherKey.arn, kmsClient: kms, algorithm: 'ECDSA_SHA_256' });
+    const verifier = new FDC3ContextVerifier({ keySource: [store, new KMSSigningBackend({ kmsClient: kms })] });
+
+    assert.equal((await verifier.verify(await signer.sign(instrument))).isValid, true);
+    assert.equal(kms.getCalls('GetPublicKey').length, 0);
+    assert.equal((await verifier.verify(await otherSigner.sign(instrument))).isValid, true);
+    assert.equal(kms.getCalls('GetPublicKey').length, 1);
+  });
+
+  it('reports a failing source only when no other source has the key', async () => {
+    const { key, publicKey } = setup();
+    const failing = { getPublicKey: async () => { throw new ServiceUnavailableError('KMS is down'); } };
+    const store = new TrustStore({ keyId: key.arn, pem: publicKey.export({ type: 'spki', format: 'pem' }) as string });
+    const source = new FallbackKeySource([failing, store]);
+
+    assert.equal((await source.getPublicKey(key.arn))?.keyId, key.arn);
+    await assert.rejects(source.getPublicKey('alias/other'), { code: 'SERVICE_UNAVAILABLE' });
+  });
+});
\ No newline at end of file
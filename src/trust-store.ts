@@ -0,0 +1,103 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright FINOS FDC3 contributors - see NOTICE file
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import { PublicKeyInfo, PublicKeySource, TrustedKeyConfig } from './types';
+import { getKeyAlgorithms } from './crypto-utils';
+
+/** Matches a KMS key ARN, capturing the bare key ID */
+const KMS_KEY_ARN = /^arn:[\w-]+:kms:[^:]*:[^:]*:key\/(.+)$/;
+
+/**
+ * Parses a public key from PEM, DER or JWK
+ * @param config Trusted key configuration
+ * @returns Node.js public key
+ */
+function loadPublicKey(config: TrustedKeyConfig): crypto.KeyObject {
+  if (config.pem) {
+    return crypto.createPublicKey({ key: config.pem, format: 'pem' });
+  }
+  if (config.der) {
+    return crypto.createPublicKey({ key: Buffer.from(config.der), format: 'der', type: 'spki' });
+  }
+  if (config.jwk) {
+    return crypto.createPublicKey({ key: config.jwk as crypto.JsonWebKey, format: 'jwk' });
+  }
+  if (config.path) {
+    const content = fs.readFileSync(config.path);
+    const text = content.toString('utf8').trim();
+    if (text.startsWith('-----BEGIN')) {
+      return crypto.createPublicKey({ key: text, format: 'pem' });
+    }
+    if (text.startsWith('{')) {
+      return crypto.createPublicKey({ key: JSON.parse(text), format: 'jwk' });
+    }
+    return crypto.createPublicKey({ key: content, format: 'der', type: 'spki' });
+  }
+  throw new Error(`No key material provided for trusted key ${config.keyId}`);
+}
+
+/**
+ * Public keys trusted for verification, loaded from PEM, DER or JWK.
+ * Lets apps without AWS access verify signed contexts offline.
+ */
+export class TrustStore implements PublicKeySource {
+  private keys = new Map<string, PublicKeyInfo>();
+
+  constructor(keys: TrustedKeyConfig | TrustedKeyConfig[] = []) {
+    (Array.isArray(keys) ? keys : [keys]).forEach(key => this.addKey(key));
+  }
+
+  /**
+   * Adds a trusted public key, indexed by its key ID, its aliases and, for KMS ARNs, the bare key ID
+   * @param config Key ID and key material
+   */
+  addKey(config: TrustedKeyConfig): void {
+    // createPublicKey() also accepts private key material, keeping only the public half
+    const publicKey = loadPublicKey(config);
+
+    const info: PublicKeyInfo = {
+      keyId: config.keyId,
+      publicKey: publicKey.export({ type: 'spki', format: 'der' }),
+      signingAlgorithms: config.signingAlgorithms || getKeyAlgorithms(publicKey)
+    };
+
+    const bareKeyId = KMS_KEY_ARN.exec(config.keyId)?.[1];
+    [config.keyId, ...(config.aliases || []), ...(bareKeyId ? [bareKeyId] : [])]
+      .forEach(id => this.keys.set(id, info));
+  }
+
+  /**
+   * Removes a trusted key and every ID it is indexed by
+   * @param keyId Key ID, ARN or alias
+   */
+  removeKey(keyId: string): void {
+    const info = this.keys.get(keyId);
+    for (const [id, entry] of this.keys) {
+      if (entry === info) {
+        this.keys.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Checks whether a key is trusted
+   * @param keyId Key ID, ARN or alias
+   * @returns Whether the key is in the store
+   */
+  has(keyId: string): boolean {
+    return this.keys.has(keyId);
+  }
+
+  /**
+   * Returns a trusted public key
+   * @param keyId Key ID, ARN or alias
+   * @returns The public key, or undefined if the key is not trusted
+   */
+  async getPublicKey(keyId: string): Promise<PublicKeyInfo | undefined> {
+    return this.keys.get(keyId);
+  }
+}
\ No newline at end of file
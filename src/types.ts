@@ -11,46 +11,965 @@ export interface Context {
   [key: string]: any;
 }
 
+// Minimal FDC3 2.x API types, so that any DesktopAgent implementation can be wrapped without a dependency on @finos/fdc3
+
+/** Identifies an app instance (FDC3 AppIdentifier) */
+export interface AppIdentifier {
+  appId: string;
+  instanceId?: string;
+  desktopAgent?: string;
+}
+
+/** Metadata delivered with a context (FDC3 ContextMetadata) */
+export interface ContextMetadata {
+  source?: AppIdentifier;
+  [key: string]: unknown;
+}
+
+/** A registered listener (FDC3 Listener) */
+export interface Listener {
+  unsubscribe(): void | Promise<void>;
+}
+
+/** Handles a context received on a channel (FDC3 ContextHandler) */
+export type ContextHandler = (context: Context, metadata?: ContextMetadata) => void | Promise<void>;
+
+/** Handles a raised intent, optionally returning a result (FDC3 IntentHandler) */
+export type IntentHandler = (context: Context, metadata?: ContextMetadata) => unknown;
+
+/** The parts of an FDC3 Channel (including PrivateChannel) that carry contexts */
+export interface ChannelLike {
+  id: string;
+  broadcast(context: Context): Promise<void>;
+  getCurrentContext?(contextType?: string): Promise<Context | null>;
+  addContextListener(contextType: string | null, handler: ContextHandler): Promise<Listener>;
+}
+
+/** The parts of an FDC3 2.x DesktopAgent that carry contexts; other methods pass through unchanged */
+export interface DesktopAgentLike {
+  broadcast(context: Context): Promise<void>;
+  raiseIntent(intent: string, context: Context, app?: unknown): Promise<unknown>;
+  raiseIntentForContext?(context: Context, app?: unknown): Promise<unknown>;
+  open?(app: unknown, context?: Context): Promise<unknown>;
+  addContextListener(contextType: string | null, handler: ContextHandler): Promise<Listener>;
+  addIntentListener(intent: string, handler: IntentHandler): Promise<Listener>;
+  getOrCreateChannel?(channelId: string): Promise<ChannelLike>;
+  getCurrentChannel?(): Promise<ChannelLike | null>;
+  getUserChannels?(): Promise<ChannelLike[]>;
+  createPrivateChannel?(): Promise<ChannelLike>;
+  getInfo?(): Promise<{ appMetadata?: AppIdentifier }> | { appMetadata?: AppIdentifier };
+}
+
+/**
+ * Signing algorithms supported for FDC3 context signatures (AWS KMS algorithm names).
+ * KMS algorithms that Node.js cannot verify (SM2DSA, ML_DSA_SHAKE_256, ED25519_PH_SHA_512) are not included.
+ */
+export type SigningAlgorithm =
+  | 'RSASSA_PKCS1_V1_5_SHA_256'
+  | 'RSASSA_PKCS1_V1_5_SHA_384'
+  | 'RSASSA_PKCS1_V1_5_SHA_512'
+  | 'RSASSA_PSS_SHA_256'
+  | 'RSASSA_PSS_SHA_384'
+  | 'RSASSA_PSS_SHA_512'
+  | 'ECDSA_SHA_256'
+  | 'ECDSA_SHA_384'
+  | 'ECDSA_SHA_512'
+  | 'ED25519_SHA_512';
+
+/**
+ * HMAC algorithms for symmetric KMS HMAC keys (AWS KMS MAC algorithm names)
+ */
+export type MacAlgorithm = 'HMAC_SHA_256' | 'HMAC_SHA_384' | 'HMAC_SHA_512';
+
+/**
+ * How an envelope is authenticated. An ASYMMETRIC signature can be verified by anyone with the public key
+ * and proves which key signed; an HMAC can only be checked by holders of the shared key and is not
+ * non-repudiable, since any of them could have produced it.
+ */
+export type SignatureType = 'ASYMMETRIC' | 'HMAC';
+
+/**
+ * What is sent to the signing backend: the message itself, or its locally computed digest
+ */
+export type SigningMessageType = 'RAW' | 'DIGEST';
+
+/**
+ * AWS credentials used to construct a KMS client
+ */
+export interface AWSCredentials {
+  accessKeyId: string;
+  secretAccessKey: string;
+  sessionToken?: string;
+}
+
+/**
+ * The part of the AWS SDK KMSClient this package uses. Inject a preconfigured KMSClient
+ * (custom middleware, proxies, shared connection pools) or a KMSEmulator for offline tests.
+ */
+export interface KMSClientLike {
+  send(command: any, options?: { abortSignal?: AbortSignal }): Promise<any>;
+}
+
+/**
+ * Verification behaviour shared by FDC3ContextVerifier and the verify() method of FDC3AWSKMSSigner
+ */
+export interface VerificationOptions {
+  /** Public key cache settings, or false to fetch the key on every call */
+  publicKeyCache?: PublicKeyCacheOptions | false;
+  /**
+   * Accept legacy version 1 envelopes, whose timestamp, keyId and algorithm are not
+   * covered by the signature (default false)
+   */
+  allowLegacyV1?: boolean;
+  /** Reject signed contexts that have already been seen (disabled when not set) */
+  replayProtection?: ReplayProtectionOptions;
+  /** Reject stale or future-dated signatures (disabled when not set) */
+  freshness?: FreshnessOptions;
+  /** Which keys may sign which context types and intents (any valid signature is accepted when not set) */
+  authorization?: AuthorizationPolicy;
+  /** Keys accepted for each alias while it is being rotated, keyed by alias (e.g. 'alias/trading-orders') */
+  keyRotation?: { [alias: string]: KeyRotationPolicy };
+  /**
+   * Signers that must all have signed or countersigned a context type, as appIds from the
+   * authorization policy or verified key IDs, e.g. { 'fdc3.order': ['trading-app', 'risk-app'] }. Checked by verifyAll().
+   */
+  requiredSigners?: { [contextType: string]: string[] };
+  /**
+   * Accept HMAC envelopes produced by signHmac() (default false). They prove only that a holder of the
+   * shared HMAC key produced the context, so enable this only for traffic within one trust domain.
+   */
+  allowHmac?: boolean;
+  /**
+   * Schemas contexts must match, e.g. a ContextSchemaRegistry. The signer refuses to sign contexts
+   * that do not match; verify() reports signed contexts that do not match in schemaErrors.
+   */
+  schemaValidator?: ContextValidator;
+  /** Fail verification of signed contexts that do not match their schema with INVALID_CONTEXT (default false: report only) */
+  rejectInvalidContexts?: boolean;
+}
+
+/**
+ * The subset of JSON Schema understood by the built-in context validator
+ */
+export interface JsonSchema {
+  title?: string;
+  description?: string;
+  type?: JsonSchemaType | JsonSchemaType[];
+  const?: unknown;
+  enum?: unknown[];
+  /** Object properties and the schema of each */
+  properties?: { [name: string]: JsonSchema };
+  required?: string[];
+  /** Whether, or how, properties not listed in properties are allowed (default true) */
+  additionalProperties?: boolean | JsonSchema;
+  /** Schema of every array item */
+  items?: JsonSchema;
+  minItems?: number;
+  minLength?: number;
+  /** Regular expression strings must match */
+  pattern?: string;
+  minimum?: number;
+  exclusiveMinimum?: number;
+  /** The value must match at least one of these schemas */
+  anyOf?: JsonSchema[];
+  /** The value must match all of these schemas */
+  allOf?: JsonSchema[];
+}
+
+/** JSON Schema type names */
+export type JsonSchemaType = 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null';
+
+/**
+ * Outcome of validating a context against its schema
+ */
+export interface ContextValidationResult {
+  /** Whether the context matches its schema (true when no schema applies and none is required) */
+  valid: boolean;
+  /** One message per violation, each starting with the JSON Pointer of the offending value */
+  errors: string[];
+  /** The registered context type whose schema was applied, e.g. 'myco.*'; absent when none applies */
+  schema?: string;
+}
+
+/**
+ * Checks contexts against the schemas of their types
+ */
+export interface ContextValidator {
+  validate(context: Context): ContextValidationResult;
+}
+
+/**
+ * The keys an alias points to now and pointed to before a rotation
+ */
+export interface KeyRotationPolicy {
+  /** Key ID or ARN the alias currently points to */
+  currentKeyId: string;
+  /** Keys the alias pointed to before, with the time (epoch milliseconds) each was replaced */
+  previousKeys?: { keyId: string; retiredAt: number }[];
+  /** How long a replaced key is still accepted, in milliseconds (default 7 days) */
+  gracePeriodMs?: number;
+}
+
+/**
+ * Usage of one key belonging to a rotated alias
+ */
+export interface KeyUsage {
+  keyId: string;
+  /** current: the alias points here; previous: replaced but within the grace period; retired: no longer accepted */
+  status: 'current' | 'previous' | 'retired';
+  /** When the key stops being accepted (previous and retired keys) */
+  graceEndsAt?: number;
+  /** Number of contexts verified with the key by this verifier */
+  uses: number;
+  /** When a context signed with the key was last verified */
+  lastUsedAt?: number;
+}
+
+/**
+ * Which keys of a rotated alias are still in use
+ */
+export interface KeyRotationReport {
+  alias: string;
+  keys: KeyUsage[];
+  /** Replaced keys that signers are still using; rotation is complete once this is empty */
+  keysStillInUse: string[];
+}
+
+/**
+ * What the receiver knows about how a signed context arrived, checked against the signed envelope
+ */
+export interface VerifyCallOptions {
+  /**
+   * Intent the context was received for, checked against the signer's allowedIntents.
+   * A context bound to an intent fails unless this names it.
+   */
+  intent?: string;
+  /**
+   * Signers that must all have validly signed the context, as appIds from the authorization policy
+   * or verified key IDs (verifyAll() only; overrides the configured requiredSigners for the context type)
+   */
+  requiredSigners?: string[];
+  /** Sender the Desktop Agent reported (ContextMetadata.source). A context bound to a source fails unless this names it. */
+  source?: AppIdentifier;
+  /** Channel the context was received on. A context bound to a channel fails unless this names it. */
+  channel?: string;
+}
+
 /**
  * Configuration for AWS KMS signing
  */
-export interface AWSKMSSignerConfig {
+export interface AWSKMSSignerConfig extends VerificationOptions {
   /** AWS KMS Key ID or ARN */
   keyId: string;
   /** AWS region where the KMS key is located */
   region?: string;
   /** AWS credentials (optional - can use default credential chain) */
-  credentials?: {
-    accessKeyId: string;
-    secretAccessKey: string;
-    sessionToken?: string;
-  };
+  credentials?: AWSCredentials;
+  /** KMS endpoint URL, e.g. a local KMS emulator (defaults to the regional AWS endpoint) */
+  endpoint?: string;
+  /** KMS client to use instead of creating one (region, credentials and endpoint are ignored when set) */
+  kmsClient?: KMSClientLike;
+  /** Retry, timeout and circuit breaker settings for KMS calls */
+  resilience?: ResilienceOptions;
+  /** Signing backend to use instead of AWS KMS (region, credentials, endpoint, kmsClient and resilience are ignored when set) */
+  backend?: SigningBackend;
+  /** Default signing algorithm for sign() (default RSASSA_PKCS1_V1_5_SHA_256) */
+  algorithm?: SigningAlgorithm;
+  /** Canonicalization scheme recorded in new envelopes (default 'jcs') */
+  canonicalization?: CanonicalizationScheme;
+  /**
+   * Whether to send the payload or its digest to the backend. 'AUTO' (the default) sends the
+   * digest only when the payload exceeds the backend's raw message limit (4096 bytes for KMS).
+   */
+  messageType?: SigningMessageType | 'AUTO';
+  /** KMS key that generates data keys for seal() (symmetric encryption key ID, ARN or alias) */
+  encryptionKeyId?: string;
+  /** Where seal() and open() get data keys (defaults to the signing backend, e.g. AWS KMS) */
+  dataKeyProvider?: DataKeyProvider;
+  /** KMS HMAC key for signHmac() (defaults to keyId) */
+  hmacKeyId?: string;
+}
+
+/**
+ * Configuration for a standalone verifier. Only key lookup is configured here;
+ * a receive-only app never needs a signing key.
+ */
+export interface FDC3ContextVerifierConfig extends VerificationOptions {
+  /** AWS region used to fetch public keys from KMS when no keySource is given */
+  region?: string;
+  /** AWS credentials (optional - can use default credential chain) */
+  credentials?: AWSCredentials;
+  /** KMS endpoint URL, e.g. a local KMS emulator (defaults to the regional AWS endpoint) */
+  endpoint?: string;
+  /** KMS client to use instead of creating one (region, credentials and endpoint are ignored when set) */
+  kmsClient?: KMSClientLike;
+  /** Retry, timeout and circuit breaker settings for KMS calls */
+  resilience?: ResilienceOptions;
+  /**
+   * Where to look up public keys (defaults to AWS KMS GetPublicKey). Given an array, sources are
+   * tried in order, e.g. `[trustStore, kmsBackend]` to use local keys first and fall back to KMS.
+   */
+  keySource?: PublicKeySource | PublicKeySource[];
+  /** Decrypts the data keys of sealed contexts for open() (defaults to AWS KMS when no keySource is given) */
+  dataKeyProvider?: DataKeyProvider;
+  /** Verifies HMAC envelopes when allowHmac is set (defaults to AWS KMS VerifyMac when no keySource is given) */
+  macBackend?: MacBackend;
+}
+
+/**
+ * Shared store of already-seen signed contexts used for replay detection.
+ * Implement this over a shared medium (file, Redis, database) to detect replays across processes.
+ */
+export interface ReplayStore {
+  /**
+   * Atomically records a replay key unless it is already present and unexpired
+   * @param key Replay key derived from the signed context
+   * @param expiresAt Epoch milliseconds after which the key may be forgotten
+   * @returns True if the key was newly recorded, false if it was already seen
+   */
+  checkAndRecord(key: string, expiresAt: number): Promise<boolean>;
+}
+
+/**
+ * Replay detection settings
+ */
+export interface ReplayProtectionOptions {
+  /** Where seen signatures are recorded (defaults to an in-memory LRU store) */
+  store?: ReplayStore;
+  /**
+   * How long a signed context is remembered, in milliseconds (default 5 minutes).
+   * Contexts signed longer ago than this are rejected with REPLAY_WINDOW_EXCEEDED, since a replay could no longer be detected.
+   */
+  windowMs?: number;
+  /** Reject version 2 envelopes without a nonce (default true) */
+  requireNonce?: boolean;
+}
+
+/**
+ * Signature age limits applied during verification
+ */
+export interface FreshnessOptions {
+  /** Maximum signature age for context types without a specific limit, in milliseconds (default 5 minutes) */
+  maxAgeMs?: number;
+  /**
+   * Maximum signature age per context type, in milliseconds. Merged over the built-in
+   * defaults (e.g. 30 seconds for fdc3.order, 1 hour for fdc3.instrument).
+   */
+  maxAgeByContextType?: { [contextType: string]: number };
+  /** Tolerated difference between signer and verifier clocks, in milliseconds (default 5 seconds) */
+  allowedClockSkewMs?: number;
+  /** Reject signatures dated further in the future than the allowed clock skew (default true) */
+  rejectFutureTimestamps?: boolean;
+}
+
+/**
+ * Retry settings for KMS calls. Failed attempts are retried after a jittered exponential backoff.
+ */
+export interface RetryOptions {
+  /** Total attempts including the first one (default 3) */
+  maxAttempts?: number;
+  /** Backoff before the first retry, doubled for each further retry (default 100 ms) */
+  baseDelayMs?: number;
+  /** Upper bound for a single backoff (default 2 seconds) */
+  maxDelayMs?: number;
+  /** Error codes worth retrying (default THROTTLED and SERVICE_UNAVAILABLE) */
+  retryableCodes?: FDC3SignerErrorCode[];
+  /** Called before each retry, e.g. for logging */
+  onRetry?: (attempt: number, delayMs: number, error: Error) => void;
+}
+
+/**
+ * State of a circuit breaker: CLOSED passes calls through, OPEN fails them immediately,
+ * HALF_OPEN lets a single trial call through to probe whether the service has recovered
+ */
+export type CircuitState = 'CLOSED' | 'OPEN' | 'HALF_OPEN';
+
+/**
+ * Circuit breaker settings for KMS calls
+ */
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the circuit (default 5) */
+  failureThreshold?: number;
+  /** How long the circuit stays open before a trial call is allowed, in milliseconds (default 30 seconds) */
+  resetTimeoutMs?: number;
+  /** Error codes that count as failures (default THROTTLED and SERVICE_UNAVAILABLE) */
+  failureCodes?: FDC3SignerErrorCode[];
+  /** Called on every state change, e.g. to show "signing degraded" in the UI */
+  onStateChange?: (state: CircuitState, previousState: CircuitState) => void;
+}
+
+/**
+ * How KMS calls are retried, timed out and short-circuited
+ */
+export interface ResilienceOptions {
+  /** Retry settings, or false to make a single attempt (default: enabled) */
+  retry?: RetryOptions | false;
+  /** Circuit breaker settings, or false to disable it (default: enabled) */
+  circuitBreaker?: CircuitBreakerOptions | false;
+  /** Time limit for a single attempt, in milliseconds; 0 disables it (default 10 seconds) */
+  timeoutMs?: number;
+}
+
+/**
+ * An app trusted to sign contexts, and what it may sign
+ */
+export interface TrustedSigner {
+  /** Identifies the signing app in verification results */
+  appId: string;
+  /**
+   * Key IDs or ARNs the app signs with. An alias matches only keys the verifier's keyRotation
+   * config lists for it, never the keyAlias an envelope merely declares.
+   */
+  allowedKeys: string[];
+  /** Context types the app may sign (any type when empty or not set) */
+  allowedContextTypes?: string[];
+  /** Intents the app may raise signed contexts for (any intent when empty or not set) */
+  allowedIntents?: string[];
+}
+
+/**
+ * Verifier-side policy mapping trusted keys to what they may sign
+ */
+export interface AuthorizationPolicy {
+  /** Trusted signing apps */
+  signers: TrustedSigner[];
+  /** Accept valid signatures from keys not listed for any signer (default false) */
+  allowUnknownKeys?: boolean;
+}
+
+/**
+ * Stable, machine-readable error codes used by thrown errors and verification results
+ */
+export type FDC3SignerErrorCode =
+  | 'KEY_NOT_FOUND'
+  | 'ACCESS_DENIED'
+  | 'KEY_DISABLED'
+  | 'THROTTLED'
+  | 'SERVICE_UNAVAILABLE'
+  | 'CIRCUIT_OPEN'
+  | 'SIGNATURE_MISMATCH'
+  | 'UNSUPPORTED_ALGORITHM'
+  | 'UNSUPPORTED_VERSION'
+  | 'LEGACY_ENVELOPE'
+  | 'MALFORMED_ENVELOPE'
+  | 'STALE'
+  | 'FUTURE_DATED'
+  | 'REPLAY'
+  | 'REPLAY_WINDOW_EXCEEDED'
+  | 'UNAUTHORIZED'
+  | 'KEY_RETIRED'
+  | 'MISSING_SIGNER'
+  | 'DISCLOSURE_MISMATCH'
+  | 'DECRYPTION_FAILED'
+  | 'HMAC_NOT_ALLOWED'
+  | 'UNSIGNED'
+  | 'BINDING_MISMATCH'
+  | 'REQUEST_MISMATCH'
+  | 'INVALID_CONTEXT'
+  | 'UNKNOWN';
+
+/**
+ * Machine-readable reason a signed context failed verification
+ */
+export type VerificationErrorCode = FDC3SignerErrorCode;
+
+/**
+ * Verification result for one signature of a multi-signature envelope
+ */
+export interface SignerVerificationResult {
+  /** Key ID named by the signature */
+  keyId: string;
+  /** Alias recorded with the signature, if any */
+  keyAlias?: string;
+  /** appId of the trusted signer the key belongs to (when an authorization policy is configured) */
+  signer?: string;
+  /**
+   * Key IDs confirmed for a valid signature: the key it verified with, the ID the key source reports
+   * for it and an alias the keyRotation config confirms. Required signers given as key IDs match these.
+   */
+  verifiedKeyIds?: string[];
+  /** Whether this signature is valid and authorized */
+  isValid: boolean;
+  /** Machine-readable error code when isValid is false */
+  code?: VerificationErrorCode;
+  /** Error message when isValid is false */
+  error?: string;
+  /** When the signature was created */
+  timestamp?: number;
+  /** False for the original signature, true for countersignatures */
+  countersignature: boolean;
+}
+
+/**
+ * Result of verifying the original signature and every countersignature of a signed context
+ */
+export interface MultiSignatureVerificationResult {
+  /** Whether every signature is valid and every required signer has signed */
+  isValid: boolean;
+  /** Machine-readable error code when isValid is false */
+  code?: VerificationErrorCode;
+  /** Error message when isValid is false */
+  error?: string;
+  /** One result per signature, the original signature first */
+  signatures: SignerVerificationResult[];
+  /** Required signers without a valid signature */
+  missingSigners: string[];
+  /** The verified context data */
+  context?: Context;
+}
+
+/**
+ * Configuration for the public key cache used during verification
+ */
+export interface PublicKeyCacheOptions {
+  /** How long a fetched public key is reused, in milliseconds (default 5 minutes) */
+  ttlMs?: number;
+  /** Maximum number of keys held, and of keys whose last refresh is remembered; least recently used keys are evicted first (default 100) */
+  maxSize?: number;
+  /** How long a missing key is remembered, in milliseconds; 0 disables negative caching (default 30 seconds) */
+  negativeTtlMs?: number;
+  /** Minimum time between forced refreshes of the same key after a failed verification, in milliseconds (default 60 seconds) */
+  refreshIntervalMs?: number;
+}
+
+/**
+ * Counters describing public key cache behaviour
+ */
+export interface PublicKeyCacheStats {
+  /** Lookups answered from the cache with a key */
+  hits: number;
+  /** Lookups answered from the cache with a remembered missing key */
+  negativeHits: number;
+  /** Lookups that went to the key source */
+  misses: number;
+  /** Entries dropped to stay within maxSize */
+  evictions: number;
+  /** Entries currently cached */
+  size: number;
+  /** Fetches currently in progress */
+  inFlight: number;
+}
+
+/**
+ * Public key material returned by a key source
+ */
+export interface PublicKeyInfo {
+  /** Canonical key identifier (the key ARN for KMS keys) */
+  keyId: string;
+  /** DER-encoded SubjectPublicKeyInfo */
+  publicKey: Uint8Array;
+  /** Signing algorithms the key supports, when known */
+  signingAlgorithms?: SigningAlgorithm[];
+}
+
+/**
+ * Public signing key as a JSON Web Key (RFC 7517)
+ */
+export interface PublicJwk {
+  kty: 'RSA' | 'EC' | 'OKP';
+  /** Key ID: the key ARN for KMS keys */
+  kid: string;
+  use: 'sig';
+  /** JOSE algorithm name, e.g. RS256, PS384, ES256, EdDSA */
+  alg: string;
+  crv?: string;
+  n?: string;
+  e?: string;
+  x?: string;
+  y?: string;
+}
+
+/**
+ * JSON Web Key Set document
+ */
+export interface JsonWebKeySet {
+  keys: PublicJwk[];
+}
+
+/**
+ * Where a JwksKeySource loads its key set from. Give exactly one of url, path or jwks.
+ */
+export interface JwksKeySourceConfig {
+  /** HTTP(S) URL of the JWKS document */
+  url?: string;
+  /** Path to a JWKS file */
+  path?: string;
+  /** JWKS document */
+  jwks?: JsonWebKeySet;
+  /** How long a loaded key set is used before it is reloaded, in milliseconds (default 10 minutes) */
+  maxAgeMs?: number;
+  /** Time limit for downloading the key set from url, in milliseconds (default 5 seconds) */
+  timeoutMs?: number;
+  /** Largest key set accepted from url, in bytes (default 1 MiB) */
+  maxBytes?: number;
+  /** Minimum time between reloads triggered by an unknown key ID, in milliseconds (default 30 seconds) */
+  minRefreshIntervalMs?: number;
+}
+
+/**
+ * Anything that can look up the public half of a signing key
+ */
+export interface PublicKeySource {
+  /**
+   * Fetches the public key for a key ID
+   * @returns The public key, or undefined if this source does not know the key
+   */
+  getPublicKey(keyId: string): Promise<PublicKeyInfo | undefined>;
+}
+
+/**
+ * A backend that holds private keys and produces raw signatures.
+ * FDC3AWSKMSSigner builds the signed envelope on top of any backend.
+ */
+export interface SigningBackend extends PublicKeySource {
+  /** Largest message the backend accepts with messageType RAW, in bytes (unlimited when not set) */
+  readonly maxRawMessageBytes?: number;
+  /**
+   * Signs a message with the given key
+   * @param messageType 'DIGEST' when message is already hashed with the algorithm's digest (default 'RAW')
+   * @returns The raw signature bytes (DER-encoded for ECDSA)
+   */
+  sign(keyId: string, message: Uint8Array, algorithm: SigningAlgorithm, messageType?: SigningMessageType): Promise<Uint8Array>;
+  /** Lists the signing algorithms the key supports */
+  getSigningAlgorithms(keyId: string): Promise<SigningAlgorithm[]>;
+  /**
+   * Resolves a key ID or alias to the concrete key identifier (e.g. the key ARN).
+   * Backends without aliases need not implement this.
+   */
+  resolveKeyId?(keyId: string): Promise<string>;
+}
+
+/**
+ * A data key generated under a key encryption key
+ */
+export interface DataKey {
+  /** Canonical ID of the key encryption key (e.g. its ARN) */
+  keyId: string;
+  /** Plaintext AES-256 key; use it once and discard it */
+  plaintextKey: Uint8Array;
+  /** The data key encrypted under the key encryption key */
+  encryptedKey: Uint8Array;
 }
 
+/**
+ * Generates and decrypts the data keys that seal contexts, e.g. with KMS GenerateDataKey and Decrypt.
+ * The encryption context is bound to the encrypted data key and must match on decryption.
+ */
+export interface DataKeyProvider {
+  /** Generates a new AES-256 data key under the given key */
+  generateDataKey(keyId: string, encryptionContext: { [key: string]: string }): Promise<DataKey>;
+  /**
+   * Decrypts a data key
+   * @throws FDC3SignerError with code ACCESS_DENIED if the caller may not decrypt with the key,
+   * or DECRYPTION_FAILED if the data key or encryption context does not match
+   */
+  decryptDataKey(keyId: string, encryptedKey: Uint8Array, encryptionContext: { [key: string]: string }): Promise<Uint8Array>;
+}
+
+/**
+ * A backend that holds HMAC keys. There is no public key: MACs are verified by the backend itself.
+ */
+export interface MacBackend {
+  /** Computes the MAC of a message with the given key */
+  generateMac(keyId: string, message: Uint8Array, algorithm: MacAlgorithm): Promise<Uint8Array>;
+  /** Checks a MAC, resolving to false when it does not match */
+  verifyMac(keyId: string, message: Uint8Array, mac: Uint8Array, algorithm: MacAlgorithm): Promise<boolean>;
+}
+
+/**
+ * A keypair for the local Node crypto signing backend.
+ * Keys may be given inline as PEM or loaded from PEM files; if only a private key
+ * is given the public key is derived from it. A public-only entry can verify but not sign.
+ */
+export interface LocalKeyPairConfig {
+  /** Key ID recorded in signed contexts */
+  keyId: string;
+  /** Path to a PEM-encoded private key */
+  privateKeyPath?: string;
+  /** PEM-encoded private key */
+  privateKeyPem?: string;
+  /** Passphrase for an encrypted private key */
+  passphrase?: string;
+  /** Path to a PEM-encoded public key */
+  publicKeyPath?: string;
+  /** PEM-encoded public key */
+  publicKeyPem?: string;
+}
+
+/**
+ * A public key trusted for verification without asking KMS. Give exactly one key source:
+ * a file path (PEM, DER or JWK, detected from the content), PEM text, DER bytes or a JWK object.
+ */
+export interface TrustedKeyConfig {
+  /** Key ID or ARN recorded in signed contexts */
+  keyId: string;
+  /** Other IDs signed contexts may use for the same key */
+  aliases?: string[];
+  /** Path to a PEM, DER or JWK public key file */
+  path?: string;
+  /** PEM-encoded public key */
+  pem?: string;
+  /** DER-encoded SubjectPublicKeyInfo */
+  der?: Uint8Array;
+  /** Public key as a JSON Web Key */
+  jwk?: { [parameter: string]: unknown };
+  /** Restrict the algorithms accepted for this key (defaults to every algorithm the key type supports) */
+  signingAlgorithms?: SigningAlgorithm[];
+}
+
+/**
+ * How a payload is serialized before signing.
+ * 'jcs' is RFC 8785 and reproducible in any language; 'legacy' is the original sorted-key JSON.stringify form.
+ */
+export type CanonicalizationScheme = 'legacy' | 'jcs';
+
+/**
+ * Signed envelope format version.
+ * Version 1 signs only the context; version 2 signs the context together with all envelope metadata.
+ */
+export type SignedContextVersion = 1 | 2;
+
 /**
  * A signed FDC3 context with cryptographic signature
  */
 export interface SignedContext {
+  /** Envelope format version (absent on legacy version 1 envelopes) */
+  version?: SignedContextVersion;
   /** The original FDC3 context data */
   context: Context;
   /** Base64-encoded signature */
   signature: string;
-  /** Key ID used for signing */
+  /** Key ID used for signing: the concrete key ARN when the backend can resolve aliases */
   keyId: string;
+  /** Alias the signer was configured with, when keyId was resolved from one */
+  keyAlias?: string;
   /** Timestamp when the signature was created */
   timestamp: number;
+  /** Signing algorithm used, or the MAC algorithm of an HMAC envelope */
+  algorithm: SigningAlgorithm | MacAlgorithm;
+  /** HMAC on envelopes authenticated with a shared HMAC key (version 2 only; absent means 'ASYMMETRIC') */
+  signatureType?: SignatureType;
+  /** Random value making every signature unique, used for replay detection */
+  nonce?: string;
+  /** Canonicalization scheme used to build the signed payload (version 2 only; absent means 'legacy') */
+  canonicalization?: CanonicalizationScheme;
+  /** Whether the backend signed the payload or its digest (version 2 only; absent means 'RAW') */
+  messageType?: SigningMessageType;
+  /** Sender and destination the signature is bound to (version 2 only) */
+  binding?: ContextBinding;
+  /** The request this context answers, on signed intent results (version 2 only) */
+  inResponseTo?: IntentResultCommitment;
+  /** Approvals added by other parties after the original signature (version 2 only) */
+  countersignatures?: Countersignature[];
+  /**
+   * Salted digests of every context field, signed in place of the context itself (selective disclosure
+   * envelopes only). Fields can then be redacted without invalidating the signature.
+   */
+  selectiveDisclosure?: SelectiveDisclosureCommitment;
+  /** Salt for each disclosed field, keyed by JSON Pointer (selective disclosure envelopes only; not signed) */
+  disclosures?: { [pointer: string]: string };
+}
+
+/**
+ * Where a signed context may be received. A context bound to a sender, channel or intent fails
+ * verification with BINDING_MISMATCH when received from another app, on another channel or for another intent.
+ */
+export interface ContextBinding {
+  /** The sending app (appId, and instanceId to bind to one instance) */
+  source?: AppIdentifier;
+  /** Channel the context was broadcast on */
+  channel?: string;
+  /** Intent the context was raised for */
+  intent?: string;
+}
+
+/**
+ * Ties a signed intent result to the request it answers
+ */
+export interface IntentResultCommitment {
+  /** Intent the request was raised for */
+  intent: string;
+  /** Base64url SHA-256 digest of the request (see getRequestDigest()) */
+  requestDigest: string;
+}
+
+/**
+ * The fields of a signed envelope other than its context, as carried inside the context itself
+ */
+export type InlineSignature = Omit<SignedContext, 'context'>;
+
+/**
+ * A context carrying its own signature under the reserved __signature__ property. Apps that are
+ * unaware of signing see an ordinary context of its type; the property is not covered by the signature.
+ */
+export interface InlineSignedContext extends Context {
+  __signature__: InlineSignature;
+}
+
+/**
+ * The signed part of a selective disclosure envelope
+ */
+export interface SelectiveDisclosureCommitment {
+  /** Type of the context; always disclosed */
+  contextType: string;
+  /**
+   * Base64url SHA-256 digest of each field (salt, JSON Pointer, whether each container on the way is
+   * an object or an array, and value), keyed by JSON Pointer
+   */
+  fields: { [pointer: string]: string };
+}
+
+/**
+ * A further party's signature over a signed context, e.g. a risk or compliance approval.
+ * It covers the same payload as the original signature plus its own fields, and optionally
+ * the signatures that came before it.
+ */
+export interface Countersignature {
+  /** Key ID used for countersigning (the concrete key ARN when the backend can resolve aliases) */
+  keyId: string;
+  /** Alias the countersigner was configured with, when keyId was resolved from one */
+  keyAlias?: string;
+  /** Timestamp when the countersignature was created */
+  timestamp: number;
   /** Signing algorithm used */
-  algorithm: 'RSASSA_PKCS1_V1_5_SHA_256' | 'ECDSA_SHA_256';
+  algorithm: SigningAlgorithm;
+  /** Whether the backend signed the payload or its digest (absent means 'RAW') */
+  messageType?: SigningMessageType;
+  /** Whether the original signature and all earlier countersignatures are part of the signed payload */
+  coversSignatures?: boolean;
+  /** Base64-encoded signature */
+  signature: string;
+}
+
+/**
+ * Options for countersigning a signed context
+ */
+export interface CountersignOptions {
+  /** Signing algorithm (defaults to the signer's algorithm) */
+  algorithm?: SigningAlgorithm;
+  /** Also sign the existing signatures, so this approval is bound to exactly those earlier signers (default false) */
+  coverSignatures?: boolean;
+}
+
+/**
+ * A signed context encrypted with a data key, for sharing confidential contexts on channels
+ * that other apps can read. Only apps allowed to decrypt the data key can open it. It is itself
+ * an FDC3 context of type fdc3.sealed, so it can be broadcast as it is without reaching listeners
+ * for the sealed context's own type.
+ */
+export interface SealedContext extends Context {
+  /** Routing type of every sealed context */
+  type: 'fdc3.sealed';
+  /** Sealed envelope format version */
+  sealedVersion: 1;
+  /** Type of the sealed context, left visible so that recipients can tell what it holds */
+  contextType: string;
+  /** Key encryption key that protects the data key */
+  keyId: string;
+  /** Base64 data key, encrypted under keyId with the context type as encryption context */
+  encryptedDataKey: string;
+  /** Content encryption algorithm */
+  encryptionAlgorithm: 'AES_256_GCM';
+  /** Base64 96-bit GCM initialization vector */
+  iv: string;
+  /** Base64 encrypted JSON of the signed context */
+  ciphertext: string;
+  /** Base64 GCM authentication tag, which also covers every other field of the sealed envelope */
+  authTag: string;
+}
+
+/**
+ * Options for sealing a context
+ */
+export interface SealOptions {
+  /** Signing algorithm (defaults to the signer's algorithm) */
+  algorithm?: SigningAlgorithm;
+  /** Key to generate the data key under (defaults to config.encryptionKeyId) */
+  encryptionKeyId?: string;
+  /** Sending app and channel or intent to bind the signature to */
+  binding?: ContextBinding;
 }
 
 /**
  * Result of signature verification
  */
 export interface VerificationResult {
-  /** Whether the signature is valid */
+  /** Whether the signed context passed every check and may be trusted */
   isValid: boolean;
+  /**
+   * Whether the signature itself is cryptographically valid. Can be true while isValid is false,
+   * e.g. a correctly signed context from a key that is not authorized for its type (code UNAUTHORIZED).
+   */
+  signatureValid?: boolean;
+  /** appId of the trusted signer the key belongs to (when an authorization policy is configured) */
+  signer?: string;
+  /** Envelope version that was verified */
+  version?: SignedContextVersion;
+  /** Whether the envelope carries an asymmetric signature or an HMAC, which does not identify a single signer */
+  signatureType?: SignatureType;
   /** Error message if verification failed */
   error?: string;
+  /** Machine-readable error code (set whenever isValid is false) */
+  code?: VerificationErrorCode;
+  /** Underlying AWS SDK or Node.js error, when the failure came from one */
+  cause?: unknown;
+  /** Signature age in milliseconds at verification time (when freshness checks are enabled) */
+  age?: number;
   /** The verified context data */
   context?: Context;
+  /** JSON Pointers of the fields present and verified (selective disclosure envelopes only) */
+  disclosedFields?: string[];
+  /** JSON Pointers of the signed fields that were redacted (selective disclosure envelopes only) */
+  redactedFields?: string[];
+  /** Whether the context matches its schema (when a schemaValidator is configured) */
+  schemaValid?: boolean;
+  /** Schema violations of a context whose signature is valid (when a schemaValidator is configured) */
+  schemaErrors?: string[];
+}
+
+/**
+ * Verification outcome delivered to handlers of a signing DesktopAgent
+ */
+export interface ContextVerification {
+  /** Whether the context arrived signed */
+  signed: boolean;
+  /** Whether the signature passed every check (always false for unsigned contexts) */
+  isValid: boolean;
+  /** The full verification result (signed contexts only) */
+  result?: VerificationResult;
+}
+
+/**
+ * ContextMetadata as delivered by a signing DesktopAgent
+ */
+export interface VerifiedContextMetadata extends ContextMetadata {
+  verification: ContextVerification;
+}
+
+/**
+ * How a signing DesktopAgent treats outgoing and incoming contexts
+ */
+export interface SigningAgentPolicy {
+  /** Context types to sign when sending (default: every context) */
+  signContextTypes?: string[];
+  /** Context types that must arrive signed even when rejectUnsigned is false */
+  requireSignedTypes?: string[];
+  /** Reject every unsigned context (default true); set false to deliver unsigned contexts other than requireSignedTypes */
+  rejectUnsigned?: boolean;
+  /**
+   * Bind outgoing signatures to this app (from getInfo()) and to the channel or intent they are sent to,
+   * so that they cannot be replayed by another app or elsewhere (default false)
+   */
+  bindContexts?: boolean;
+  /** Send signatures inline under __signature__ instead of as envelopes (default false); both forms are accepted when receiving */
+  inlineSignatures?: boolean;
+  /** Deliver contexts that fail verification, with verification.isValid false, instead of rejecting them (default false) */
+  deliverInvalid?: boolean;
+  /** Checks incoming signed contexts and intent results, e.g. an FDC3ContextVerifier (defaults to the signer) */
+  verifier?: {
+    verify(signedContext: SignedContext, options?: VerifyCallOptions): Promise<VerificationResult>;
+    verifyIntentResult(signedResult: SignedContext, request: SignedContext | Context, intent: string): Promise<VerificationResult>;
+  };
+  /** Called for every rejected context, e.g. to log a security event */
+  onRejected?: (context: Context, verification: ContextVerification, metadata?: ContextMetadata) => void;
 }
\ No newline at end of file